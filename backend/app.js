@@ -3,7 +3,7 @@ const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const compression = require("compression");
-const rateLimit = require("express-rate-limit");
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
 require("dotenv").config();
 
 // Import routes
@@ -14,36 +14,90 @@ const diseaseRoutes = require("./routes/diseases");
 const weatherRoutes = require("./routes/weather");
 const treatmentRoutes = require("./routes/treatments");
 const uploadRoutes = require("./routes/uploads");
+const advisorRoutes = require("./routes/advisors");
+const apiKeyRoutes = require("./routes/apiKeys");
+const sensorRoutes = require("./routes/sensors");
+const accountRoutes = require("./routes/account");
+const adminRoutes = require("./routes/admin");
+const cropCycleRoutes = require("./routes/cropCycles");
+const inventoryRoutes = require("./routes/inventory");
+const ledgerRoutes = require("./routes/ledger");
+const harvestRoutes = require("./routes/harvests");
+const soilTestRoutes = require("./routes/soilTests");
+const geocodeRoutes = require("./routes/geocode");
+const equipmentRoutes = require("./routes/equipment");
+const labourRoutes = require("./routes/labour");
+const cropCalendarRoutes = require("./routes/cropCalendar");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
 const logger = require("./utils/logger");
+const { verifyAccessToken } = require("./utils/tokens");
 
 const app = express();
 
-// Rate limiting
+// Take the client address from X-Forwarded-For when the request came
+// through our reverse proxy. TRUST_PROXY takes a hop count or a list of
+// proxy addresses/subnets; by default only private-network proxies count.
+const trustProxy =
+  process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal";
+app.set(
+  "trust proxy",
+  /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+);
+
+// Rate limiting - signed-in farmers get their own bucket so a village
+// sharing one NAT address doesn't share one limit. Logins are left to the
+// per-account and per-IP LoginThrottle.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: { error: "Too many requests from this IP, please try again later." },
+  limit: (req) => (req.rateLimitUser ? 300 : 100),
+  skip: (req) => req.path === "/api/auth/login",
+  keyGenerator: (req) =>
+    req.rateLimitUser
+      ? `user:${req.rateLimitUser}`
+      : `ip:${ipKeyGenerator(req.ip)}`,
+  message: { error: "Too many requests, please try again later." },
 });
 
+// Identify the caller for the limiter from a valid access token
+const identifyForRateLimit = (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  try {
+    req.rateLimitUser = token ? verifyAccessToken(token).userId : undefined;
+  } catch (error) {
+    req.rateLimitUser = undefined;
+  }
+  next();
+};
+
 // Middleware
 app.use(helmet());
 app.use(compression());
-app.use(limiter);
+app.use(identifyForRateLimit, limiter);
 app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     credentials: true,
   })
 );
+// Calendar feeds carry their API key in the query string; keep it out of
+// the access log
+morgan.token("url", (req) =>
+  (req.originalUrl || req.url).replace(/([?&]key=)[^&]*/, "$1[redacted]")
+);
 app.use(
   morgan("combined", {
     stream: { write: (message) => logger.info(message.trim()) },
   })
 );
-app.use(express.json({ limit: "10mb" }));
+// Merge patches and JSON Patches are JSON too
+app.use(
+  express.json({
+    limit: "10mb",
+    type: ["application/json", "application/*+json"],
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Static files
@@ -63,11 +117,25 @@ app.get("/api/health", (req, res) => {
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/farmers", farmerRoutes);
+app.use("/api/farmers/farms/:farmId/labour", labourRoutes);
+app.use("/api/farmers/farms/:farmId/crop-cycles", cropCycleRoutes);
+app.use("/api/farmers/farms/:farmId/inventory", inventoryRoutes);
+app.use("/api/farmers/farms/:farmId/ledger", ledgerRoutes);
+app.use("/api/farmers/farms/:farmId/harvests", harvestRoutes);
+app.use("/api/farmers/farms/:farmId/soil-tests", soilTestRoutes);
+app.use("/api/farmers/farms/:farmId/equipment", equipmentRoutes);
+app.use("/api/farmers/farms/:farmId/calendar", cropCalendarRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/diseases", diseaseRoutes);
 app.use("/api/weather", weatherRoutes);
 app.use("/api/treatments", treatmentRoutes);
 app.use("/api/uploads", uploadRoutes);
+app.use("/api/advisors", advisorRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/sensors", sensorRoutes);
+app.use("/api/account", accountRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/geocode", geocodeRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -1,49 +1,172 @@
-// middleware/auth.js - JWT Authentication Middleware
-const jwt = require("jsonwebtoken");
+// middleware/auth.js - JWT & API Key Authentication Middleware
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { verifyAccessToken, isApiKey } = require("../utils/tokens");
+const { recordAudit } = require("../utils/audit");
 const logger = require("../utils/logger");
 
-const JWT_SECRET =
-  process.env.JWT_SECRET || "vriddhi-super-secret-key-change-in-production";
+const denyInactiveUser = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Access denied. User not found or inactive.",
+  });
 
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+// Authenticate a field device or partner dashboard by API key
+const authenticateApiKey = async (key, req, res, next, scope) => {
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      message: "API keys cannot be used for this endpoint.",
+    });
+  }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message:
-          "Access denied. No token provided. Your crops need proper credentials!",
-      });
-    }
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isValid) {
+    await recordAudit(req, {
+      action: "auth.token_rejected",
+      outcome: "failure",
+      actor: apiKey?.user || null,
+      target: apiKey ? { type: "api_key", id: apiKey._id } : undefined,
+      metadata: {
+        method: "api_key",
+        reason: apiKey ? "expired_or_revoked" : "unknown_key",
+      },
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, expired or revoked API key.",
+    });
+  }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+  if (!apiKey.hasScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key is missing the "${scope}" scope.`,
+    });
+  }
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "Access denied. User not found or inactive.",
-      });
-    }
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    return denyInactiveUser(res);
+  }
 
-    req.user = { userId: decoded.userId };
-    next();
-  } catch (error) {
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        success: false,
-        message: "Token expired. Time to refresh your farming session!",
-      });
-    }
+  await apiKey.touch(req.ip);
 
-    logger.error("Auth middleware error:", error);
-    res.status(401).json({
+  req.user = {
+    userId: String(user._id),
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    isPhoneVerified: user.isPhoneVerified,
+    hasEmail: Boolean(user.email),
+    authMethod: "api_key",
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes,
+  };
+  next();
+};
+
+// Authenticate a logged-in user by bearer JWT
+const authenticateJwt = async (token, req, res, next) => {
+  const decoded = verifyAccessToken(token);
+
+  // Tokens are only honoured while their session is still live
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isValid || !session.user.equals(decoded.userId)) {
+    await recordAudit(req, {
+      action: "auth.token_rejected",
+      outcome: "failure",
+      actor: decoded.userId || null,
+      target: { type: "session", id: decoded.sid },
+      metadata: {
+        method: "jwt",
+        reason: session?.revokedAt ? "session_revoked" : "session_ended",
+      },
+    });
+    return res.status(401).json({
       success: false,
-      message: `Invalid token. Your authentication seeds didn't sprout properly.`,
+      message: session?.revokedAt
+        ? "This device has been signed out. Please log in again."
+        : "Session has ended. Please log in again.",
     });
   }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    return denyInactiveUser(res);
+  }
+
+  await session.touch(req.ip);
+
+  req.user = {
+    userId: decoded.userId,
+    sessionId: decoded.sid,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    isPhoneVerified: user.isPhoneVerified,
+    hasEmail: Boolean(user.email),
+    authMethod: "jwt",
+  };
+  next();
 };
 
+// Build the middleware; API keys are only accepted when the route names
+// the scope they need. Routes read by clients that can't set headers, such
+// as calendar subscriptions, may also take an API key (never a JWT) from
+// ?key=.
+const authenticate =
+  (apiKeyScope = null, { keyInQuery = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const queryKey =
+        keyInQuery && isApiKey(String(req.query.key || ""))
+          ? String(req.query.key)
+          : null;
+      const token =
+        req.header("X-API-Key") ||
+        req.header("Authorization")?.replace("Bearer ", "") ||
+        queryKey;
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message:
+            "Access denied. No token provided. Your crops need proper credentials!",
+        });
+      }
+
+      if (isApiKey(token)) {
+        return await authenticateApiKey(token, req, res, next, apiKeyScope);
+      }
+
+      return await authenticateJwt(token, req, res, next);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({
+          success: false,
+          message: "Token expired. Time to refresh your farming session!",
+        });
+      }
+
+      logger.error("Auth middleware error:", error);
+      await recordAudit(req, {
+        action: "auth.token_rejected",
+        outcome: "failure",
+        actor: null,
+        metadata: { method: "jwt", reason: error.message },
+      });
+      res.status(401).json({
+        success: false,
+        message: `Invalid token. Your authentication seeds didn't sprout properly.`,
+      });
+    }
+  };
+
+// Default: logged-in users only
+const auth = authenticate();
+
+// Logged-in users, or API keys holding the given scope
+auth.allowApiKey = (scope, options) => authenticate(scope, options);
+
 module.exports = auth;
@@ -0,0 +1,66 @@
+// middleware/farmAccess.js - Farm Membership Guard
+// Must run after the auth middleware, which loads req.user
+const mongoose = require("mongoose");
+const Farm = require("../models/Farm");
+const { getScope } = require("./permissions");
+const logger = require("../utils/logger");
+
+// Load the farm named by req.params.farmId and require the caller to hold at
+// least minRole on it. Admins may read any farm without being a member.
+// Archived farms are read-only unless the route opts in with allowArchived.
+const requireFarmRole =
+  (minRole, { allowArchived = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const { farmId } = req.params;
+      if (!mongoose.isValidObjectId(farmId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Valid farm ID required",
+        });
+      }
+
+      const farm = await Farm.findById(farmId);
+      if (!farm) {
+        return res.status(404).json({
+          success: false,
+          message: "Farm not found",
+        });
+      }
+
+      const member = farm.getMember(req.user.userId);
+      const adminRead =
+        minRole === "viewer" &&
+        getScope(req.user.role, "read", "farm") === "any";
+
+      if (!farm.hasRole(req.user.userId, minRole) && !adminRead) {
+        return res.status(member ? 403 : 404).json({
+          success: false,
+          message: member
+            ? `This action needs the ${minRole} role on this farm.`
+            : "Farm not found",
+        });
+      }
+
+      if (farm.archivedAt && minRole !== "viewer" && !allowArchived) {
+        return res.status(409).json({
+          success: false,
+          message: "This farm is archived. Restore it before making changes.",
+        });
+      }
+
+      req.farm = farm;
+      req.farmRole = member?.role || null;
+      next();
+    } catch (error) {
+      logger.error("Farm access error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check farm access",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+
+module.exports = { requireFarmRole };
@@ -0,0 +1,80 @@
+// middleware/permissions.js - Role-Based Access Control
+// Must run after the auth middleware, which loads req.user.role
+const User = require("../models/User");
+
+// resource -> action -> role -> scope
+//   own:      only records belonging to the requesting user
+//   assigned: records of farmers assigned to the requesting advisor
+//   any:      every record
+const POLICY = {
+  detection: {
+    read: { farmer: "own", advisor: "assigned", admin: "any" },
+    create: { farmer: "own", advisor: "own", admin: "own" },
+    update: { farmer: "own", admin: "any" },
+  },
+  treatment: {
+    read: { farmer: "any", advisor: "any", admin: "any" },
+    create: { admin: "any" },
+    update: { admin: "any" },
+    delete: { admin: "any" },
+  },
+  farmer: {
+    read: { advisor: "assigned", admin: "any" },
+    assign: { admin: "any" },
+  },
+  user: {
+    read: { admin: "any" },
+    manage: { admin: "any" },
+  },
+  audit: {
+    read: { admin: "any" },
+  },
+  farm: {
+    read: { admin: "any" },
+  },
+};
+
+// Look up the scope a role has for an action, or null when not allowed
+const getScope = (role, action, resource) =>
+  POLICY[resource]?.[action]?.[role] || null;
+
+const forbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Access denied. Your role does not permit this action.",
+  });
+
+// Allow the request when the policy grants the action, exposing the
+// granted scope as req.permission.scope for the route to enforce
+const can = (action, resource) => (req, res, next) => {
+  const scope = getScope(req.user?.role, action, resource);
+  if (!scope) {
+    return forbidden(res);
+  }
+
+  req.permission = { action, resource, scope };
+  next();
+};
+
+// Check whether the requester may touch records belonging to a farmer,
+// according to the scope granted by can()
+const canAccessFarmer = async (req, farmerId) => {
+  const { scope } = req.permission || {};
+
+  if (scope === "any") return true;
+  if (scope === "own") return String(farmerId) === String(req.user.userId);
+  if (scope === "assigned") {
+    return !!(await User.exists({
+      _id: farmerId,
+      assignedAdvisor: req.user.userId,
+    }));
+  }
+  return false;
+};
+
+module.exports = {
+  POLICY,
+  getScope,
+  can,
+  canAccessFarmer,
+};
@@ -0,0 +1,21 @@
+// middleware/requireVerifiedEmail.js - Verified Email Guard
+// Must run after the auth middleware, which loads req.user. Phone-only
+// accounts have no email to verify, so a verified phone stands in for it.
+const requireVerifiedEmail = (req, res, next) => {
+  const verified =
+    req.user?.isEmailVerified ||
+    (req.user && !req.user.hasEmail && req.user.isPhoneVerified);
+
+  if (!verified) {
+    return res.status(403).json({
+      success: false,
+      message: req.user?.hasEmail
+        ? "Please verify your email address first. Check your inbox for the verification link."
+        : "Please verify your phone number first.",
+    });
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
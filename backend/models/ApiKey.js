@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const { generateApiKey, hashToken } = require("../utils/tokens");
+
+// Scopes a key can be granted
+const API_KEY_SCOPES = [
+  "profile:read",
+  "detections:read",
+  "detections:write",
+  "treatments:read",
+  "weather:read",
+  "sensors:write",
+  "calendar:read",
+];
+
+// Only persist last-used updates this often
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// User-scoped API key for sensors, field devices and partner dashboards
+const ApiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [60, "Key name cannot exceed 60 characters"],
+    },
+    // First characters of the key, shown so farmers can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "At least one scope is required",
+      ],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+ApiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for key validity
+ApiKeySchema.virtual("isValid").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+ApiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record usage, throttled to one write per interval
+ApiKeySchema.methods.touch = function (ipAddress) {
+  const stale =
+    !this.lastUsedAt || Date.now() - this.lastUsedAt >= LAST_USED_INTERVAL_MS;
+  if (!stale && this.lastUsedIp === ipAddress) return Promise.resolve(this);
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  return this.save();
+};
+
+// Get the shape shown to farmers (never includes the key itself)
+ApiKeySchema.methods.getPublicKey = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    isValid: this.isValid,
+  };
+};
+
+// Static method to create a key; the plain key is only returned here
+ApiKeySchema.statics.issue = async function (
+  userId,
+  { name, scopes, expiresAt = null }
+) {
+  const key = generateApiKey();
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, 12),
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt,
+  });
+  return { apiKey, key };
+};
+
+// Static method to find a key by its plain value
+ApiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+// Record of a security-relevant or administrative action
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: String,
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    target: {
+      type: {
+        type: String,
+        trim: true,
+      },
+      id: String,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    ipAddress: String,
+    userAgent: String,
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: existing events can never be changed or removed
+const rejectMutation = function () {
+  throw new Error("Audit log entries are append-only");
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  AuditLogSchema.pre(operation, rejectMutation);
+});
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit log entries are append-only"));
+  next();
+});
+
+// Static method to build a query from admin search filters
+AuditLogSchema.statics.search = function ({
+  actor,
+  action,
+  targetType,
+  targetId,
+  outcome,
+  from,
+  to,
+} = {}) {
+  const query = {};
+  if (actor) query.actor = actor;
+  if (action) {
+    // "auth.*" matches every action in the auth namespace
+    query.action = action.endsWith(".*")
+      ? { $regex: `^${action.slice(0, -2).replace(/\./g, "\\.")}\\.` }
+      : action;
+  }
+  if (targetType) query["target.type"] = targetType;
+  if (targetId) query["target.id"] = String(targetId);
+  if (outcome) query.outcome = outcome;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return this.find(query);
+};
+
+// Static method to get recent events performed by or on a user
+AuditLogSchema.statics.findForUser = function (userId, limit = 20) {
+  return this.find({
+    $or: [
+      { actor: userId },
+      { "target.type": "user", "target.id": String(userId) },
+    ],
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
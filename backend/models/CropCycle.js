@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+
+const CROP_CYCLE_STATUSES = [
+  "planned",
+  "growing",
+  "harvested",
+  "failed",
+  "abandoned",
+];
+
+// Cycles in these states are still in the ground
+const ACTIVE_STATUSES = ["planned", "growing"];
+
+// One season of one crop on a farm (optionally on a specific field)
+const CropCycleSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    // Field the crop is grown on (an entry in the farm's fields)
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    crop: {
+      type: String,
+      required: [true, "Crop is required"],
+      trim: true,
+      maxlength: [50, "Crop cannot exceed 50 characters"],
+    },
+    variety: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Variety cannot exceed 100 characters"],
+    },
+    season: {
+      type: String,
+      enum: ["Kharif", "Rabi", "Zaid", "Perennial", "Other"],
+    },
+    sowingDate: {
+      type: Date,
+      required: [true, "Sowing date is required"],
+    },
+    expectedHarvestDate: Date,
+    actualHarvestDate: Date,
+    // In the farm's farmSize.unit
+    area: {
+      type: Number,
+      min: [0, "Area cannot be negative"],
+    },
+    // Yield aimed for over the cycle's area, used to size fertilizer doses
+    targetYield: {
+      quantity: { type: Number, min: 0 },
+      unit: {
+        type: String,
+        enum: ["kg", "quintal", "tonne"],
+        default: "quintal",
+      },
+    },
+    yield: {
+      quantity: { type: Number, min: 0 },
+      unit: {
+        type: String,
+        enum: ["kg", "quintal", "tonne"],
+        default: "quintal",
+      },
+    },
+    status: {
+      type: String,
+      enum: CROP_CYCLE_STATUSES,
+      default: "planned",
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+CropCycleSchema.index({ farm: 1, sowingDate: -1 });
+CropCycleSchema.index({ farm: 1, status: 1 });
+
+CropCycleSchema.pre("validate", function (next) {
+  if (
+    this.expectedHarvestDate &&
+    this.sowingDate &&
+    this.expectedHarvestDate < this.sowingDate
+  ) {
+    this.invalidate(
+      "expectedHarvestDate",
+      "Expected harvest date cannot be before sowing"
+    );
+  }
+  if (
+    this.actualHarvestDate &&
+    this.sowingDate &&
+    this.actualHarvestDate < this.sowingDate
+  ) {
+    this.invalidate(
+      "actualHarvestDate",
+      "Harvest date cannot be before sowing"
+    );
+  }
+  next();
+});
+
+// A harvested cycle always has a harvest date
+CropCycleSchema.pre("save", function (next) {
+  if (this.status === "harvested" && !this.actualHarvestDate) {
+    this.actualHarvestDate = new Date();
+  }
+  next();
+});
+
+// Virtual for whether the crop is still in the ground
+CropCycleSchema.virtual("isActive").get(function () {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// Virtual for days from sowing to harvest (or to today while growing)
+CropCycleSchema.virtual("durationDays").get(function () {
+  if (!this.sowingDate) return null;
+  const end = this.actualHarvestDate || new Date();
+  return Math.max(
+    Math.floor((end - this.sowingDate) / (1000 * 60 * 60 * 24)),
+    0
+  );
+});
+
+// Static method to find the active cycle of a crop on a farm, preferring
+// the most recently sown one
+CropCycleSchema.statics.findActiveForCrop = function (farmId, crop) {
+  const escaped = crop.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return this.findOne({
+    farm: farmId,
+    crop: { $regex: `^${escaped}$`, $options: "i" },
+    status: { $in: ACTIVE_STATUSES },
+  }).sort({ sowingDate: -1 });
+};
+
+module.exports = mongoose.model("CropCycle", CropCycleSchema);
+module.exports.CROP_CYCLE_STATUSES = CROP_CYCLE_STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
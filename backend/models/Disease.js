@@ -6,7 +6,22 @@ const DiseaseDetectionSchema = new mongoose.Schema(
     farmer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Detections of deleted accounts are kept anonymously for trends
+      required: function () {
+        return !this.anonymized;
+      },
+    },
+    // Shared farm the detection was recorded for
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      default: null,
+    },
+    // Season the disease appeared in
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
     },
     cropType: {
       type: String,
@@ -94,6 +109,16 @@ const DiseaseDetectionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+
+    // Anonymization (account deleted, record kept for regional trends)
+    anonymized: {
+      type: Boolean,
+      default: false,
+    },
+    region: {
+      city: String,
+      state: String,
+    },
   },
   {
     timestamps: true,
@@ -103,9 +128,12 @@ const DiseaseDetectionSchema = new mongoose.Schema(
 
 // Indexes
 DiseaseDetectionSchema.index({ farmer: 1, createdAt: -1 });
+DiseaseDetectionSchema.index({ farm: 1, createdAt: -1 });
+DiseaseDetectionSchema.index({ cropCycle: 1 });
 DiseaseDetectionSchema.index({ "prediction.diseaseName": 1 });
 DiseaseDetectionSchema.index({ cropType: 1 });
 DiseaseDetectionSchema.index({ status: 1 });
+DiseaseDetectionSchema.index({ anonymized: 1, "region.city": 1 });
 
 // Virtual for age of detection
 DiseaseDetectionSchema.virtual("detectionAge").get(function () {
@@ -147,6 +175,14 @@ const TreatmentSchema = new mongoose.Schema(
         required: true,
       },
       dosage: String,
+      // Used to match the product against farm inventory
+      activeIngredient: String,
+      // Product needed per unit of treated area, for stock deduction
+      applicationRate: {
+        amount: { type: Number, min: 0 },
+        unit: { type: String, enum: ["g", "kg", "ml", "l"] },
+        per: { type: String, enum: ["acres", "hectares"], default: "acres" },
+      },
       frequency: String,
       duration: String,
       precautions: [String],
@@ -0,0 +1,306 @@
+const mongoose = require("mongoose");
+const EquipmentLog = require("./EquipmentLog");
+
+const EQUIPMENT_TYPES = ["tractor", "sprayer", "pump", "drip_line", "other"];
+
+const EQUIPMENT_STATUSES = ["active", "under_repair", "retired"];
+
+// What usage is counted in: engine hours for most machines, kilometres for
+// vehicles, acres covered for implements
+const USAGE_UNITS = ["hours", "km", "acres"];
+
+// Equipment coming due within this many days is flagged
+const SERVICE_WARNING_DAYS = 7;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Words in a treatment's equipmentNeeded entry that any machine of a type
+// satisfies, e.g. "Knapsack sprayer" is met by whichever sprayer the farm has
+const TYPE_KEYWORDS = {
+  tractor: ["tractor"],
+  sprayer: ["sprayer"],
+  pump: ["pump"],
+  drip_line: ["drip"],
+};
+
+// A tractor, sprayer, pump or other piece of equipment a farm owns
+const EquipmentSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Equipment name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: EQUIPMENT_TYPES,
+      required: [true, "Equipment type is required"],
+    },
+    make: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Make cannot exceed 50 characters"],
+    },
+    model: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Model cannot exceed 50 characters"],
+    },
+    serialNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Serial number cannot exceed 50 characters"],
+    },
+    purchaseDate: Date,
+    purchasePrice: {
+      amount: { type: Number, min: 0 },
+      currency: { type: String, default: "INR" },
+    },
+    status: {
+      type: String,
+      enum: EQUIPMENT_STATUSES,
+      default: "active",
+    },
+    usageUnit: {
+      type: String,
+      enum: USAGE_UNITS,
+      default: "hours",
+    },
+    // Meter reading (total usage so far) in usageUnit
+    usageReading: {
+      type: Number,
+      min: [0, "Usage cannot be negative"],
+      default: 0,
+    },
+    // Service after this much use or this many days, whichever comes first
+    serviceInterval: {
+      usage: { type: Number, min: 0 },
+      days: { type: Number, min: 0 },
+    },
+    lastService: {
+      date: Date,
+      reading: { type: Number, min: 0 },
+    },
+    // Computed on save from the interval, the last service and the recent
+    // rate of use
+    nextServiceDue: {
+      type: Date,
+      default: null,
+    },
+    nextServiceReading: {
+      type: Number,
+      default: null,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+EquipmentSchema.index({ farm: 1, type: 1 });
+EquipmentSchema.index({ farm: 1, nextServiceDue: 1 });
+
+// Work out when the next service falls due. A usage interval is turned into
+// a date by projecting the rate of use since the last service forward.
+EquipmentSchema.methods.computeNextService = function (now = new Date()) {
+  const since =
+    this.lastService?.date || this.purchaseDate || this.createdAt || now;
+  const sinceReading = this.lastService?.reading ?? 0;
+  const { usage: usageInterval, days: dayInterval } =
+    this.serviceInterval || {};
+
+  let date = dayInterval
+    ? new Date(new Date(since).getTime() + dayInterval * DAY_MS)
+    : null;
+  let reading = null;
+
+  if (usageInterval) {
+    reading = sinceReading + usageInterval;
+    const used = this.usageReading - sinceReading;
+    const elapsedDays = Math.max((now - new Date(since)) / DAY_MS, 1);
+
+    let projected = null;
+    if (used >= usageInterval) {
+      projected = now;
+    } else if (used > 0) {
+      const daysLeft = (usageInterval - used) / (used / elapsedDays);
+      projected = new Date(now.getTime() + daysLeft * DAY_MS);
+    }
+    if (projected && (!date || projected < date)) date = projected;
+  }
+
+  return { date, reading };
+};
+
+EquipmentSchema.pre("save", function (next) {
+  const { date, reading } = this.computeNextService();
+  this.nextServiceDue = date;
+  this.nextServiceReading = reading;
+  next();
+});
+
+// Virtual for usage since the last service
+EquipmentSchema.virtual("usageSinceService").get(function () {
+  return this.usageReading - (this.lastService?.reading ?? 0);
+});
+
+// Virtual for whether the equipment is due (or overdue) for service
+EquipmentSchema.virtual("isServiceDue").get(function () {
+  return (
+    (!!this.nextServiceDue && this.nextServiceDue <= new Date()) ||
+    (this.nextServiceReading != null &&
+      this.usageReading >= this.nextServiceReading)
+  );
+});
+
+// Virtual for days left until the next service (negative once overdue)
+EquipmentSchema.virtual("daysToService").get(function () {
+  if (!this.nextServiceDue) return null;
+  return Math.ceil((this.nextServiceDue - new Date()) / DAY_MS);
+});
+
+// Method to log a stint of use, given either the usage added or the new
+// meter reading
+EquipmentSchema.methods.logUsage = async function ({
+  amount,
+  reading,
+  date,
+  operator,
+  notes,
+  userId,
+}) {
+  const newReading = reading ?? this.usageReading + amount;
+  const added = newReading - this.usageReading;
+
+  this.usageReading = newReading;
+  await this.save();
+
+  return EquipmentLog.create({
+    farm: this.farm,
+    equipment: this._id,
+    kind: "usage",
+    date,
+    amount: added,
+    reading: newReading,
+    operator,
+    notes,
+    createdBy: userId,
+  });
+};
+
+// Method to record a service, which restarts the service interval
+EquipmentSchema.methods.recordService = async function ({
+  date = new Date(),
+  reading,
+  cost,
+  vendor,
+  notes,
+  userId,
+}) {
+  const serviceReading = Math.max(reading ?? 0, this.usageReading);
+
+  this.usageReading = serviceReading;
+  this.lastService = { date, reading: serviceReading };
+  if (this.status === "under_repair") this.status = "active";
+  await this.save();
+
+  return EquipmentLog.create({
+    farm: this.farm,
+    equipment: this._id,
+    kind: "service",
+    date,
+    reading: serviceReading,
+    cost,
+    vendor,
+    notes,
+    createdBy: userId,
+  });
+};
+
+// Static method to find a farm's equipment due for service within a few
+// days, or already past its usage interval
+EquipmentSchema.statics.findDue = function (
+  farmId,
+  { withinDays = SERVICE_WARNING_DAYS } = {}
+) {
+  const horizon = new Date(Date.now() + withinDays * DAY_MS);
+  return this.find({
+    farm: farmId,
+    status: { $ne: "retired" },
+    $or: [
+      { nextServiceDue: { $ne: null, $lte: horizon } },
+      {
+        nextServiceReading: { $ne: null },
+        $expr: { $gte: ["$usageReading", "$nextServiceReading"] },
+      },
+    ],
+  }).sort({ nextServiceDue: 1 });
+};
+
+const matchesNeed = (equipment, need) => {
+  const wanted = need.trim().toLowerCase();
+  const keywords = TYPE_KEYWORDS[equipment.type] || [];
+  if (keywords.some((keyword) => wanted.includes(keyword))) return true;
+
+  const name = equipment.name.toLowerCase();
+  return name.includes(wanted) || wanted.includes(name);
+};
+
+// Check a treatment's equipmentNeeded list against the equipment a farm
+// owns. Needs met only by machines under repair or due for service are
+// reported as unavailable rather than owned.
+const checkEquipmentNeeds = (needed = [], equipment = []) => {
+  const result = { ready: true, owned: [], unavailable: [], missing: [] };
+
+  needed.filter(Boolean).forEach((need) => {
+    const matches = equipment.filter(
+      (item) => item.status !== "retired" && matchesNeed(item, need)
+    );
+    const usable = matches.find(
+      (item) => item.status === "active" && !item.isServiceDue
+    );
+
+    if (usable) {
+      result.owned.push({ need, equipment: usable._id, name: usable.name });
+    } else if (matches.length) {
+      result.unavailable.push({
+        need,
+        equipment: matches.map((item) => ({
+          id: item._id,
+          name: item.name,
+          reason:
+            item.status === "under_repair" ? "under repair" : "service due",
+        })),
+      });
+    } else {
+      result.missing.push(need);
+    }
+  });
+
+  result.ready = !result.unavailable.length && !result.missing.length;
+  return result;
+};
+
+module.exports = mongoose.model("Equipment", EquipmentSchema);
+module.exports.EQUIPMENT_TYPES = EQUIPMENT_TYPES;
+module.exports.EQUIPMENT_STATUSES = EQUIPMENT_STATUSES;
+module.exports.USAGE_UNITS = USAGE_UNITS;
+module.exports.SERVICE_WARNING_DAYS = SERVICE_WARNING_DAYS;
+module.exports.checkEquipmentNeeds = checkEquipmentNeeds;
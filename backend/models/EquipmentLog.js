@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const LOG_KINDS = ["usage", "service"];
+
+// A stint of use or a service visit for a piece of farm equipment
+const EquipmentLogSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Equipment",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: LOG_KINDS,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Usage added by this entry, in the equipment's usage unit
+    amount: {
+      type: Number,
+      min: [0, "Usage cannot be negative"],
+    },
+    // Meter reading once the entry was recorded
+    reading: {
+      type: Number,
+      min: 0,
+    },
+    // Service visits only
+    cost: {
+      amount: { type: Number, min: 0 },
+      currency: { type: String, default: "INR" },
+    },
+    vendor: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Vendor cannot exceed 100 characters"],
+    },
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+EquipmentLogSchema.index({ equipment: 1, date: -1 });
+EquipmentLogSchema.index({ farm: 1, date: -1 });
+
+module.exports = mongoose.model("EquipmentLog", EquipmentLogSchema);
+module.exports.LOG_KINDS = LOG_KINDS;
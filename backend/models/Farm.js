@@ -0,0 +1,382 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { areaIn, validateBoundary } = require("../utils/geo");
+
+// Membership roles, most privileged first
+const FARM_ROLES = ["owner", "manager", "worker", "viewer"];
+
+const roleRank = (role) => FARM_ROLES.length - FARM_ROLES.indexOf(role);
+
+const MemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: FARM_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
+// A field or plot drawn on the map
+const FieldSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Field name is required"],
+      trim: true,
+      maxlength: [100, "Field name cannot exceed 100 characters"],
+    },
+    // GeoJSON Polygon or MultiPolygon in [longitude, latitude] order
+    boundary: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    // Computed from the boundary, in the farm's farmSize.unit
+    area: Number,
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+FieldSchema.pre("validate", function (next) {
+  const message = validateBoundary(this.toObject().boundary);
+  if (message) this.invalidate("boundary", message);
+  next();
+});
+
+// A farm shared by a family or cooperative across several accounts
+const FarmSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Farm name is required"],
+      trim: true,
+      maxlength: [100, "Farm name cannot exceed 100 characters"],
+    },
+    location: {
+      address: String,
+      city: String,
+      state: String,
+      country: { type: String, default: "India" },
+      zipCode: String,
+      coordinates: {
+        latitude: Number,
+        longitude: Number,
+      },
+    },
+    farmSize: {
+      value: Number,
+      unit: { type: String, enum: ["acres", "hectares"], default: "acres" },
+    },
+    fields: [FieldSchema],
+    cropTypes: [
+      {
+        name: String,
+        variety: String,
+        plantingDate: Date,
+        expectedHarvestDate: Date,
+        area: Number,
+        // Field the crop is grown on (an entry in fields)
+        field: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+      },
+    ],
+    soilType: {
+      type: String,
+      enum: ["Clay", "Sandy", "Loamy", "Silt", "Peaty", "Chalky", "Other"],
+    },
+    irrigationType: {
+      type: String,
+      enum: ["Drip", "Sprinkler", "Flood", "Manual", "Rain-fed", "Other"],
+    },
+    members: {
+      type: [MemberSchema],
+      validate: [
+        (members) => members.some((member) => member.role === "owner"),
+        "A farm needs at least one owner",
+      ],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Archived farms keep their history but drop out of day-to-day lists
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+FarmSchema.index({ "members.user": 1 });
+FarmSchema.index({ "location.city": 1 });
+FarmSchema.index({ "fields.boundary": "2dsphere" });
+
+// Crops can only be assigned to fields of the same farm
+FarmSchema.pre("validate", function (next) {
+  this.cropTypes.forEach((crop, index) => {
+    if (crop.field && !this.fields.id(crop.field)) {
+      this.invalidate(
+        `cropTypes.${index}.field`,
+        "Crop is assigned to a field that is not on this farm"
+      );
+    }
+  });
+  next();
+});
+
+// Field areas are always computed from their boundaries; once a farm has
+// fields, its size is their total
+FarmSchema.pre("save", function (next) {
+  const unit = this.farmSize?.unit || "acres";
+  this.fields.forEach((field) => {
+    field.area = areaIn(field.boundary, unit);
+  });
+
+  if (this.fields.length > 0) {
+    const total = this.fields.reduce((sum, field) => sum + field.area, 0);
+    this.set("farmSize.value", Math.round(total * 1e4) / 1e4);
+    this.set("farmSize.unit", unit);
+  }
+  next();
+});
+
+// Clear out records that only make sense with the farm; detections stay
+// with the farmers who made them. Models are required here rather than at
+// the top because FarmInvitation imports this file.
+FarmSchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  async function () {
+    const FarmInvitation = require("./FarmInvitation");
+    const CropCycle = require("./CropCycle");
+    const FarmActivity = require("./FarmActivity");
+    const InventoryItem = require("./InventoryItem");
+    const LedgerEntry = require("./LedgerEntry");
+    const HarvestRecord = require("./HarvestRecord");
+    const SoilTest = require("./SoilTest");
+    const Equipment = require("./Equipment");
+    const EquipmentLog = require("./EquipmentLog");
+    const LabourWorker = require("./LabourWorker");
+    const LabourAttendance = require("./LabourAttendance");
+    const LabourPayment = require("./LabourPayment");
+    const User = require("./User");
+    const { DiseaseDetection } = require("./Disease");
+
+    const activities = await FarmActivity.find({
+      farm: this._id,
+      "photos.0": { $exists: true },
+    }).select("photos");
+
+    await Promise.all([
+      FarmInvitation.deleteMany({ farm: this._id }),
+      CropCycle.deleteMany({ farm: this._id }),
+      FarmActivity.deleteMany({ farm: this._id }),
+      InventoryItem.deleteMany({ farm: this._id }),
+      LedgerEntry.deleteMany({ farm: this._id }),
+      HarvestRecord.deleteMany({ farm: this._id }),
+      SoilTest.deleteMany({ farm: this._id }),
+      Equipment.deleteMany({ farm: this._id }),
+      EquipmentLog.deleteMany({ farm: this._id }),
+      LabourWorker.deleteMany({ farm: this._id }),
+      LabourAttendance.deleteMany({ farm: this._id }),
+      LabourPayment.deleteMany({ farm: this._id }),
+      DiseaseDetection.updateMany(
+        { farm: this._id },
+        { $unset: { farm: "", cropCycle: "" } }
+      ),
+      User.updateMany({ activeFarm: this._id }, { $set: { activeFarm: null } }),
+    ]);
+
+    // Activity photos are files on disk, not part of the records above
+    await Promise.all(
+      activities
+        .flatMap((activity) => activity.photos)
+        .filter((photo) => photo.path)
+        .map((photo) =>
+          fs.promises.unlink(photo.path).catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+          })
+        )
+    );
+  }
+);
+
+// Get a user's membership, or null when they are not a member
+FarmSchema.methods.getMember = function (userId) {
+  return (
+    this.members.find((member) => member.user.equals(String(userId))) || null
+  );
+};
+
+// Check whether a user holds at least the given role on this farm
+FarmSchema.methods.hasRole = function (userId, minRole) {
+  const member = this.getMember(userId);
+  return !!member && roleRank(member.role) >= roleRank(minRole);
+};
+
+FarmSchema.methods.countOwners = function () {
+  return this.members.filter((member) => member.role === "owner").length;
+};
+
+// Get the farm as seen by one of its members
+FarmSchema.methods.getPublicFarm = function (userId) {
+  const farm = this.toObject();
+  farm.myRole = this.getMember(userId)?.role || null;
+  return farm;
+};
+
+// Get the entity tag clients send back in If-Match so that two devices
+// editing the farm don't overwrite each other
+FarmSchema.methods.getETag = function () {
+  return `"${this.updatedAt.getTime().toString(36)}"`;
+};
+
+// Get the farm's fields as a GeoJSON FeatureCollection for map rendering
+FarmSchema.methods.toFeatureCollection = function () {
+  return {
+    type: "FeatureCollection",
+    features: this.fields.map((field) => ({
+      type: "Feature",
+      id: String(field._id),
+      geometry: field.boundary,
+      properties: {
+        id: field._id,
+        name: field.name,
+        area: field.area,
+        unit: this.farmSize?.unit || "acres",
+        notes: field.notes,
+        crops: this.cropTypes
+          .filter((crop) => crop.field && crop.field.equals(field._id))
+          .map((crop) => ({
+            id: crop._id,
+            name: crop.name,
+            variety: crop.variety,
+          })),
+      },
+    })),
+  };
+};
+
+// Static method to list farms a user belongs to
+FarmSchema.statics.findForUser = function (
+  userId,
+  { includeArchived = false } = {}
+) {
+  return this.find({
+    "members.user": userId,
+    ...(!includeArchived && { archivedAt: null }),
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to get the farm new records default to: the first active
+// farm the user owns, otherwise the first active farm they belong to
+FarmSchema.statics.findDefaultForUser = async function (userId) {
+  return (
+    (await this.findOne({
+      members: { $elemMatch: { user: userId, role: "owner" } },
+      archivedAt: null,
+    }).sort({ createdAt: 1 })) ||
+    this.findOne({ "members.user": userId, archivedAt: null }).sort({
+      createdAt: 1,
+    })
+  );
+};
+
+// Static method to resolve the farm a user is working on: the one they
+// selected while it is still usable, otherwise their default farm
+FarmSchema.statics.findCurrentForUser = async function (user) {
+  if (user.activeFarm) {
+    const farm = await this.findOne({
+      _id: user.activeFarm,
+      "members.user": user._id,
+      archivedAt: null,
+    });
+    if (farm) return farm;
+  }
+  return this.findDefaultForUser(user._id);
+};
+
+// Static method to create a farm with the creator as its owner
+FarmSchema.statics.createWithOwner = function (userId, data) {
+  return this.create({
+    ...data,
+    createdBy: userId,
+    members: [{ user: userId, role: "owner", addedBy: userId }],
+  });
+};
+
+// Static method to turn a legacy embedded farmDetails document into a farm
+FarmSchema.statics.createFromFarmDetails = function (userId, farmDetails) {
+  const { farmName, ...details } = farmDetails || {};
+  return this.createWithOwner(userId, {
+    ...details,
+    name: farmName || "My Farm",
+  });
+};
+
+// Static method to drop a user from every farm: farms left without members
+// are deleted, and farms left without an owner pass to the most senior
+// remaining member
+FarmSchema.statics.releaseMember = async function (userId) {
+  const farms = await this.find({ "members.user": userId });
+  let deleted = 0;
+
+  for (const farm of farms) {
+    farm.members = farm.members.filter(
+      (member) => !member.user.equals(String(userId))
+    );
+
+    if (farm.members.length === 0) {
+      await farm.deleteOne();
+      deleted += 1;
+      continue;
+    }
+
+    if (farm.countOwners() === 0) {
+      const successor = [...farm.members].sort(
+        (a, b) => roleRank(b.role) - roleRank(a.role) || a.joinedAt - b.joinedAt
+      )[0];
+      successor.role = "owner";
+    }
+    await farm.save();
+  }
+
+  return { updated: farms.length - deleted, deleted };
+};
+
+module.exports = mongoose.model("Farm", FarmSchema);
+module.exports.FARM_ROLES = FARM_ROLES;
+module.exports.roleRank = roleRank;
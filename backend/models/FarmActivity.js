@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const CropCycle = require("./CropCycle");
+
+const ACTIVITY_TYPES = [
+  "sowing",
+  "irrigation",
+  "fertilizer",
+  "spraying",
+  "weeding",
+  "harvest",
+  "other",
+];
+
+const MAX_PHOTOS = 10;
+
+// One dated entry in a farm's activity journal
+const FarmActivitySchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    // Field the work was done on (an entry in the farm's fields)
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ACTIVITY_TYPES,
+      required: [true, "Activity type is required"],
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // What was used or produced, e.g. 50 kg urea or 2 hours of irrigation
+    quantities: [
+      {
+        item: { type: String, trim: true, required: true },
+        amount: { type: Number, min: 0, required: true },
+        unit: { type: String, trim: true, required: true },
+        _id: false,
+      },
+    ],
+    // Member who did the work; operatorName covers hired hands without an
+    // account
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    operatorName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Operator name cannot exceed 100 characters"],
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    photos: {
+      type: [
+        {
+          filename: String,
+          path: String,
+          size: Number,
+          mimetype: String,
+          uploadedAt: { type: Date, default: Date.now },
+        },
+      ],
+      validate: [
+        (photos) => photos.length <= MAX_PHOTOS,
+        `An activity can have at most ${MAX_PHOTOS} photos`,
+      ],
+    },
+    // Set when the entry was written automatically, e.g. by a treatment
+    source: {
+      type: String,
+      enum: ["manual", "treatment"],
+      default: "manual",
+    },
+    detection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DiseaseDetection",
+    },
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+FarmActivitySchema.index({ farm: 1, date: -1 });
+FarmActivitySchema.index({ farm: 1, field: 1, date: -1 });
+FarmActivitySchema.index({ cropCycle: 1, date: -1 });
+
+// Static method to build a timeline query for a farm
+FarmActivitySchema.statics.timeline = function (
+  farmId,
+  { field, cropCycle, type, from, to } = {}
+) {
+  const query = { farm: farmId };
+  if (field) query.field = field;
+  if (cropCycle) query.cropCycle = cropCycle;
+  if (type) query.type = type;
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = new Date(from);
+    if (to) query.date.$lte = new Date(to);
+  }
+  return this.find(query).sort({ date: -1, createdAt: -1 });
+};
+
+// Static method to journal a treatment application as a spraying entry on
+// the detection's farm; the field comes from the detection's crop cycle.
+// No membership check happens here: callers must make sure userId holds at
+// least the worker role on the farm and that it isn't archived.
+FarmActivitySchema.statics.recordTreatment = async function (
+  detection,
+  treatment,
+  userId,
+  { quantities = [], notes } = {}
+) {
+  const cycle = detection.cropCycle
+    ? await CropCycle.findById(detection.cropCycle).select("field")
+    : null;
+  const product = treatment?.treatment?.method || "Treatment";
+
+  return this.create({
+    farm: detection.farm,
+    field: cycle?.field || null,
+    cropCycle: detection.cropCycle || null,
+    type: "spraying",
+    date: new Date(),
+    quantities: quantities.map((quantity) => ({ item: product, ...quantity })),
+    operator: userId,
+    notes:
+      notes ||
+      [
+        `${product} for ${detection.prediction?.diseaseName || "disease"}`,
+        treatment?.treatment?.dosage && `dosage ${treatment.treatment.dosage}`,
+      ]
+        .filter(Boolean)
+        .join(", "),
+    source: "treatment",
+    detection: detection._id,
+    treatment: treatment?._id,
+    createdBy: userId,
+  });
+};
+
+module.exports = mongoose.model("FarmActivity", FarmActivitySchema);
+module.exports.ACTIVITY_TYPES = ACTIVITY_TYPES;
+module.exports.MAX_PHOTOS = MAX_PHOTOS;
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const { normalizePhone } = require("../utils/sms");
+const { generateResetToken, hashToken } = require("../utils/tokens");
+const { FARM_ROLES } = require("./Farm");
+
+const INVITATION_EXPIRE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Invitation to join a farm, sent by email or SMS
+const FarmInvitationSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    role: {
+      type: String,
+      // Ownership is handed over by changing a member's role, not by invite
+      enum: FARM_ROLES.filter((role) => role !== "owner"),
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: [
+        function () {
+          return !this.phone;
+        },
+        "Email or phone number is required",
+      ],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      set: normalizePhone,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes - expired invitations are kept for a month, then dropped
+FarmInvitationSchema.index({ farm: 1, createdAt: -1 });
+FarmInvitationSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+// Virtual for invitation status
+FarmInvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Check whether an invitation was addressed to this user
+FarmInvitationSchema.methods.isAddressedTo = function (user) {
+  if (this.email) return !!user.email && user.email === this.email;
+  return !!user.phone && user.phone === this.phone;
+};
+
+// Static method to create an invitation; the plain token is only returned here
+FarmInvitationSchema.statics.issue = async function (
+  farmId,
+  { role, email, phone, invitedBy }
+) {
+  const token = generateResetToken();
+  const invitation = await this.create({
+    farm: farmId,
+    role,
+    ...(email ? { email } : { phone }),
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRE_MS),
+  });
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its plain token
+FarmInvitationSchema.statics.findByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to revoke pending invitations for the same contact on a farm
+FarmInvitationSchema.statics.revokePending = function (
+  farmId,
+  { email, phone }
+) {
+  return this.updateMany(
+    {
+      farm: farmId,
+      ...(email
+        ? { email: email.toLowerCase() }
+        : { phone: normalizePhone(phone) }),
+      acceptedAt: null,
+      revokedAt: null,
+    },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model("FarmInvitation", FarmInvitationSchema);
@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+const Farm = require("./Farm");
+const CropCycle = require("./CropCycle");
+const User = require("./User");
+
+const QUALITY_GRADES = ["A", "B", "C", "Rejected"];
+
+// Conversion of harvest units to quintals, the unit yields are compared in
+const QUINTALS_PER_UNIT = { kg: 0.01, quintal: 1, tonne: 10 };
+
+// One picking or harvest of a crop, with what was sold
+const HarvestRecordSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    // Field harvested (an entry in the farm's fields)
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
+    },
+    crop: {
+      type: String,
+      required: [true, "Crop is required"],
+      trim: true,
+      maxlength: [50, "Crop cannot exceed 50 characters"],
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Harvested quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    unit: {
+      type: String,
+      enum: Object.keys(QUINTALS_PER_UNIT),
+      default: "quintal",
+    },
+    // Area harvested, in the farm's farmSize.unit
+    area: {
+      type: Number,
+      min: [0, "Area cannot be negative"],
+    },
+    qualityGrade: {
+      type: String,
+      enum: QUALITY_GRADES,
+    },
+    sale: {
+      buyer: { type: String, trim: true },
+      quantitySold: { type: Number, min: 0 },
+      // Per unit of the harvest's unit
+      pricePerUnit: { type: Number, min: 0 },
+      amount: { type: Number, min: 0 },
+      currency: { type: String, default: "INR" },
+      soldAt: Date,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+HarvestRecordSchema.index({ farm: 1, date: -1 });
+HarvestRecordSchema.index({ cropCycle: 1 });
+
+// The sale amount defaults to quantity sold times price
+HarvestRecordSchema.pre("save", function (next) {
+  const sale = this.sale;
+  if (
+    sale &&
+    sale.amount == null &&
+    sale.quantitySold != null &&
+    sale.pricePerUnit != null
+  ) {
+    sale.amount = Math.round(sale.quantitySold * sale.pricePerUnit * 100) / 100;
+  }
+  next();
+});
+
+// Virtual for whether the harvest counts towards the farmer's record
+HarvestRecordSchema.virtual("isSuccessful").get(function () {
+  return this.quantity > 0 && this.qualityGrade !== "Rejected";
+});
+
+// Virtual for yield per unit of area, in the record's unit per farm unit
+HarvestRecordSchema.virtual("yieldPerArea").get(function () {
+  if (!this.area) return null;
+  return Math.round((this.quantity / this.area) * 100) / 100;
+});
+
+// Static method to total yields per crop and year, in quintals. Pickings
+// from one crop cycle share its area, so they are summed before the area is
+// counted.
+HarvestRecordSchema.statics.yieldHistory = function (
+  farmId,
+  { crop, field, from, to } = {}
+) {
+  const match = { farm: new mongoose.Types.ObjectId(String(farmId)) };
+  if (crop) match.crop = { $regex: `^${crop}$`, $options: "i" };
+  if (field) match.field = new mongoose.Types.ObjectId(String(field));
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ["$cropCycle", "$_id"] },
+        crop: { $first: "$crop" },
+        year: { $min: { $year: "$date" } },
+        quintals: {
+          $sum: {
+            $multiply: [
+              "$quantity",
+              {
+                $switch: {
+                  branches: Object.entries(QUINTALS_PER_UNIT).map(
+                    ([unit, factor]) => ({
+                      case: { $eq: ["$unit", unit] },
+                      then: factor,
+                    })
+                  ),
+                  default: 1,
+                },
+              },
+            ],
+          },
+        },
+        area: { $max: "$area" },
+        harvests: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: { crop: { $toLower: "$crop" }, year: "$year" },
+        crop: { $first: "$crop" },
+        year: { $first: "$year" },
+        quintals: { $sum: "$quintals" },
+        area: { $sum: { $ifNull: ["$area", 0] } },
+        harvests: { $sum: "$harvests" },
+      },
+    },
+    { $sort: { crop: 1, year: 1 } },
+  ]);
+};
+
+// Static method to set a crop cycle's yield to the total of its harvests,
+// in the cycle's yield unit
+HarvestRecordSchema.statics.syncCycleYield = async function (cycleId) {
+  const cycle = await CropCycle.findById(cycleId);
+  if (!cycle) return null;
+
+  const records = await this.find({ cropCycle: cycleId }).select(
+    "quantity unit"
+  );
+  const quintals = records.reduce(
+    (total, record) =>
+      total + record.quantity * QUINTALS_PER_UNIT[record.unit || "quintal"],
+    0
+  );
+  const unit = cycle.yield?.unit || "quintal";
+
+  cycle.set(
+    "yield.quantity",
+    records.length
+      ? Math.round((quintals / QUINTALS_PER_UNIT[unit]) * 100) / 100
+      : undefined
+  );
+  cycle.set("yield.unit", unit);
+  return cycle.save();
+};
+
+// Static method to count the successful harvests recorded on some farms
+HarvestRecordSchema.statics.countSuccessful = function (farmIds) {
+  return this.countDocuments({
+    farm: { $in: farmIds },
+    quantity: { $gt: 0 },
+    qualityGrade: { $ne: "Rejected" },
+  });
+};
+
+// Static method to recount successful harvests on each user's farms into
+// User.stats.successfulHarvests
+HarvestRecordSchema.statics.refreshHarvestStats = async function (userIds) {
+  for (const userId of userIds) {
+    const farms = await Farm.find({ "members.user": userId }).select("_id");
+    const count = await this.countSuccessful(farms.map((farm) => farm._id));
+    await User.updateOne(
+      { _id: userId },
+      { $set: { "stats.successfulHarvests": count } }
+    );
+  }
+};
+
+module.exports = mongoose.model("HarvestRecord", HarvestRecordSchema);
+module.exports.QUALITY_GRADES = QUALITY_GRADES;
+module.exports.QUINTALS_PER_UNIT = QUINTALS_PER_UNIT;
@@ -0,0 +1,274 @@
+const mongoose = require("mongoose");
+const Farm = require("./Farm");
+const CropCycle = require("./CropCycle");
+const { convertArea } = require("../utils/geo");
+const {
+  QUANTITY_UNITS,
+  convertQuantity,
+  roundQuantity,
+} = require("../utils/units");
+
+const INPUT_CATEGORIES = [
+  "fungicide",
+  "insecticide",
+  "herbicide",
+  "fertilizer",
+  "bio-input",
+  "seed",
+  "other",
+];
+
+// Items expiring within this many days are flagged
+const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// One purchased batch of a farm input such as a fungicide or fertilizer
+const InventoryItemSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    product: {
+      type: String,
+      required: [true, "Product name is required"],
+      trim: true,
+      maxlength: [100, "Product name cannot exceed 100 characters"],
+    },
+    activeIngredient: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Active ingredient cannot exceed 100 characters"],
+    },
+    category: {
+      type: String,
+      enum: INPUT_CATEGORIES,
+      default: "other",
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    unit: {
+      type: String,
+      enum: QUANTITY_UNITS,
+      required: [true, "Unit is required"],
+    },
+    batch: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Batch number cannot exceed 50 characters"],
+    },
+    expiryDate: Date,
+    purchaseDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // Total paid for the batch
+    purchasePrice: {
+      amount: { type: Number, min: 0 },
+      currency: { type: String, default: "INR" },
+    },
+    supplier: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Supplier cannot exceed 100 characters"],
+    },
+    // Alert when stock falls to this level (in the item's unit)
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+InventoryItemSchema.index({ farm: 1, product: 1 });
+InventoryItemSchema.index({ farm: 1, expiryDate: 1 });
+
+// Virtual for whether the batch has run low
+InventoryItemSchema.virtual("isLowStock").get(function () {
+  return this.quantity <= (this.lowStockThreshold || 0);
+});
+
+// Virtual for whether the batch is past its expiry date
+InventoryItemSchema.virtual("isExpired").get(function () {
+  return !!this.expiryDate && this.expiryDate < new Date();
+});
+
+// Virtual for days left until expiry (negative once expired)
+InventoryItemSchema.virtual("daysToExpiry").get(function () {
+  if (!this.expiryDate) return null;
+  return Math.ceil((this.expiryDate - new Date()) / DAY_MS);
+});
+
+// Static method to find a farm's low-stock, expiring and expired batches
+InventoryItemSchema.statics.findAlerts = async function (
+  farmId,
+  { withinDays = EXPIRY_WARNING_DAYS } = {}
+) {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + withinDays * DAY_MS);
+
+  const [lowStock, expiring, expired] = await Promise.all([
+    this.find({
+      farm: farmId,
+      $expr: { $lte: ["$quantity", { $ifNull: ["$lowStockThreshold", 0] }] },
+    }).sort({ product: 1 }),
+    this.find({
+      farm: farmId,
+      quantity: { $gt: 0 },
+      expiryDate: { $gte: now, $lte: horizon },
+    }).sort({ expiryDate: 1 }),
+    this.find({
+      farm: farmId,
+      quantity: { $gt: 0 },
+      expiryDate: { $lt: now },
+    }).sort({ expiryDate: 1 }),
+  ]);
+
+  return { lowStock, expiring, expired };
+};
+
+// Static method to find usable stock of a treatment's product, first
+// expiring first; batches without an expiry date come last
+InventoryItemSchema.statics.findStockForTreatment = async function (
+  farmId,
+  treatment
+) {
+  const names = [treatment?.treatment?.activeIngredient]
+    .concat(treatment?.treatment?.method)
+    .filter(Boolean)
+    .map((name) => new RegExp(`^${escapeRegex(name.trim())}$`, "i"));
+  if (names.length === 0) return [];
+
+  const batches = await this.find({
+    farm: farmId,
+    quantity: { $gt: 0 },
+    $and: [
+      {
+        $or: [
+          { activeIngredient: { $in: names } },
+          { product: { $in: names } },
+        ],
+      },
+      { $or: [{ expiryDate: null }, { expiryDate: { $gte: new Date() } }] },
+    ],
+  });
+
+  return batches.sort(
+    (a, b) =>
+      (a.expiryDate || Infinity) - (b.expiryDate || Infinity) ||
+      a.createdAt - b.createdAt
+  );
+};
+
+// Static method to take an amount out of the given batches in order. Each
+// batch is decremented atomically so concurrent applications cannot push
+// stock below zero. Returns what was taken and any shortfall.
+InventoryItemSchema.statics.deduct = async function (batches, amount, unit) {
+  let remaining = amount;
+  const deductions = [];
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const wanted = convertQuantity(remaining, unit, batch.unit);
+    if (wanted === null) continue;
+
+    const take = roundQuantity(Math.min(batch.quantity, wanted));
+    if (take <= 0) continue;
+
+    const updated = await this.findOneAndUpdate(
+      { _id: batch._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    deductions.push({
+      item: updated._id,
+      product: updated.product,
+      amount: take,
+      unit: updated.unit,
+      remaining: updated.quantity,
+      isLowStock: updated.isLowStock,
+    });
+    remaining -= convertQuantity(take, updated.unit, unit);
+  }
+
+  remaining = roundQuantity(Math.max(remaining, 0));
+  return {
+    deductions,
+    shortfall: remaining > 0 ? { amount: remaining, unit } : null,
+  };
+};
+
+// Static method to deduct the stock used by a treatment on a detection's
+// farm. The amount is given explicitly or worked out from the treatment's
+// application rate and the treated area (defaulting to the crop cycle's
+// area, then its field's). Returns null when no amount can be worked out.
+// Callers must check the user may record work on the farm.
+InventoryItemSchema.statics.deductForTreatment = async function (
+  detection,
+  treatment,
+  { amount, unit, area, itemId } = {}
+) {
+  const farm = await Farm.findById(detection.farm);
+  if (!farm) return null;
+
+  let needed = null;
+  if (amount !== undefined && unit) {
+    needed = { amount: Number(amount), unit };
+  } else {
+    const rate = treatment?.treatment?.applicationRate;
+    if (!rate?.amount || !rate.unit) return null;
+
+    let treatedArea = area !== undefined ? Number(area) : null;
+    if (treatedArea === null && detection.cropCycle) {
+      const cycle = await CropCycle.findById(detection.cropCycle);
+      treatedArea =
+        cycle?.area ?? (cycle?.field && farm.fields.id(cycle.field)?.area);
+    }
+    if (!treatedArea) return null;
+
+    const farmUnit = farm.farmSize?.unit || "acres";
+    needed = {
+      amount: roundQuantity(
+        rate.amount * convertArea(treatedArea, farmUnit, rate.per || "acres")
+      ),
+      unit: rate.unit,
+    };
+  }
+
+  const batches = itemId
+    ? await this.find({ _id: itemId, farm: farm._id })
+    : await this.findStockForTreatment(farm._id, treatment);
+
+  return {
+    needed,
+    ...(await this.deduct(batches, needed.amount, needed.unit)),
+  };
+};
+
+module.exports = mongoose.model("InventoryItem", InventoryItemSchema);
+module.exports.INPUT_CATEGORIES = INPUT_CATEGORIES;
+module.exports.EXPIRY_WARNING_DAYS = EXPIRY_WARNING_DAYS;
@@ -0,0 +1,305 @@
+const mongoose = require("mongoose");
+const LabourWorker = require("./LabourWorker");
+const LabourPayment = require("./LabourPayment");
+const LedgerEntry = require("./LedgerEntry");
+const CropCycle = require("./CropCycle");
+
+const ATTENDANCE_STATUSES = ["present", "half_day", "absent"];
+
+// Share of a daily wage earned for each status
+const DAY_FRACTIONS = { present: 1, half_day: 0.5, absent: 0 };
+
+const SETTLEMENT_GROUPS = ["worker", "cropCycle"];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Attendance is kept per calendar day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+  );
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A labourer's day on the farm and the wage it earned
+const LabourAttendanceSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LabourWorker",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    // Crop cycle the day's work is costed to
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
+    },
+    // Field worked (an entry in the farm's fields)
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    task: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Task cannot exceed 100 characters"],
+    },
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+      default: "present",
+    },
+    // Wage terms copied from the worker when the day was recorded
+    wageType: {
+      type: String,
+      enum: LabourWorker.WAGE_TYPES,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, "Rate cannot be negative"],
+    },
+    // Work done, for piece-rate days
+    pieces: {
+      quantity: { type: Number, min: 0 },
+      unit: { type: String, trim: true },
+    },
+    // Computed from the status or pieces and the rate
+    wage: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    clientId: {
+      type: String,
+      trim: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+LabourAttendanceSchema.index({ farm: 1, date: -1 });
+LabourAttendanceSchema.index({ worker: 1, date: -1 });
+LabourAttendanceSchema.index({ farm: 1, updatedAt: 1 });
+LabourAttendanceSchema.index(
+  { farm: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+LabourAttendanceSchema.pre("validate", function (next) {
+  if (this.date) this.date = startOfDay(this.date);
+
+  if (this.status === "absent") {
+    this.wage = 0;
+  } else if (this.wageType === "piece_rate") {
+    this.wage = round2((this.pieces?.quantity || 0) * this.rate);
+  } else {
+    this.wage = round2(this.rate * DAY_FRACTIONS[this.status]);
+  }
+  next();
+});
+
+// Static method to write one day's wages on a crop cycle (or on no cycle)
+// to the ledger as a single labour expense per currency, so labour shows
+// up in cost per acre and gross margin as it is earned
+LabourAttendanceSchema.statics.syncWageBill = async function (
+  farmId,
+  date,
+  cropCycle,
+  userId
+) {
+  const day = startOfDay(date);
+  const cycle = cropCycle ? toObjectId(cropCycle) : null;
+
+  const totals = await this.aggregate([
+    {
+      $match: {
+        farm: toObjectId(farmId),
+        date: day,
+        cropCycle: cycle,
+        deletedAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: "$currency",
+        amount: { $sum: "$wage" },
+        workers: { $addToSet: "$worker" },
+      },
+    },
+    { $match: { amount: { $gt: 0 } } },
+  ]);
+
+  const key = { farm: farmId, labourDay: day, cropCycle: cycle };
+  await LedgerEntry.deleteMany({
+    ...key,
+    currency: { $nin: totals.map((total) => total._id) },
+  });
+
+  return Promise.all(
+    totals.map((total) =>
+      LedgerEntry.findOneAndUpdate(
+        { ...key, currency: total._id },
+        {
+          $set: {
+            kind: "expense",
+            category: "labour",
+            amount: round2(total.amount),
+            date: day,
+            description: `Wages for ${total.workers.length} worker(s)`,
+          },
+          $setOnInsert: { createdBy: userId },
+        },
+        { upsert: true, new: true }
+      )
+    )
+  );
+};
+
+// Static method to total wages earned, advances and settlements per worker
+// or per crop cycle. A positive balance is still owed to the workers; a
+// negative one is advance not yet worked off.
+LabourAttendanceSchema.statics.settlement = async function (
+  farmId,
+  { groupBy = "worker", worker, cropCycle, from, to } = {}
+) {
+  const match = { farm: toObjectId(farmId), deletedAt: null };
+  if (worker) match.worker = toObjectId(worker);
+  if (cropCycle) match.cropCycle = toObjectId(cropCycle);
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+  const groupKey = { key: `$${groupBy}`, currency: "$currency" };
+
+  const [earned, paid] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupKey,
+          daysWorked: {
+            $sum: {
+              $switch: {
+                branches: Object.entries(DAY_FRACTIONS).map(
+                  ([status, fraction]) => ({
+                    case: { $eq: ["$status", status] },
+                    then: fraction,
+                  })
+                ),
+                default: 0,
+              },
+            },
+          },
+          wages: { $sum: "$wage" },
+        },
+      },
+    ]),
+    LabourPayment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupKey,
+          advances: {
+            $sum: { $cond: [{ $eq: ["$kind", "advance"] }, "$amount", 0] },
+          },
+          settled: {
+            $sum: { $cond: [{ $eq: ["$kind", "settlement"] }, "$amount", 0] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ key, currency }) => {
+    const id = `${key}:${currency}`;
+    if (!rows.has(id)) {
+      rows.set(id, {
+        [groupBy]: key,
+        currency,
+        daysWorked: 0,
+        earned: 0,
+        advances: 0,
+        settled: 0,
+      });
+    }
+    return rows.get(id);
+  };
+  earned.forEach(({ _id, daysWorked, wages }) =>
+    Object.assign(rowFor(_id), { daysWorked, earned: round2(wages) })
+  );
+  paid.forEach(({ _id, advances, settled }) =>
+    Object.assign(rowFor(_id), {
+      advances: round2(advances),
+      settled: round2(settled),
+    })
+  );
+
+  // Name each row after its worker or crop cycle
+  const ids = [...rows.values()].map((row) => row[groupBy]).filter(Boolean);
+  const names = new Map(
+    groupBy === "worker"
+      ? (await LabourWorker.find({ _id: { $in: ids } }).select("name")).map(
+          (doc) => [String(doc._id), doc.name]
+        )
+      : (
+          await CropCycle.find({ _id: { $in: ids } }).select(
+            "crop season sowingDate"
+          )
+        ).map((doc) => [
+          String(doc._id),
+          [doc.crop, doc.season, doc.sowingDate?.getUTCFullYear()]
+            .filter(Boolean)
+            .join(" "),
+        ])
+  );
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      name: row[groupBy] ? names.get(String(row[groupBy])) || null : null,
+      balance: round2(row.earned - row.advances - row.settled),
+    }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+};
+
+module.exports = mongoose.model("LabourAttendance", LabourAttendanceSchema);
+module.exports.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+module.exports.SETTLEMENT_GROUPS = SETTLEMENT_GROUPS;
+module.exports.startOfDay = startOfDay;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const PAYMENT_KINDS = ["advance", "settlement"];
+
+const PAYMENT_METHODS = ["cash", "upi", "bank", "other"];
+
+// Money handed to a labourer: an advance against wages to come, or a
+// settlement of wages earned. Wages are booked to the ledger as they are
+// earned, so payments don't appear there again.
+const LabourPaymentSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LabourWorker",
+      required: true,
+    },
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: PAYMENT_KINDS,
+      required: [true, "Payment kind is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "cash",
+    },
+    // UPI or bank transaction reference
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot exceed 100 characters"],
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    clientId: {
+      type: String,
+      trim: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+LabourPaymentSchema.index({ farm: 1, worker: 1, date: -1 });
+LabourPaymentSchema.index({ farm: 1, updatedAt: 1 });
+LabourPaymentSchema.index(
+  { farm: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("LabourPayment", LabourPaymentSchema);
+module.exports.PAYMENT_KINDS = PAYMENT_KINDS;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
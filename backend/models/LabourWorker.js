@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const WAGE_TYPES = ["daily", "piece_rate"];
+
+// A seasonal or permanent farm labourer (not necessarily a Vriddhi user)
+const LabourWorkerSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Worker name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    village: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Village cannot exceed 100 characters"],
+    },
+    wageType: {
+      type: String,
+      enum: WAGE_TYPES,
+      default: "daily",
+    },
+    // Per full day worked
+    dailyWage: {
+      type: Number,
+      min: [0, "Wage cannot be negative"],
+    },
+    // Per unit of work, e.g. 8 per kg of cotton picked
+    pieceRate: {
+      amount: { type: Number, min: 0 },
+      unit: { type: String, trim: true },
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    joinedOn: Date,
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    // Id the dashboard gave the record while offline, so a replayed sync
+    // doesn't create it twice
+    clientId: {
+      type: String,
+      trim: true,
+    },
+    // Deleted records are kept as tombstones for devices still to sync
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+LabourWorkerSchema.index({ farm: 1, name: 1 });
+LabourWorkerSchema.index({ farm: 1, updatedAt: 1 });
+LabourWorkerSchema.index(
+  { farm: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+// The rate matching the wage type is required
+LabourWorkerSchema.pre("validate", function (next) {
+  if (this.wageType === "daily" && this.dailyWage == null) {
+    this.invalidate("dailyWage", "Daily wage is required for daily workers");
+  }
+  if (
+    this.wageType === "piece_rate" &&
+    (this.pieceRate?.amount == null || !this.pieceRate?.unit)
+  ) {
+    this.invalidate(
+      "pieceRate",
+      "Piece rate amount and unit are required for piece-rate workers"
+    );
+  }
+  next();
+});
+
+// Get the wage terms copied onto each attendance record, so later raises
+// don't rewrite past wages
+LabourWorkerSchema.methods.getWageTerms = function () {
+  return this.wageType === "piece_rate"
+    ? {
+        wageType: "piece_rate",
+        rate: this.pieceRate.amount,
+        pieceUnit: this.pieceRate.unit,
+        currency: this.currency,
+      }
+    : {
+        wageType: "daily",
+        rate: this.dailyWage,
+        currency: this.currency,
+      };
+};
+
+module.exports = mongoose.model("LabourWorker", LabourWorkerSchema);
+module.exports.WAGE_TYPES = WAGE_TYPES;
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+
+const EXPENSE_CATEGORIES = ["inputs", "labour", "equipment", "water", "other"];
+const INCOME_CATEGORIES = ["harvest_sale", "subsidy", "other"];
+
+// One expense or income on a farm, optionally tied to a field and crop cycle
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    // Field the money was spent on or earned from (an entry in the farm's
+    // fields)
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    cropCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CropCycle",
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ["expense", "income"],
+      required: [true, "Entry kind is required"],
+    },
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+    },
+    // Same convention as Treatment.cost
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    // Who was paid, or who paid (buyer, mandi, scheme)
+    counterparty: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Counterparty cannot exceed 100 characters"],
+    },
+    // e.g. 20 quintal sold, or 50 kg of fertilizer bought
+    quantity: {
+      amount: { type: Number, min: 0 },
+      unit: { type: String, trim: true },
+    },
+    // Set when the entry was written for an inventory purchase
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+    },
+    // Set when the entry was written for an equipment purchase or service
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Equipment",
+    },
+    // Set on the daily wage bill written from labour attendance
+    labourDay: {
+      type: Date,
+    },
+    // Set when the entry was written for a harvest sale
+    harvest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "HarvestRecord",
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+LedgerEntrySchema.index({ farm: 1, date: -1 });
+LedgerEntrySchema.index({ farm: 1, cropCycle: 1 });
+LedgerEntrySchema.index({ farm: 1, labourDay: 1 }, { sparse: true });
+
+// Categories depend on whether money went out or came in
+LedgerEntrySchema.pre("validate", function (next) {
+  const categories =
+    this.kind === "income" ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+  if (this.category && !categories.includes(this.category)) {
+    this.invalidate(
+      "category",
+      `Category for ${this.kind || "an entry"} must be one of: ${categories.join(", ")}`
+    );
+  }
+  next();
+});
+
+// Static method to total a farm's expenses and income in one currency,
+// grouped by a field such as "cropCycle" or "category" (or not at all).
+// Pass cropCycles: null to total only entries not booked to any cycle.
+LedgerEntrySchema.statics.summarize = function (
+  farmId,
+  { currency = "INR", groupBy = null, cropCycles, from, to } = {}
+) {
+  const match = { farm: new mongoose.Types.ObjectId(String(farmId)), currency };
+  if (cropCycles !== undefined) {
+    match.cropCycle = cropCycles === null ? null : { $in: cropCycles };
+  }
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupBy ? `$${groupBy}` : null,
+        expenses: {
+          $sum: { $cond: [{ $eq: ["$kind", "expense"] }, "$amount", 0] },
+        },
+        income: {
+          $sum: { $cond: [{ $eq: ["$kind", "income"] }, "$amount", 0] },
+        },
+        entries: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("LedgerEntry", LedgerEntrySchema);
+module.exports.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
+module.exports.INCOME_CATEGORIES = INCOME_CATEGORIES;
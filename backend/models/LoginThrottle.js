@@ -0,0 +1,218 @@
+const mongoose = require("mongoose");
+const { generateNonce } = require("../utils/tokens");
+
+// Failure policies - IPs get far more headroom than accounts because a
+// whole village can share one NAT address
+const POLICIES = {
+  account: {
+    windowMs: 60 * 60 * 1000,
+    freeAttempts: 3,
+    maxDelayMs: 30 * 1000,
+    lockAfter: 10,
+    lockMs: 30 * 60 * 1000,
+  },
+  ip: {
+    windowMs: 15 * 60 * 1000,
+    freeAttempts: 20,
+    maxDelayMs: 10 * 1000,
+    lockAfter: 100,
+    lockMs: 15 * 60 * 1000,
+  },
+};
+
+// Failed login tracking per account or per IP address
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: Object.keys(POLICIES),
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFailedAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    unlockNonce: {
+      type: String,
+      select: false,
+    },
+    unlockSentAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop stale counters
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for lock state
+LoginThrottleSchema.virtual("isLocked").get(function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Start an unlock attempt, invalidating earlier unlock links
+LoginThrottleSchema.methods.createUnlockNonce = function () {
+  this.unlockNonce = generateNonce();
+  this.unlockSentAt = new Date();
+  return this.unlockNonce;
+};
+
+const secondsUntil = (date) =>
+  Math.max(Math.ceil((date - Date.now()) / 1000), 1);
+
+// Static method to check whether any of the keys is currently blocked
+LoginThrottleSchema.statics.check = async function (keys) {
+  const throttles = await this.find({ key: { $in: keys } });
+  const now = new Date();
+
+  const locked = throttles.find((t) => t.lockedUntil > now);
+  if (locked) {
+    return {
+      blocked: true,
+      locked: true,
+      kind: locked.kind,
+      retryAfter: secondsUntil(locked.lockedUntil),
+    };
+  }
+
+  const delayed = throttles.find((t) => t.nextAttemptAt > now);
+  if (delayed) {
+    return {
+      blocked: true,
+      locked: false,
+      kind: delayed.kind,
+      retryAfter: secondsUntil(delayed.nextAttemptAt),
+    };
+  }
+
+  return { blocked: false };
+};
+
+// Static method to count a login attempt before the password is checked,
+// so a burst of parallel guesses can't all slip past check(). The attempt
+// stays counted as a failure unless the login succeeds (see reset and
+// forgive); attempts past the lock threshold are not allowed at all.
+LoginThrottleSchema.statics.registerAttempt = async function (key, kind) {
+  const policy = POLICIES[kind];
+  const now = new Date();
+
+  // Start a fresh window once the last one has run out - the updated
+  // windowStartedAt stops racing attempts from resetting it again
+  await this.updateOne(
+    {
+      key,
+      windowStartedAt: { $lte: new Date(now.getTime() - policy.windowMs) },
+    },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailedAt: now },
+    $setOnInsert: { kind, windowStartedAt: now },
+    $max: { expiresAt: new Date(now.getTime() + policy.windowMs) },
+  };
+
+  let throttle;
+  try {
+    throttle = await this.findOneAndUpdate({ key }, update, {
+      upsert: true,
+      new: true,
+    });
+  } catch (error) {
+    // Two first attempts raced to insert the counter; count this one
+    // against the document the other created
+    if (error.code !== 11000) throw error;
+    throttle = await this.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  if (throttle.isLocked) {
+    return {
+      throttle,
+      allowed: false,
+      retryAfter: secondsUntil(throttle.lockedUntil),
+    };
+  }
+  if (throttle.failures > policy.lockAfter) {
+    // A parallel attempt crossed the threshold and is about to lock
+    return {
+      throttle,
+      allowed: false,
+      retryAfter: secondsUntil(now.getTime() + policy.lockMs),
+    };
+  }
+  return { throttle, allowed: true };
+};
+
+// Static method to confirm a counted attempt failed, applying progressive
+// delays and locking once the policy threshold is reached. Only one of
+// several racing failures takes the lock, so only it reports justLocked.
+LoginThrottleSchema.statics.registerFailure = async function (throttle) {
+  const policy = POLICIES[throttle.kind];
+  const now = new Date();
+
+  const extraFailures = throttle.failures - policy.freeAttempts;
+  if (extraFailures > 0) {
+    const delayMs = Math.min(
+      1000 * 2 ** (extraFailures - 1),
+      policy.maxDelayMs
+    );
+    await this.updateOne(
+      { key: throttle.key },
+      { $max: { nextAttemptAt: new Date(now.getTime() + delayMs) } }
+    );
+  }
+
+  if (throttle.failures < policy.lockAfter) {
+    return { throttle, justLocked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + policy.lockMs);
+  const locked = await this.findOneAndUpdate(
+    {
+      key: throttle.key,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil }, $max: { expiresAt: lockedUntil } },
+    { new: true }
+  );
+
+  return { throttle: locked || throttle, justLocked: Boolean(locked) };
+};
+
+// Static method to give back an attempt that turned out to succeed
+LoginThrottleSchema.statics.forgive = function (key) {
+  return this.updateOne(
+    { key, failures: { $gt: 0 } },
+    { $inc: { failures: -1 } }
+  );
+};
+
+// Static method to clear a key after a successful login or unlock
+LoginThrottleSchema.statics.reset = function (key) {
+  return this.deleteOne({ key });
+};
+
+LoginThrottleSchema.statics.accountKey = (identifier) =>
+  `account:${String(identifier).toLowerCase()}`;
+
+LoginThrottleSchema.statics.ipKey = (ip) => `ip:${ip}`;
+
+module.exports = mongoose.model("LoginThrottle", LoginThrottleSchema);
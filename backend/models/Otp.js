@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { hashToken } = require("../utils/tokens");
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRE_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_WINDOW_MS = 60 * 60 * 1000;
+const OTP_MAX_PER_WINDOW = 5;
+
+// Codes are salted with the phone number so equal codes hash differently
+const hashCode = (phone, code) => hashToken(`${phone}:${code}`);
+
+// One-time SMS code for phone sign-in, or to confirm a new phone number
+const OtpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "phone_change"],
+      default: "login",
+    },
+    // Account switching to this number (phone_change codes)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    requestIp: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+OtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep codes around for an hour after expiry so rate limits can count them
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Virtual for remaining attempts
+OtpSchema.virtual("attemptsRemaining").get(function () {
+  return Math.max(OTP_MAX_ATTEMPTS - this.attempts, 0);
+});
+
+// Check a submitted code, counting the attempt. The attempt is counted
+// with a conditional increment, so parallel guesses can't all slip in under
+// the limit, and the code is checked against the counted document. A right
+// code stays usable until consume() is called.
+OtpSchema.methods.verify = async function (code) {
+  const now = new Date();
+  const counted = await this.constructor
+    .findOneAndUpdate(
+      {
+        _id: this._id,
+        consumedAt: null,
+        expiresAt: { $gt: now },
+        attempts: { $lt: OTP_MAX_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    )
+    .select("+codeHash");
+
+  if (!counted) {
+    const current = await this.constructor.findById(this._id);
+    if (current) this.attempts = current.attempts;
+    return !current || current.consumedAt || current.expiresAt <= now
+      ? { valid: false, reason: "expired" }
+      : { valid: false, reason: "too_many_attempts" };
+  }
+  this.attempts = counted.attempts;
+
+  if (counted.codeHash !== hashCode(counted.phone, code)) {
+    return {
+      valid: false,
+      reason:
+        counted.attempts >= OTP_MAX_ATTEMPTS ? "too_many_attempts" : "mismatch",
+    };
+  }
+
+  return { valid: true };
+};
+
+// Use up a verified code once the sign-in it was for has gone through. Only
+// one of several requests in flight with the same code gets true.
+OtpSchema.methods.consume = async function () {
+  const now = new Date();
+  const consumed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, consumedAt: null, expiresAt: { $gt: now } },
+    { $set: { consumedAt: now } }
+  );
+  if (!consumed) return false;
+
+  this.consumedAt = now;
+  return true;
+};
+
+// Static method to check the per-phone send limits
+OtpSchema.statics.checkRateLimit = async function (phone, purpose = "login") {
+  const since = new Date(Date.now() - OTP_WINDOW_MS);
+  const recent = await this.find({
+    phone,
+    purpose,
+    createdAt: { $gte: since },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+
+  const now = Date.now();
+  const last = recent[0];
+
+  if (last && now - last.createdAt < OTP_RESEND_COOLDOWN_MS) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil(
+        (OTP_RESEND_COOLDOWN_MS - (now - last.createdAt)) / 1000
+      ),
+    };
+  }
+
+  if (recent.length >= OTP_MAX_PER_WINDOW) {
+    const oldest = recent[recent.length - 1];
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((OTP_WINDOW_MS - (now - oldest.createdAt)) / 1000),
+    };
+  }
+
+  return { allowed: true, retryAfter: 0 };
+};
+
+// Static method to issue a new code, superseding any earlier ones
+OtpSchema.statics.issue = async function (
+  phone,
+  { purpose = "login", requestIp, user } = {}
+) {
+  await this.updateMany(
+    { phone, purpose, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  const code = crypto
+    .randomInt(0, 10 ** OTP_LENGTH)
+    .toString()
+    .padStart(OTP_LENGTH, "0");
+
+  const otp = await this.create({
+    phone,
+    purpose,
+    codeHash: hashCode(phone, code),
+    expiresAt: new Date(Date.now() + OTP_EXPIRE_MS),
+    requestIp,
+    user,
+  });
+
+  return { otp, code };
+};
+
+// Static method to find the live code for a phone number (and, for
+// phone_change codes, the account that asked for it)
+OtpSchema.statics.findActive = function (phone, purpose = "login", user) {
+  return this.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    ...(user && { user }),
+  })
+    .sort({ createdAt: -1 })
+    .select("+codeHash");
+};
+
+module.exports = mongoose.model("Otp", OtpSchema);
+module.exports.OTP_MAX_ATTEMPTS = OTP_MAX_ATTEMPTS;
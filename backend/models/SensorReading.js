@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Reading pushed by a soil/weather sensor in the field
+const SensorReadingSchema = new mongoose.Schema(
+  {
+    farmer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+    },
+    metric: {
+      type: String,
+      enum: [
+        "soil_moisture",
+        "soil_temperature",
+        "air_temperature",
+        "humidity",
+        "rainfall",
+        "soil_ph",
+        "soil_ec",
+        "light",
+      ],
+      required: [true, "Metric is required"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Value is required"],
+    },
+    unit: String,
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    location: {
+      latitude: Number,
+      longitude: Number,
+    },
+    // API key that submitted the reading, if any
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+SensorReadingSchema.index({ farmer: 1, recordedAt: -1 });
+SensorReadingSchema.index({
+  farmer: 1,
+  deviceId: 1,
+  metric: 1,
+  recordedAt: -1,
+});
+
+module.exports = mongoose.model("SensorReading", SensorReadingSchema);
@@ -0,0 +1,216 @@
+const mongoose = require("mongoose");
+const {
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+} = require("../utils/tokens");
+const { describeDevice } = require("../utils/device");
+
+// Only persist last-seen updates this often to spare a write per request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Server-side login session backing a rotating refresh token
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Token Data
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Device & Activity
+    device: {
+      browser: String,
+      os: String,
+      type: {
+        type: String,
+        enum: ["mobile", "tablet", "desktop", "unknown"],
+        default: "unknown",
+      },
+      userAgent: String,
+    },
+    ipAddress: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: String,
+
+    // Revocation
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "password_change",
+        "password_reset",
+        "token_reuse",
+        "deactivated",
+        "remote_signout",
+        "account_deletion",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousTokenHashes: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions a day after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for session validity
+SessionSchema.virtual("isValid").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Issue a fresh refresh token for this session, keeping the old hash
+// around so a replayed token can be detected. The swap only happens while
+// the session still holds the token it was loaded with, so of two refreshes
+// racing on one token only the first gets a new one; the other resolves to
+// null and must be treated as token reuse.
+SessionSchema.methods.rotate = async function () {
+  const refreshToken = generateRefreshToken();
+  const refreshTokenHash = hashToken(refreshToken);
+  const expiresAt = getRefreshTokenExpiry();
+
+  if (this.isNew) {
+    this.refreshTokenHash = refreshTokenHash;
+    this.expiresAt = expiresAt;
+    await this.save();
+    return refreshToken;
+  }
+
+  const currentHash = this.refreshTokenHash;
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: currentHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash, expiresAt },
+      $push: { previousTokenHashes: { $each: [currentHash], $slice: -20 } },
+    }
+  );
+  if (!rotated) return null;
+
+  // Mirror the stored state without marking it for another write
+  this.previousTokenHashes = [
+    ...(this.previousTokenHashes || []),
+    currentHash,
+  ].slice(-20);
+  this.refreshTokenHash = refreshTokenHash;
+  this.expiresAt = expiresAt;
+  ["previousTokenHashes", "refreshTokenHash", "expiresAt"].forEach((path) =>
+    this.unmarkModified(path)
+  );
+  return refreshToken;
+};
+
+SessionSchema.methods.revoke = function (reason = "logout") {
+  if (this.revokedAt) return Promise.resolve(this);
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Record activity on this session, throttled to one write per interval
+SessionSchema.methods.touch = function (ipAddress) {
+  const stale =
+    !this.lastSeenAt || Date.now() - this.lastSeenAt >= LAST_SEEN_INTERVAL_MS;
+  if (!stale && this.lastSeenIp === ipAddress) return Promise.resolve(this);
+
+  this.lastSeenAt = new Date();
+  this.lastSeenIp = ipAddress;
+  return this.save();
+};
+
+// Get the shape shown to farmers in their device list
+SessionSchema.methods.getPublicSession = function (currentSessionId) {
+  return {
+    id: this._id,
+    device: {
+      browser: this.device?.browser,
+      os: this.device?.os,
+      type: this.device?.type,
+    },
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    lastSeenIp: this.lastSeenIp,
+    signedInAt: this.createdAt,
+    isCurrent: currentSessionId ? this._id.equals(currentSessionId) : false,
+  };
+};
+
+// Static method to start a new session for a user
+SessionSchema.statics.start = async function (
+  userId,
+  { userAgent, ipAddress } = {}
+) {
+  const session = new this({
+    user: userId,
+    device: { ...describeDevice(userAgent), userAgent },
+    ipAddress,
+    lastSeenAt: new Date(),
+    lastSeenIp: ipAddress,
+  });
+  const refreshToken = await session.rotate();
+  return { session, refreshToken };
+};
+
+// Static method to find a session by a presented refresh token
+SessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) }).select(
+    "+refreshTokenHash +previousTokenHashes"
+  );
+};
+
+// Static method to find a session whose token has already been rotated
+SessionSchema.statics.findByRotatedToken = function (refreshToken) {
+  return this.findOne({ previousTokenHashes: hashToken(refreshToken) });
+};
+
+// Static method to list the live sessions of a user
+SessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every live session of a user
+SessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
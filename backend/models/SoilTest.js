@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+// Low/high cut-offs used on Indian Soil Health Cards. Primary nutrients are
+// available kg/ha; organic carbon is %.
+const NUTRIENT_RANGES = {
+  organicCarbon: { low: 0.5, high: 0.75 },
+  nitrogen: { low: 280, high: 560 },
+  phosphorus: { low: 10, high: 25 },
+  potassium: { low: 108, high: 280 },
+};
+
+// Critical limits (ppm) below which a micronutrient is deficient
+const MICRONUTRIENT_LIMITS = {
+  zinc: 0.6,
+  iron: 4.5,
+  manganese: 2,
+  copper: 0.2,
+  boron: 0.5,
+  sulphur: 10,
+};
+
+const rate = (value, { low, high }) => {
+  if (value == null) return null;
+  if (value < low) return "low";
+  if (value > high) return "high";
+  return "medium";
+};
+
+const ratePh = (ph) => {
+  if (ph == null) return null;
+  if (ph < 5.5) return "strongly acidic";
+  if (ph < 6.5) return "acidic";
+  if (ph <= 7.5) return "neutral";
+  if (ph <= 8.5) return "alkaline";
+  return "strongly alkaline";
+};
+
+const rateEc = (ec) => {
+  if (ec == null) return null;
+  if (ec < 1) return "normal";
+  if (ec <= 3) return "saline";
+  return "highly saline";
+};
+
+const micronutrientFields = Object.keys(MICRONUTRIENT_LIMITS).reduce(
+  (fields, name) => ({ ...fields, [name]: { type: Number, min: 0 } }),
+  {}
+);
+
+// A lab soil test report for a farm, usually for one field
+const SoilTestSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      required: true,
+    },
+    // Field sampled (an entry in the farm's fields); null for a whole-farm
+    // sample
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sampledAt: {
+      type: Date,
+      required: [true, "Sampling date is required"],
+    },
+    lab: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Lab name cannot exceed 100 characters"],
+      },
+      reportNumber: { type: String, trim: true },
+      reportedAt: Date,
+    },
+    ph: { type: Number, min: 0, max: 14 },
+    // Electrical conductivity, dS/m
+    ec: { type: Number, min: 0 },
+    // %
+    organicCarbon: { type: Number, min: 0, max: 100 },
+    // Available kg/ha
+    nitrogen: { type: Number, min: 0 },
+    phosphorus: { type: Number, min: 0 },
+    potassium: { type: Number, min: 0 },
+    // ppm
+    micronutrients: micronutrientFields,
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+SoilTestSchema.index({ farm: 1, field: 1, sampledAt: -1 });
+
+// Virtual for the Soil Health Card rating of each measured value
+SoilTestSchema.virtual("ratings").get(function () {
+  const micronutrients = this.micronutrients || {};
+  return {
+    ph: ratePh(this.ph),
+    ec: rateEc(this.ec),
+    ...Object.fromEntries(
+      Object.entries(NUTRIENT_RANGES).map(([name, range]) => [
+        name,
+        rate(this[name], range),
+      ])
+    ),
+    micronutrients: Object.fromEntries(
+      Object.entries(MICRONUTRIENT_LIMITS)
+        .filter(([name]) => micronutrients[name] != null)
+        .map(([name, limit]) => [
+          name,
+          micronutrients[name] < limit ? "deficient" : "sufficient",
+        ])
+    ),
+  };
+});
+
+// Static method to find the latest test for a field, falling back to the
+// latest whole-farm test
+SoilTestSchema.statics.findLatestForField = async function (farmId, fieldId) {
+  if (fieldId) {
+    const test = await this.findOne({ farm: farmId, field: fieldId }).sort({
+      sampledAt: -1,
+    });
+    if (test) return test;
+  }
+  return this.findOne({ farm: farmId, field: null }).sort({ sampledAt: -1 });
+};
+
+module.exports = mongoose.model("SoilTest", SoilTestSchema);
+module.exports.NUTRIENT_RANGES = NUTRIENT_RANGES;
+module.exports.MICRONUTRIENT_LIMITS = MICRONUTRIENT_LIMITS;
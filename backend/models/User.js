@@ -1,5 +1,20 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { normalizePhone } = require("../utils/sms");
+const {
+  generateNonce,
+  generateResetToken,
+  hashToken,
+} = require("../utils/tokens");
+
+// Verification email throttling
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_WINDOW_MS = 60 * 60 * 1000;
+const VERIFICATION_MAX_SENDS_PER_WINDOW = 5;
+
+// Password reset tokens
+const PASSWORD_RESET_EXPIRE_MS = 30 * 60 * 1000;
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000;
 
 const UserSchema = new mongoose.Schema(
   {
@@ -12,8 +27,15 @@ const UserSchema = new mongoose.Schema(
     },
     email: {
       type: String,
-      required: [true, "Email is required"],
+      // Farmers signing up with a phone number may not have an email
+      required: [
+        function () {
+          return !this.phone;
+        },
+        "Email or phone number is required",
+      ],
       unique: true,
+      sparse: true,
       lowercase: true,
       trim: true,
       match: [
@@ -23,13 +45,22 @@ const UserSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Phone-only accounts sign in with one-time SMS codes instead
+      required: [
+        function () {
+          return !!this.email;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
     phone: {
       type: String,
       trim: true,
+      unique: true,
+      sparse: true,
+      set: normalizePhone,
       match: [/^\+?[\d\s-()]{10,15}$/, "Please enter a valid phone number"],
     },
     avatar: {
@@ -106,10 +137,36 @@ const UserSchema = new mongoose.Schema(
       enum: ["farmer", "advisor", "admin"],
       default: "farmer",
     },
+    // Farm the user is currently working on (see Farm.findCurrentForUser)
+    activeFarm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+      default: null,
+    },
+    assignedAdvisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
     },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerification: {
+      nonce: { type: String, select: false },
+      lastSentAt: Date,
+      sendCount: { type: Number, default: 0 },
+      windowStartedAt: Date,
+    },
+    passwordReset: {
+      tokenHash: { type: String, select: false },
+      expiresAt: Date,
+      requestedAt: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -118,6 +175,11 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      reason: String,
+    },
 
     // Statistics
     stats: {
@@ -135,10 +197,10 @@ const UserSchema = new mongoose.Schema(
 );
 
 // Indexes for better query performance
-UserSchema.index({ email: 1 });
 UserSchema.index({ "farmDetails.location.city": 1 });
 UserSchema.index({ "farmDetails.cropTypes.name": 1 });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ assignedAdvisor: 1 });
 
 // Virtual for farm age
 UserSchema.virtual("farmAge").get(function () {
@@ -169,8 +231,75 @@ UserSchema.methods.updateLastLogin = function () {
   return this.save({ validateBeforeSave: false });
 };
 
+// Check whether another verification email may be sent right now
+UserSchema.methods.canSendVerificationEmail = function () {
+  const { lastSentAt, sendCount, windowStartedAt } =
+    this.emailVerification || {};
+  const now = Date.now();
+
+  if (lastSentAt && now - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil(
+        (VERIFICATION_RESEND_COOLDOWN_MS - (now - lastSentAt)) / 1000
+      ),
+    };
+  }
+
+  const windowOpen =
+    windowStartedAt && now - windowStartedAt < VERIFICATION_WINDOW_MS;
+  if (windowOpen && sendCount >= VERIFICATION_MAX_SENDS_PER_WINDOW) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil(
+        (VERIFICATION_WINDOW_MS - (now - windowStartedAt)) / 1000
+      ),
+    };
+  }
+
+  return { allowed: true, retryAfter: 0 };
+};
+
+// Start a new verification attempt, invalidating any earlier links
+UserSchema.methods.createEmailVerificationNonce = function () {
+  const now = new Date();
+  const windowOpen =
+    this.emailVerification?.windowStartedAt &&
+    now - this.emailVerification.windowStartedAt < VERIFICATION_WINDOW_MS;
+
+  this.emailVerification = {
+    nonce: generateNonce(),
+    lastSentAt: now,
+    sendCount: windowOpen ? (this.emailVerification.sendCount || 0) + 1 : 1,
+    windowStartedAt: windowOpen ? this.emailVerification.windowStartedAt : now,
+  };
+
+  return this.emailVerification.nonce;
+};
+
+// Check whether a password reset was requested too recently
+UserSchema.methods.canRequestPasswordReset = function () {
+  const requestedAt = this.passwordReset?.requestedAt;
+  return !requestedAt || Date.now() - requestedAt >= PASSWORD_RESET_COOLDOWN_MS;
+};
+
+// Create a single-use password reset token; only its hash is stored
+UserSchema.methods.createPasswordResetToken = function () {
+  const token = generateResetToken();
+
+  this.passwordReset = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRE_MS),
+    requestedAt: new Date(),
+  };
+
+  return token;
+};
+
 // Compare password method
 UserSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -182,21 +311,43 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
 UserSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerification;
+  delete userObject.passwordReset;
   delete userObject.__v;
   return userObject;
 };
 
+// Static method to find the owner of an unexpired password reset token
+UserSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    "passwordReset.tokenHash": hashToken(token),
+    "passwordReset.expiresAt": { $gt: new Date() },
+  }).select("+password +passwordReset.tokenHash");
+};
+
 // Static method to find farmers by crop type
-UserSchema.statics.findByCropType = function (cropType) {
-  return this.find({
+UserSchema.statics.findByCropType = function (cropType, options = {}) {
+  const query = {
     "farmDetails.cropTypes.name": { $regex: cropType, $options: "i" },
-    isActive: true,
-  });
+  };
+  if (!options.includeInactive) query.isActive = true;
+  return this.find(query);
+};
+
+// Static method to get the farmers assigned to an advisor
+UserSchema.statics.findAssignedTo = function (advisorId) {
+  return this.find({ assignedAdvisor: advisorId, isActive: true });
+};
+
+// Static method to find accounts whose deletion grace period has ended
+UserSchema.statics.findDueForDeletion = function () {
+  return this.find({ "deletion.scheduledFor": { $lte: new Date() } });
 };
 
 // Static method to get farmers in a region
-UserSchema.statics.findByRegion = function (city, state) {
-  const query = { isActive: true };
+UserSchema.statics.findByRegion = function (city, state, options = {}) {
+  const query = {};
+  if (!options.includeInactive) query.isActive = true;
   if (city)
     query["farmDetails.location.city"] = { $regex: city, $options: "i" };
   if (state)
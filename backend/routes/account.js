@@ -0,0 +1,185 @@
+// routes/account.js - Personal Data Export & Account Deletion Routes
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { collectUserData, writeExportArchive } = require("../utils/accountData");
+const { sendMail } = require("../utils/mailer");
+const { recordAudit } = require("../utils/audit");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// @route   GET /api/account/export
+// @desc    Download everything we hold on the user as a zip archive
+// @access  Private
+router.get("/export", auth, async (req, res) => {
+  try {
+    const data = await collectUserData(req.user.userId);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const date = new Date().toISOString().split("T")[0];
+    res.attachment(`vriddhi-data-export-${date}.zip`);
+    await writeExportArchive(data, res);
+
+    await recordAudit(req, {
+      action: "account.export",
+      target: { type: "user", id: req.user.userId },
+    });
+
+    logger.info(`Data export downloaded by user ${req.user.userId}`);
+  } catch (error) {
+    logger.error("Data export error:", error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: "Failed to export your data",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   POST /api/account/delete
+// @desc    Schedule account deletion after a grace period
+// @access  Private
+router.post(
+  "/delete",
+  auth,
+  [
+    body("confirm")
+      .equals("DELETE")
+      .withMessage('Type "DELETE" to confirm account deletion'),
+    body("password").optional().isString(),
+    body("reason")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select("+password");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Accounts with a password must re-enter it
+      if (user.password && !(await user.comparePassword(req.body.password))) {
+        return res.status(401).json({
+          success: false,
+          message: "Password is incorrect",
+        });
+      }
+
+      const scheduledFor = new Date(
+        Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+      );
+      user.deletion = {
+        requestedAt: new Date(),
+        scheduledFor,
+        reason: req.body.reason,
+      };
+      await user.save({ validateBeforeSave: false });
+
+      // Keep only this device signed in so the farmer can still cancel
+      await Session.revokeAllForUser(
+        user._id,
+        "account_deletion",
+        req.user.sessionId
+      );
+
+      if (user.email) {
+        sendMail({
+          to: user.email,
+          subject: "Your Vriddhi account is scheduled for deletion",
+          text: `Namaste ${user.name},\n\nYour account and farm data will be permanently deleted on ${scheduledFor.toDateString()}. If you change your mind, log in and cancel the deletion before then.`,
+        }).catch((mailError) =>
+          logger.error("Deletion notice email error:", mailError)
+        );
+      }
+
+      await recordAudit(req, {
+        action: "account.delete_request",
+        target: { type: "user", id: user._id },
+        metadata: { scheduledFor },
+      });
+
+      logger.info(
+        `Account deletion scheduled for user ${user._id} on ${scheduledFor.toISOString()}`
+      );
+
+      res.json({
+        success: true,
+        message: `Your account will be deleted on ${scheduledFor.toDateString()}. You can cancel any time before then.`,
+        data: { scheduledFor },
+      });
+    } catch (error) {
+      logger.error("Schedule account deletion error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to schedule account deletion",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/account/delete/cancel
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post("/delete/cancel", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user?.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "No account deletion is scheduled",
+      });
+    }
+
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action: "account.delete_cancel",
+      target: { type: "user", id: user._id },
+    });
+
+    logger.info(`Account deletion cancelled by user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled. Welcome back to the fields!",
+    });
+  } catch (error) {
+    logger.error("Cancel account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel account deletion",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,490 @@
+// routes/admin.js - Admin User Management Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { can } = require("../middleware/permissions");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const { DiseaseDetection, ChatLog } = require("../models/Disease");
+const { recordAudit } = require("../utils/audit");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const userIdParam = param("id")
+  .isMongoId()
+  .withMessage("Valid user ID required");
+
+// @route   GET /api/admin/users
+// @desc    Search and filter users by role, region and crop
+// @access  Private (admin)
+router.get(
+  "/users",
+  auth,
+  can("read", "user"),
+  [
+    query("role")
+      .optional()
+      .isIn(["farmer", "advisor", "admin"])
+      .withMessage("Invalid role"),
+    query("status")
+      .optional()
+      .isIn(["active", "inactive", "pending_deletion"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        q,
+        role,
+        status,
+        city,
+        state,
+        crop,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      // Reuse the region/crop finders, including deactivated accounts
+      const usersQuery = User.find();
+      if (city || state) {
+        usersQuery.merge(
+          User.findByRegion(city, state, { includeInactive: true })
+        );
+      }
+      if (crop) {
+        usersQuery.merge(User.findByCropType(crop, { includeInactive: true }));
+      }
+
+      if (role) usersQuery.where("role").equals(role);
+      if (status === "active") usersQuery.where("isActive").equals(true);
+      if (status === "inactive") usersQuery.where("isActive").equals(false);
+      if (status === "pending_deletion") {
+        usersQuery.where("deletion.scheduledFor").exists(true);
+      }
+      if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: "i" };
+        usersQuery.or([
+          { name: pattern },
+          { email: pattern },
+          { phone: pattern },
+        ]);
+      }
+
+      const filter = usersQuery.getFilter();
+      const [users, total] = await Promise.all([
+        usersQuery
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Users fetched successfully",
+        data: {
+          users: users.map((user) => user.getPublicProfile()),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Admin list users error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id
+// @desc    View a user with activity counts
+// @access  Private (admin)
+router.get(
+  "/users/:id",
+  auth,
+  can("read", "user"),
+  [userIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.params.id).populate(
+        "assignedAdvisor",
+        "name email phone"
+      );
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const [detections, chatSessions, activeSessions] = await Promise.all([
+        DiseaseDetection.countDocuments({ farmer: user._id }),
+        ChatLog.countDocuments({ farmer: user._id }),
+        Session.countDocuments({
+          user: user._id,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        message: "User fetched successfully",
+        data: {
+          user: user.getPublicProfile(),
+          activity: { detections, chatSessions, activeSessions },
+        },
+      });
+    } catch (error) {
+      logger.error("Admin get user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch user",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/users/:id/status
+// @desc    Deactivate or reactivate a user
+// @access  Private (admin)
+router.patch(
+  "/users/:id/status",
+  auth,
+  can("manage", "user"),
+  [
+    userIdParam,
+    body("isActive").isBoolean().withMessage("isActive must be true or false"),
+    body("reason")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.params;
+      const isActive =
+        req.body.isActive === true || req.body.isActive === "true";
+
+      if (id === String(req.user.userId) && !isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot deactivate your own account",
+        });
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const previous = user.isActive;
+      user.isActive = isActive;
+      await user.save({ validateBeforeSave: false });
+
+      // Deactivation ends every session immediately
+      if (!isActive) {
+        await Session.revokeAllForUser(user._id, "deactivated");
+      }
+
+      await recordAudit(req, {
+        action: isActive ? "admin.user.reactivate" : "admin.user.deactivate",
+        target: { type: "user", id: user._id },
+        metadata: {
+          before: previous,
+          after: isActive,
+          reason: req.body.reason,
+        },
+      });
+
+      logger.info(
+        `User ${user._id} ${isActive ? "reactivated" : "deactivated"} by admin ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: isActive
+          ? "User reactivated successfully"
+          : "User deactivated successfully",
+        data: user.getPublicProfile(),
+      });
+    } catch (error) {
+      logger.error("Admin update user status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user status",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.patch(
+  "/users/:id/role",
+  auth,
+  can("manage", "user"),
+  [
+    userIdParam,
+    body("role")
+      .isIn(["farmer", "advisor", "admin"])
+      .withMessage("Role must be farmer, advisor or admin"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (id === String(req.user.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        });
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const previous = user.role;
+      user.role = role;
+      // Only farmers are assigned to advisors
+      if (role !== "farmer") user.assignedAdvisor = null;
+      await user.save({ validateBeforeSave: false });
+
+      await recordAudit(req, {
+        action: "admin.user.role_change",
+        target: { type: "user", id: user._id },
+        metadata: { before: previous, after: role },
+      });
+
+      logger.info(
+        `User ${user._id} role changed ${previous} -> ${role} by admin ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: `Role changed to ${role}`,
+        data: user.getPublicProfile(),
+      });
+    } catch (error) {
+      logger.error("Admin change role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to change role",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/reset-stats
+// @desc    Reset a user's usage statistics
+// @access  Private (admin)
+router.post(
+  "/users/:id/reset-stats",
+  auth,
+  can("manage", "user"),
+  [userIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const previous = user.stats.toObject();
+      // Harvest counts are derived from harvest records, so they stay
+      user.stats = {
+        totalQueries: 0,
+        diseasesDetected: 0,
+        treatmentsApplied: 0,
+        successfulHarvests: previous.successfulHarvests,
+      };
+      await user.save({ validateBeforeSave: false });
+
+      await recordAudit(req, {
+        action: "admin.user.reset_stats",
+        target: { type: "user", id: user._id },
+        metadata: { before: previous },
+      });
+
+      logger.info(
+        `Stats reset for user ${user._id} by admin ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: "User statistics reset successfully",
+        data: user.getPublicProfile(),
+      });
+    } catch (error) {
+      logger.error("Admin reset stats error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset statistics",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/audit-logs
+// @desc    Search the security audit trail
+// @access  Private (admin)
+router.get(
+  "/audit-logs",
+  auth,
+  can("read", "audit"),
+  [
+    query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+    query("outcome")
+      .optional()
+      .isIn(["success", "failure"])
+      .withMessage("Invalid outcome"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        actor,
+        action,
+        targetType,
+        targetId,
+        outcome,
+        from,
+        to,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const logsQuery = AuditLog.search({
+        actor,
+        action,
+        targetType,
+        targetId,
+        outcome,
+        from,
+        to,
+      });
+
+      const filter = logsQuery.getFilter();
+      const [logs, total] = await Promise.all([
+        logsQuery
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .populate("actor", "name email phone role"),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Audit logs fetched successfully",
+        data: {
+          logs,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Admin audit logs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch audit logs",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
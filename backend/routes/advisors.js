@@ -0,0 +1,205 @@
+// routes/advisors.js - Advisor Access to Assigned Farmers
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { can, canAccessFarmer } = require("../middleware/permissions");
+const { DiseaseDetection } = require("../models/Disease");
+const User = require("../models/User");
+const { recordAudit } = require("../utils/audit");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// @route   GET /api/advisors/farmers
+// @desc    List farmers the advisor looks after (all farmers for admins)
+// @access  Private (advisor, admin)
+router.get("/farmers", auth, can("read", "farmer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query =
+      req.permission.scope === "any"
+        ? { role: "farmer", isActive: true }
+        : { assignedAdvisor: req.user.userId, isActive: true };
+
+    const farmers = await User.find(query)
+      .sort({ name: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select("name email phone farmDetails stats lastLogin assignedAdvisor");
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      message: "Farmers fetched successfully",
+      data: {
+        farmers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get advisor farmers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch farmers",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/advisors/farmers/:farmerId/detections
+// @desc    Get a farmer's disease detections
+// @access  Private (assigned advisor, admin)
+router.get(
+  "/farmers/:farmerId/detections",
+  auth,
+  can("read", "detection"),
+  [param("farmerId").isMongoId().withMessage("Valid farmer ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { farmerId } = req.params;
+      const { page = 1, limit = 10, status, cropType } = req.query;
+
+      if (!(await canAccessFarmer(req, farmerId))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. This farmer is not assigned to you.",
+        });
+      }
+
+      const query = { farmer: farmerId };
+      if (status) query.status = status;
+      if (cropType) query.cropType = { $regex: cropType, $options: "i" };
+
+      const detections = await DiseaseDetection.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .populate("treatmentApplied");
+
+      const total = await DiseaseDetection.countDocuments(query);
+
+      res.json({
+        success: true,
+        message: "Farmer detections fetched successfully",
+        data: {
+          detections,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get farmer detections error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch farmer detections",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/advisors/farmers/:farmerId/advisor
+// @desc    Assign (or unassign with null) an advisor to a farmer
+// @access  Private (admin)
+router.put(
+  "/farmers/:farmerId/advisor",
+  auth,
+  can("assign", "farmer"),
+  [
+    param("farmerId").isMongoId().withMessage("Valid farmer ID required"),
+    body("advisorId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Valid advisor ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { farmerId } = req.params;
+      const advisorId = req.body.advisorId || null;
+
+      if (advisorId) {
+        const advisor = await User.findOne({
+          _id: advisorId,
+          role: "advisor",
+          isActive: true,
+        });
+        if (!advisor) {
+          return res.status(404).json({
+            success: false,
+            message: "Advisor not found",
+          });
+        }
+      }
+
+      const farmer = await User.findOne({ _id: farmerId, role: "farmer" });
+      if (!farmer) {
+        return res.status(404).json({
+          success: false,
+          message: "Farmer not found",
+        });
+      }
+
+      const previous = farmer.assignedAdvisor;
+      farmer.assignedAdvisor = advisorId;
+      await farmer.save({ validateBeforeSave: false });
+
+      await recordAudit(req, {
+        action: "admin.farmer.assign_advisor",
+        target: { type: "user", id: farmer._id },
+        metadata: { before: previous, after: advisorId },
+      });
+
+      logger.info(
+        `Advisor ${advisorId || "none"} assigned to farmer ${farmerId} by ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: advisorId
+          ? "Advisor assigned successfully"
+          : "Advisor unassigned successfully",
+        data: farmer.getPublicProfile(),
+      });
+    } catch (error) {
+      logger.error("Assign advisor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign advisor",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,175 @@
+// routes/apiKeys.js - API Key Management Routes
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const ApiKey = require("../models/ApiKey");
+const { recordAudit } = require("../utils/audit");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 20;
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({
+      user: req.user.userId,
+      revokedAt: null,
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: "API keys fetched successfully",
+      data: {
+        keys: keys.map((key) => key.getPublicKey()),
+        availableScopes: ApiKey.API_KEY_SCOPES,
+      },
+    });
+  } catch (error) {
+    logger.error("Get API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API keys",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (the key is shown only once)
+// @access  Private
+router.post(
+  "/",
+  auth,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage("Name must be between 1 and 60 characters"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("At least one scope is required"),
+    body("scopes.*").isIn(ApiKey.API_KEY_SCOPES).withMessage("Invalid scope"),
+    body("expiresAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("expiresAt must be an ISO 8601 date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("expiresAt must be in the future"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const activeKeys = await ApiKey.countDocuments({
+        user: req.user.userId,
+        revokedAt: null,
+      });
+      if (activeKeys >= MAX_KEYS_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`,
+        });
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+      const { apiKey, key } = await ApiKey.issue(req.user.userId, {
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+      });
+
+      await recordAudit(req, {
+        action: "api_key.create",
+        target: { type: "api_key", id: apiKey._id },
+        metadata: { name: apiKey.name, scopes: apiKey.scopes },
+      });
+
+      logger.info(`API key ${apiKey._id} created by user ${req.user.userId}`);
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Copy it now - it won't be shown again.",
+        data: {
+          key,
+          apiKey: apiKey.getPublicKey(),
+        },
+      });
+    } catch (error) {
+      logger.error("Create API key error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create API key",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete(
+  "/:id",
+  auth,
+  [param("id").isMongoId().withMessage("Valid API key ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found or already revoked",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "api_key.revoke",
+        target: { type: "api_key", id: apiKey._id },
+      });
+
+      logger.info(`API key ${apiKey._id} revoked by user ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "API key revoked successfully",
+        data: apiKey.getPublicKey(),
+      });
+    } catch (error) {
+      logger.error("Revoke API key error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke API key",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,20 +1,77 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const rateLimit = require("express-rate-limit");
+const { body, param, query, validationResult } = require("express-validator");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const Otp = require("../models/Otp");
+const LoginThrottle = require("../models/LoginThrottle");
+const AuditLog = require("../models/AuditLog");
+const Farm = require("../models/Farm");
 const auth = require("../middleware/auth");
+const {
+  generateAccessToken,
+  signActionToken,
+  verifyActionToken,
+  JWT_EXPIRE,
+} = require("../utils/tokens");
+const { sendMail, escapeHtml } = require("../utils/mailer");
+const { sendSms, normalizePhone } = require("../utils/sms");
+const { recordAudit } = require("../utils/audit");
+const { describeDevice } = require("../utils/device");
+const { resolveLocation } = require("../utils/geocoder");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
-// JWT Secret
-const JWT_SECRET =
-  process.env.JWT_SECRET || "vriddhi-super-secret-key-change-in-production";
-const JWT_EXPIRE = process.env.JWT_EXPIRE || "7d";
+const API_URL = process.env.API_URL || "http://localhost:5000";
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+const EMAIL_VERIFICATION_EXPIRE = "24h";
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRE });
+// Per-IP cap on OTP requests, on top of the per-phone limits in the Otp model
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message:
+      "Too many code requests from this network. Please try again later.",
+  },
+});
+
+// Email a one-time verification link for the nonce already set on the user
+const sendVerificationEmail = (user) => {
+  const token = signActionToken(
+    {
+      userId: user._id,
+      email: user.email,
+      nonce: user.emailVerification.nonce,
+    },
+    "verify_email",
+    EMAIL_VERIFICATION_EXPIRE
+  );
+  const link = `${API_URL}/api/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Vriddhi email address",
+    text: `Namaste ${user.name},\n\nPlease confirm your email address by opening this link within 24 hours:\n${link}\n\nIf you did not create a Vriddhi account, you can ignore this email.`,
+    html: `<p>Namaste ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below within 24 hours:</p><p><a href="${link}">Verify my email</a></p><p>If you did not create a Vriddhi account, you can ignore this email.</p>`,
+  });
+};
+
+// Record the login as a device session and issue its access/refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get("User-Agent"),
+    ipAddress: req.ip,
+  });
+  await user.updateLastLogin();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: JWT_EXPIRE,
+  };
 };
 
 // @route   POST /api/auth/register
@@ -66,6 +123,18 @@ router.post(
         });
       }
 
+      if (phone && (await User.exists({ phone: normalizePhone(phone) }))) {
+        return res.status(409).json({
+          success: false,
+          message: "A farmer with this phone number already exists.",
+        });
+      }
+
+      // Farms are placed on the map from their pincode or village name
+      if (farmDetails?.location) {
+        farmDetails.location = await resolveLocation(farmDetails.location);
+      }
+
       // Create new user
       const userData = {
         name,
@@ -76,13 +145,30 @@ router.post(
       };
 
       const user = new User(userData);
+      user.createEmailVerificationNonce();
       await user.save();
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Farm details given at sign-up become the farmer's first farm
+      if (farmDetails) {
+        await Farm.createFromFarmDetails(user._id, farmDetails);
+      }
+
+      // A mail outage shouldn't block sign-up; the farmer can resend later
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error("Verification email error:", mailError);
+      }
+
+      // Start session and generate tokens
+      const tokens = await issueTokens(user, req);
 
-      // Update user login info
-      await user.updateLastLogin();
+      await recordAudit(req, {
+        action: "auth.register",
+        actor: user._id,
+        target: { type: "user", id: user._id },
+        metadata: { method: "password" },
+      });
 
       logger.info(`New farmer registered: ${email}`);
 
@@ -90,7 +176,7 @@ router.post(
         success: true,
         message: "Welcome to Vriddhi! Your farming journey starts now.",
         data: {
-          token,
+          ...tokens,
           user: user.getPublicProfile(),
         },
       });
@@ -132,9 +218,26 @@ router.post(
 
       const { email, password } = req.body;
 
+      // Refuse early while the account or IP is cooling down
+      const throttle = await LoginThrottle.check([
+        LoginThrottle.accountKey(email),
+        LoginThrottle.ipKey(req.ip),
+      ]);
+      if (throttle.blocked) {
+        return refuseThrottledLogin(req, res, email, throttle);
+      }
+
+      // Count the attempt before checking the password so parallel
+      // guesses can't all get past the check above
+      const attempt = await countLoginAttempt(email, req);
+      if (attempt.blocked) {
+        return refuseThrottledLogin(req, res, email, attempt.blocked);
+      }
+
       // Find user and include password for comparison
       const user = await User.findOne({ email }).select("+password");
       if (!user || !user.isActive) {
+        await recordFailedLogin(email, null, req, attempt);
         return res.status(401).json({
           success: false,
           message:
@@ -145,17 +248,27 @@ router.post(
       // Check password
       const isValidPassword = await user.comparePassword(password);
       if (!isValidPassword) {
+        await recordFailedLogin(email, user, req, attempt);
         return res.status(401).json({
           success: false,
           message: "Invalid credentials. Your password seems to have wilted!",
         });
       }
 
-      // Generate token
-      const token = generateToken(user._id);
+      await Promise.all([
+        LoginThrottle.reset(LoginThrottle.accountKey(email)),
+        LoginThrottle.forgive(LoginThrottle.ipKey(req.ip)),
+      ]);
 
-      // Update last login
-      await user.updateLastLogin();
+      // Start session and generate tokens
+      const tokens = await issueTokens(user, req);
+
+      await recordAudit(req, {
+        action: "auth.login",
+        actor: user._id,
+        target: { type: "user", id: user._id },
+        metadata: { method: "password" },
+      });
 
       logger.info(`User logged in: ${email}`);
 
@@ -163,7 +276,7 @@ router.post(
         success: true,
         message: "Login successful! Welcome back to your digital farm.",
         data: {
-          token,
+          ...tokens,
           user: user.getPublicProfile(),
         },
       });
@@ -180,52 +293,83 @@ router.post(
   }
 );
 
-// @route   GET /api/auth/me
-// @desc    Get current user profile
-// @access  Private
-router.get("/me", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.isActive) {
-      return res.status(404).json({
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time sign-in code to a mobile number
+// @access  Public
+router.post(
+  "/otp/request",
+  otpLimiter,
+  [
+    body("phone")
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const phone = normalizePhone(req.body.phone);
+
+      const { allowed, retryAfter } = await Otp.checkRateLimit(phone);
+      if (!allowed) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another code.`,
+          data: { retryAfter },
+        });
+      }
+
+      const { otp, code } = await Otp.issue(phone, { requestIp: req.ip });
+      await sendSms({
+        to: phone,
+        body: `${code} is your Vriddhi sign-in code. It expires in 5 minutes. Do not share it with anyone.`,
+      });
+
+      logger.info(`Sign-in code sent to ${phone}`);
+
+      res.json({
+        success: true,
+        message: "A sign-in code has been sent to your phone.",
+        data: { phone, expiresAt: otp.expiresAt },
+      });
+    } catch (error) {
+      logger.error("OTP request error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found or inactive",
+        message: "Failed to send sign-in code",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.json({
-      success: true,
-      message: "Profile fetched successfully",
-      data: {
-        user: user.getPublicProfile(),
-      },
-    });
-  } catch (error) {
-    logger.error("Get profile error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch profile",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
-// @access  Private
-router.put(
-  "/profile",
-  auth,
+// @route   POST /api/auth/otp/verify
+// @desc    Log in (or register, when a name is given) with phone + code
+// @access  Public
+router.post(
+  "/otp/verify",
   [
+    body("phone")
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+    body("code")
+      .isLength({ min: 6, max: 6 })
+      .isNumeric()
+      .withMessage("Code must be 6 digits"),
     body("name")
       .optional()
       .trim()
       .isLength({ min: 2, max: 100 })
       .withMessage("Name must be between 2 and 100 characters"),
-    body("phone")
-      .optional()
-      .isMobilePhone()
-      .withMessage("Please provide a valid phone number"),
   ],
   async (req, res) => {
     try {
@@ -238,43 +382,129 @@ router.put(
         });
       }
 
-      const allowedFields = ["name", "phone", "farmDetails", "preferences"];
-      const updates = {};
+      const phone = normalizePhone(req.body.phone);
+      const { code, name, farmDetails } = req.body;
 
-      // Filter allowed fields
-      Object.keys(req.body).forEach((key) => {
-        if (allowedFields.includes(key)) {
-          updates[key] = req.body[key];
-        }
-      });
+      const otp = await Otp.findActive(phone);
+      if (!otp) {
+        return res.status(400).json({
+          success: false,
+          message: "No active code for this number. Please request a new one.",
+        });
+      }
 
-      const user = await User.findByIdAndUpdate(req.user.userId, updates, {
-        new: true,
-        runValidators: true,
-      });
+      const result = await otp.verify(code);
+      if (!result.valid) {
+        await recordAudit(req, {
+          action: "auth.login",
+          outcome: "failure",
+          actor: null,
+          metadata: { method: "otp", phone, reason: result.reason },
+        });
+        const messages = {
+          expired: "This code has expired. Please request a new one.",
+          too_many_attempts:
+            "Too many incorrect attempts. Please request a new code.",
+          mismatch: `Incorrect code. ${otp.attemptsRemaining} attempt(s) left.`,
+        };
+        return res.status(401).json({
+          success: false,
+          message: messages[result.reason],
+        });
+      }
+
+      // The code stays usable until the sign-in goes through, so a farmer
+      // told to add their name can resend the same code
+      let user = await User.findOne({ phone });
+      let isNewUser = false;
 
       if (!user) {
-        return res.status(404).json({
+        if (!name) {
+          return res.status(404).json({
+            success: false,
+            message:
+              "No farmer is registered with this number. Send your name along with the code to create an account.",
+          });
+        }
+
+        if (farmDetails?.location) {
+          farmDetails.location = await resolveLocation(farmDetails.location);
+        }
+
+        user = new User({
+          name,
+          phone,
+          isPhoneVerified: true,
+          ...(farmDetails && { farmDetails }),
+        });
+        try {
+          await user.save();
+        } catch (saveError) {
+          // A parallel request registered the number first
+          if (saveError.code !== 11000) throw saveError;
+          return res.status(409).json({
+            success: false,
+            message:
+              "This number is already registered. Send the code again without a name to sign in.",
+          });
+        }
+        isNewUser = true;
+
+        if (farmDetails) {
+          await Farm.createFromFarmDetails(user._id, farmDetails);
+        }
+
+        await recordAudit(req, {
+          action: "auth.register",
+          actor: user._id,
+          target: { type: "user", id: user._id },
+          metadata: { method: "otp" },
+        });
+
+        logger.info(`New farmer registered by phone: ${phone}`);
+      } else if (!user.isActive) {
+        return res.status(401).json({
           success: false,
-          message: "User not found",
+          message: "Access denied. User not found or inactive.",
         });
+      } else if (!user.isPhoneVerified) {
+        user.isPhoneVerified = true;
+        await user.save({ validateBeforeSave: false });
       }
 
-      logger.info(`Profile updated for user: ${user.email}`);
+      if (!(await otp.consume())) {
+        return res.status(401).json({
+          success: false,
+          message: "This code has already been used. Please request a new one.",
+        });
+      }
 
-      res.json({
+      const tokens = await issueTokens(user, req);
+
+      await recordAudit(req, {
+        action: "auth.login",
+        actor: user._id,
+        target: { type: "user", id: user._id },
+        metadata: { method: "otp" },
+      });
+
+      logger.info(`User logged in by phone: ${phone}`);
+
+      res.status(isNewUser ? 201 : 200).json({
         success: true,
-        message:
-          "Profile updated successfully! Your farming data is now fresh as morning dew.",
+        message: isNewUser
+          ? "Welcome to Vriddhi! Your farming journey starts now."
+          : "Login successful! Welcome back to your digital farm.",
         data: {
+          ...tokens,
           user: user.getPublicProfile(),
         },
       });
     } catch (error) {
-      logger.error("Profile update error:", error);
+      logger.error("OTP verify error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to update profile",
+        message: "Failed to verify sign-in code",
         error:
           process.env.NODE_ENV === "development" ? error.message : undefined,
       });
@@ -282,23 +512,16 @@ router.put(
   }
 );
 
-// @route   POST /api/auth/change-password
-// @desc    Change user password
-// @access  Private
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
 router.post(
-  "/change-password",
-  auth,
+  "/refresh",
   [
-    body("currentPassword")
+    body("refreshToken")
+      .isString()
       .notEmpty()
-      .withMessage("Current password is required"),
-    body("newPassword")
-      .isLength({ min: 6 })
-      .withMessage("New password must be at least 6 characters long")
-      .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
-      .withMessage(
-        "New password must contain at least one letter and one number"
-      ),
+      .withMessage("Refresh token is required"),
   ],
   async (req, res) => {
     try {
@@ -311,42 +534,81 @@ router.post(
         });
       }
 
-      const { currentPassword, newPassword } = req.body;
+      const { refreshToken } = req.body;
 
-      // Get user with password
-      const user = await User.findById(req.user.userId).select("+password");
-      if (!user) {
-        return res.status(404).json({
+      const session = await Session.findByRefreshToken(refreshToken);
+      if (!session) {
+        // A rotated token being replayed means it has leaked - end that session
+        const compromised = await Session.findByRotatedToken(refreshToken);
+        if (compromised) {
+          await compromised.revoke("token_reuse");
+          await recordAudit(req, {
+            action: "auth.refresh_token_reuse",
+            outcome: "failure",
+            actor: compromised.user,
+            target: { type: "session", id: compromised._id },
+          });
+          logger.warn(
+            `Refresh token reuse detected for user ${compromised.user}, session ${compromised._id} revoked`
+          );
+        }
+
+        return res.status(401).json({
           success: false,
-          message: "User not found",
+          message: "Invalid refresh token. Please log in again.",
         });
       }
 
-      // Verify current password
-      const isValidPassword = await user.comparePassword(currentPassword);
-      if (!isValidPassword) {
+      if (!session.isValid) {
         return res.status(401).json({
           success: false,
-          message: "Current password is incorrect",
+          message: "Session has ended. Please log in again.",
         });
       }
 
-      // Update password
-      user.password = newPassword;
-      await user.save();
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        await session.revoke("deactivated");
+        return res.status(401).json({
+          success: false,
+          message: "Access denied. User not found or inactive.",
+        });
+      }
 
-      logger.info(`Password changed for user: ${user.email}`);
+      const newRefreshToken = await session.rotate();
+      if (!newRefreshToken) {
+        // Another refresh already spent this token
+        await session.revoke("token_reuse");
+        await recordAudit(req, {
+          action: "auth.refresh_token_reuse",
+          outcome: "failure",
+          actor: session.user,
+          target: { type: "session", id: session._id },
+        });
+        logger.warn(
+          `Concurrent refresh token reuse for user ${session.user}, session ${session._id} revoked`
+        );
+        return res.status(401).json({
+          success: false,
+          message: "Invalid refresh token. Please log in again.",
+        });
+      }
+      await session.touch(req.ip);
 
       res.json({
         success: true,
-        message:
-          "Password changed successfully! Your account is now more secure than a locked barn.",
+        message: "Session refreshed successfully",
+        data: {
+          token: generateAccessToken(user._id, session._id),
+          refreshToken: newRefreshToken,
+          expiresIn: JWT_EXPIRE,
+        },
       });
     } catch (error) {
-      logger.error("Change password error:", error);
+      logger.error("Token refresh error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to change password",
+        message: "Failed to refresh session",
         error:
           process.env.NODE_ENV === "development" ? error.message : undefined,
       });
@@ -354,59 +616,1201 @@ router.post(
   }
 );
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
-// @access  Private
-router.post("/logout", auth, async (req, res) => {
-  try {
-    // In a JWT-based system, logout is typically handled client-side
-    // by removing the token. However, we can log the logout event.
+// Send an unlock link to a locked-out account by email, or SMS when the
+// farmer has no email
+const sendUnlockLink = async (user, throttle) => {
+  const nonce = throttle.createUnlockNonce();
+  await throttle.save();
 
-    const user = await User.findById(req.user.userId);
-    if (user) {
-      logger.info(`User logged out: ${user.email}`);
-    }
+  const token = signActionToken(
+    { key: throttle.key, nonce },
+    "unlock_account",
+    "1h"
+  );
+  const link = `${API_URL}/api/auth/unlock?token=${token}`;
 
-    res.json({
-      success: true,
-      message: "Logged out successfully! Time to tend to your real crops now!",
-    });
-  } catch (error) {
-    logger.error("Logout error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Logout failed",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  if (!user.email) {
+    return sendSms({
+      to: user.phone,
+      body: `Vriddhi: your account was locked after repeated failed logins. Unlock it using ${link}`,
     });
   }
-});
 
-// @route   GET /api/auth/stats
-// @desc    Get user statistics
-// @access  Private
-router.get("/stats", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+  return sendMail({
+    to: user.email,
+    subject: "Your Vriddhi account has been locked",
+    text: `Namaste ${user.name},\n\nWe locked your account after several failed login attempts. If this was you, open this link to unlock it right away:\n${link}\n\nIf it wasn't you, someone may be guessing your password - consider changing it once you are back in.`,
+    html: `<p>Namaste ${escapeHtml(user.name)},</p><p>We locked your account after several failed login attempts. If this was you, click the link below to unlock it right away:</p><p><a href="${link}">Unlock my account</a></p><p>If it wasn't you, someone may be guessing your password - consider changing it once you are back in.</p>`,
+  });
+};
+
+// Answer a login refused by the throttle
+const refuseThrottledLogin = async (req, res, email, throttle) => {
+  await recordAudit(req, {
+    action: "auth.login",
+    outcome: "failure",
+    actor: null,
+    metadata: {
+      method: "password",
+      email,
+      reason: throttle.locked ? "locked" : "throttled",
+    },
+  });
+  logger.warn(
+    `Blocked login attempt for ${email} from ${req.ip} (${throttle.kind} ${throttle.locked ? "locked" : "delayed"})`
+  );
+  res.set("Retry-After", String(throttle.retryAfter));
+  return res.status(throttle.locked ? 423 : 429).json({
+    success: false,
+    message: throttle.locked
+      ? throttle.kind === "account"
+        ? "This account is temporarily locked after too many failed attempts. Check your email or SMS for an unlock link."
+        : "Too many failed logins from your network. Please try again later."
+      : `Too many failed attempts. Please wait ${throttle.retryAfter} seconds before trying again.`,
+    data: { retryAfter: throttle.retryAfter },
+  });
+};
+
+// Count a login attempt against both the account and the caller's IP,
+// saying which one blocks it once an attempt goes past the lock threshold
+const countLoginAttempt = async (email, req) => {
+  const [account, ip] = await Promise.all([
+    LoginThrottle.registerAttempt(LoginThrottle.accountKey(email), "account"),
+    LoginThrottle.registerAttempt(LoginThrottle.ipKey(req.ip), "ip"),
+  ]);
+
+  const refused = [
+    ["account", account],
+    ["ip", ip],
+  ].find(([, result]) => !result.allowed);
+
+  return {
+    account,
+    ip,
+    blocked: refused && {
+      blocked: true,
+      locked: true,
+      kind: refused[0],
+      retryAfter: refused[1].retryAfter,
+    },
+  };
+};
+
+// Confirm a counted login attempt failed, for both the account and the IP
+const recordFailedLogin = async (email, user, req, attempt) => {
+  const [account, ip] = await Promise.all([
+    LoginThrottle.registerFailure(attempt.account.throttle),
+    LoginThrottle.registerFailure(attempt.ip.throttle),
+  ]);
+
+  await recordAudit(req, {
+    action: "auth.login",
+    outcome: "failure",
+    actor: null,
+    target: user ? { type: "user", id: user._id } : undefined,
+    metadata: {
+      method: "password",
+      email,
+      reason: user ? "bad_password" : "unknown_account",
+    },
+  });
+
+  logger.warn(
+    `Failed login for ${email} from ${req.ip} (account failures: ${account.throttle.failures}, ip failures: ${ip.throttle.failures})`
+  );
+
+  if (ip.justLocked) {
+    logger.warn(`Login temporarily blocked for IP ${req.ip}`);
+  }
+
+  if (account.justLocked) {
+    await recordAudit(req, {
+      action: "auth.lockout",
+      outcome: "failure",
+      actor: null,
+      target: user ? { type: "user", id: user._id } : undefined,
+      metadata: { email, failures: account.throttle.failures },
+    });
+    logger.warn(`Account locked after repeated failed logins: ${email}`);
+    if (user) {
+      sendUnlockLink(user, account.throttle).catch((deliveryError) =>
+        logger.error("Unlock link delivery error:", deliveryError)
+      );
     }
+  }
+};
 
-    // Get additional stats from related models
-    const { ChatLog, DiseaseDetection } = require("../models/Disease");
+// Deliver a password reset link over the channel the farmer asked with
+const sendPasswordResetLink = (user, token, channel) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
 
-    const [chatStats, recentDiseases] = await Promise.all([
-      ChatLog.getChatAnalytics(user._id),
-      DiseaseDetection.find({ farmer: user._id })
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select("prediction.diseaseName prediction.severity status createdAt"),
-    ]);
+  if (channel === "sms") {
+    return sendSms({
+      to: user.phone,
+      body: `Vriddhi: reset your password within 30 minutes using ${link} . Ignore this if you did not ask for it.`,
+    });
+  }
 
-    const stats = {
-      profile: user.stats,
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Vriddhi password",
+    text: `Namaste ${user.name},\n\nWe received a request to reset your password. Open this link within 30 minutes to choose a new one:\n${link}\n\nIf you did not ask for this, you can ignore this email - your password will not change.`,
+    html: `<p>Namaste ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Click the link below within 30 minutes to choose a new one:</p><p><a href="${link}">Reset my password</a></p><p>If you did not ask for this, you can ignore this email - your password will not change.</p>`,
+  });
+};
+
+// @route   GET /api/auth/verify-email
+// @desc    Verify email address from a one-time link
+// @access  Public
+router.get(
+  "/verify-email",
+  [query("token").notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyActionToken(req.query.token, "verify_email");
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          message:
+            tokenError.name === "TokenExpiredError"
+              ? "This verification link has expired. Please request a new one."
+              : "Invalid verification link.",
+        });
+      }
+
+      const user = await User.findById(decoded.userId).select(
+        "+emailVerification.nonce"
+      );
+
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification link.",
+        });
+      }
+
+      if (user.isEmailVerified) {
+        return res.json({
+          success: true,
+          message: "Your email is already verified.",
+        });
+      }
+
+      if (user.emailVerification?.nonce !== decoded.nonce) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "This verification link has already been used or replaced by a newer one.",
+        });
+      }
+
+      user.isEmailVerified = true;
+      user.emailVerification.nonce = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      await recordAudit(req, {
+        action: "auth.email_verified",
+        actor: user._id,
+        target: { type: "user", id: user._id },
+      });
+
+      logger.info(`Email verified for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: "Email verified successfully! Your farm account is all set.",
+      });
+    } catch (error) {
+      logger.error("Verify email error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify email",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a fresh verification email
+// @access  Private
+router.post("/resend-verification", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Your account has no email address to verify.",
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Your email is already verified.",
+      });
+    }
+
+    const { allowed, retryAfter } = user.canSendVerificationEmail();
+    if (!allowed) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email.`,
+        data: { retryAfter },
+      });
+    }
+
+    user.createEmailVerificationNonce();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent. Please check your inbox.",
+    });
+  } catch (error) {
+    logger.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send verification email",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/auth/unlock
+// @desc    Unlock a locked account from an emailed/texted link
+// @access  Public
+router.get(
+  "/unlock",
+  [query("token").notEmpty().withMessage("Unlock token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyActionToken(req.query.token, "unlock_account");
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          message: "This unlock link is invalid or has expired.",
+        });
+      }
+
+      const throttle = await LoginThrottle.findOne({
+        key: decoded.key,
+      }).select("+unlockNonce");
+
+      if (!throttle || throttle.unlockNonce !== decoded.nonce) {
+        return res.status(400).json({
+          success: false,
+          message: "This unlock link has already been used or replaced.",
+        });
+      }
+
+      await LoginThrottle.reset(throttle.key);
+
+      await recordAudit(req, {
+        action: "auth.unlock",
+        actor: null,
+        metadata: { key: throttle.key },
+      });
+
+      logger.info(`Account unlocked via link: ${throttle.key}`);
+
+      res.json({
+        success: true,
+        message: "Your account is unlocked. You can log in again now.",
+      });
+    } catch (error) {
+      logger.error("Unlock account error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unlock account",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/unlock/request
+// @desc    Re-send the unlock link for a locked account
+// @access  Public
+router.post(
+  "/unlock/request",
+  [
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { email } = req.body;
+
+      const [throttle, user] = await Promise.all([
+        LoginThrottle.findOne({ key: LoginThrottle.accountKey(email) }),
+        User.findOne({ email, isActive: true }),
+      ]);
+
+      const recentlySent =
+        throttle?.unlockSentAt &&
+        Date.now() - throttle.unlockSentAt < 60 * 1000;
+
+      if (user && throttle?.isLocked && !recentlySent) {
+        sendUnlockLink(user, throttle).catch((deliveryError) =>
+          logger.error("Unlock link delivery error:", deliveryError)
+        );
+        logger.info(`Unlock link re-sent for ${email}`);
+      }
+
+      // Same answer whether or not the account exists or is locked
+      res.json({
+        success: true,
+        message:
+          "If that account is locked, an unlock link is on its way by email or SMS.",
+      });
+    } catch (error) {
+      logger.error("Unlock request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process unlock request",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get("/me", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Profile fetched successfully",
+      data: {
+        user: user.getPublicProfile(),
+      },
+    });
+  } catch (error) {
+    logger.error("Get profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch profile",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile; the phone number is a sign-in identity and
+//          changes through /phone/request and /phone/verify instead
+// @access  Private
+router.put(
+  "/profile",
+  auth,
+  [
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.body.phone !== undefined) {
+        const current = await User.findById(req.user.userId).select("phone");
+        if (current && normalizePhone(req.body.phone) !== current.phone) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Confirm a new phone number with a code: request one at /api/auth/phone/request.",
+          });
+        }
+      }
+
+      const allowedFields = ["name", "farmDetails", "preferences"];
+      const updates = {};
+
+      // Filter allowed fields
+      Object.keys(req.body).forEach((key) => {
+        if (allowedFields.includes(key)) {
+          updates[key] = req.body[key];
+        }
+      });
+
+      if (updates.farmDetails?.location) {
+        updates.farmDetails.location = await resolveLocation(
+          updates.farmDetails.location
+        );
+      }
+
+      const user = await User.findByIdAndUpdate(req.user.userId, updates, {
+        new: true,
+        runValidators: true,
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      logger.info(`Profile updated for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message:
+          "Profile updated successfully! Your farming data is now fresh as morning dew.",
+        data: {
+          user: user.getPublicProfile(),
+        },
+      });
+    } catch (error) {
+      logger.error("Profile update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update profile",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/phone/request
+// @desc    Text a code to a new phone number to confirm the change
+// @access  Private
+router.post(
+  "/phone/request",
+  auth,
+  otpLimiter,
+  [
+    body("phone")
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const phone = normalizePhone(req.body.phone);
+
+      const taken = await User.exists({
+        phone,
+        _id: { $ne: req.user.userId },
+      });
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          message: "This phone number belongs to another account.",
+        });
+      }
+
+      const { allowed, retryAfter } = await Otp.checkRateLimit(
+        phone,
+        "phone_change"
+      );
+      if (!allowed) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another code.`,
+          data: { retryAfter },
+        });
+      }
+
+      const { otp, code } = await Otp.issue(phone, {
+        purpose: "phone_change",
+        requestIp: req.ip,
+        user: req.user.userId,
+      });
+      await sendSms({
+        to: phone,
+        body: `${code} is your Vriddhi code to add this number to your account. It expires in 5 minutes. Do not share it with anyone.`,
+      });
+
+      logger.info(
+        `Phone change code sent to ${phone} for user ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: "A confirmation code has been sent to the new number.",
+        data: { phone, expiresAt: otp.expiresAt },
+      });
+    } catch (error) {
+      logger.error("Phone change request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send confirmation code",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/phone/verify
+// @desc    Switch to the new phone number with the code sent to it
+// @access  Private
+router.post(
+  "/phone/verify",
+  auth,
+  [
+    body("phone")
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+    body("code")
+      .isLength({ min: 6, max: 6 })
+      .isNumeric()
+      .withMessage("Code must be 6 digits"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const phone = normalizePhone(req.body.phone);
+
+      const otp = await Otp.findActive(phone, "phone_change", req.user.userId);
+      if (!otp) {
+        return res.status(400).json({
+          success: false,
+          message: "No active code for this number. Please request a new one.",
+        });
+      }
+
+      const result = await otp.verify(req.body.code);
+      if (!result.valid) {
+        const messages = {
+          expired: "This code has expired. Please request a new one.",
+          too_many_attempts:
+            "Too many incorrect attempts. Please request a new code.",
+          mismatch: `Incorrect code. ${otp.attemptsRemaining} attempt(s) left.`,
+        };
+        return res.status(401).json({
+          success: false,
+          message: messages[result.reason],
+        });
+      }
+
+      let user;
+      try {
+        user = await User.findByIdAndUpdate(
+          req.user.userId,
+          { phone, isPhoneVerified: true },
+          { new: true, runValidators: true }
+        );
+      } catch (updateError) {
+        if (updateError.code !== 11000) throw updateError;
+        return res.status(409).json({
+          success: false,
+          message: "This phone number belongs to another account.",
+        });
+      }
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await otp.consume();
+
+      await recordAudit(req, {
+        action: "auth.phone_change",
+        target: { type: "user", id: user._id },
+        metadata: { phone },
+      });
+
+      logger.info(`Phone number changed for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message: "Your phone number has been updated.",
+        data: {
+          user: user.getPublicProfile(),
+        },
+      });
+    } catch (error) {
+      logger.error("Phone change verify error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to change phone number",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/change-password
+// @desc    Change user password
+// @access  Private
+router.post(
+  "/change-password",
+  auth,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("newPassword")
+      .isLength({ min: 6 })
+      .withMessage("New password must be at least 6 characters long")
+      .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+      .withMessage(
+        "New password must contain at least one letter and one number"
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      // Get user with password
+      const user = await User.findById(req.user.userId).select("+password");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Verify current password
+      const isValidPassword = await user.comparePassword(currentPassword);
+      if (!isValidPassword) {
+        await recordAudit(req, {
+          action: "auth.password_change",
+          outcome: "failure",
+          target: { type: "user", id: user._id },
+          metadata: { reason: "wrong_current_password" },
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Current password is incorrect",
+        });
+      }
+
+      // Update password
+      user.password = newPassword;
+      await user.save();
+
+      // Sign out every other device
+      await Session.revokeAllForUser(
+        user._id,
+        "password_change",
+        req.user.sessionId
+      );
+
+      await recordAudit(req, {
+        action: "auth.password_change",
+        target: { type: "user", id: user._id },
+      });
+
+      logger.info(`Password changed for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message:
+          "Password changed successfully! Your account is now more secure than a locked barn.",
+      });
+    } catch (error) {
+      logger.error("Change password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to change password",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset link by email or SMS
+// @access  Public
+router.post(
+  "/forgot-password",
+  [
+    body("email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email"),
+    body("phone")
+      .optional()
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+    body().custom((value) => {
+      if (!value.email && !value.phone) {
+        throw new Error("Email or phone number is required");
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { email } = req.body;
+      const phone = normalizePhone(req.body.phone);
+      const channel = email ? "email" : "sms";
+
+      const user = await User.findOne(email ? { email } : { phone });
+
+      if (user && user.isActive && user.canRequestPasswordReset()) {
+        const token = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        // Don't let delivery time reveal that the account exists
+        sendPasswordResetLink(user, token, channel).catch((deliveryError) =>
+          logger.error("Password reset delivery error:", deliveryError)
+        );
+
+        await recordAudit(req, {
+          action: "auth.password_reset_request",
+          actor: null,
+          target: { type: "user", id: user._id },
+          metadata: { channel },
+        });
+
+        logger.info(
+          `Password reset requested for user ${user._id} via ${channel}`
+        );
+      }
+
+      // Same answer whether or not the account exists
+      res.json({
+        success: true,
+        message:
+          "If an account matches those details, a password reset link is on its way.",
+      });
+    } catch (error) {
+      logger.error("Forgot password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process password reset request",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a one-time reset token
+// @access  Public
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty().withMessage("Reset token is required"),
+    body("newPassword")
+      .isLength({ min: 6 })
+      .withMessage("New password must be at least 6 characters long")
+      .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+      .withMessage(
+        "New password must contain at least one letter and one number"
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, newPassword } = req.body;
+
+      const user = await User.findByPasswordResetToken(token);
+      if (!user || !user.isActive) {
+        await recordAudit(req, {
+          action: "auth.password_reset",
+          outcome: "failure",
+          actor: null,
+          metadata: { reason: "invalid_token" },
+        });
+        return res.status(400).json({
+          success: false,
+          message:
+            "This reset link is invalid or has expired. Please request a new one.",
+        });
+      }
+
+      // Clear the token in the same write so it cannot be replayed
+      user.password = newPassword;
+      user.passwordReset = undefined;
+      await user.save();
+
+      // Every existing session ends with the old password
+      await Session.revokeAllForUser(user._id, "password_reset");
+      if (user.email) {
+        await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+      }
+
+      await recordAudit(req, {
+        action: "auth.password_reset",
+        actor: user._id,
+        target: { type: "user", id: user._id },
+      });
+
+      logger.info(`Password reset completed for user: ${user._id}`);
+
+      res.json({
+        success: true,
+        message:
+          "Password reset successfully! Please log in with your new password.",
+      });
+    } catch (error) {
+      logger.error("Reset password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset password",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    if (session) {
+      await session.revoke("logout");
+    }
+
+    await recordAudit(req, {
+      action: "auth.logout",
+      target: { type: "session", id: req.user.sessionId },
+    });
+
+    const user = await User.findById(req.user.userId);
+    if (user) {
+      logger.info(`User logged out: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out successfully! Time to tend to your real crops now!",
+    });
+  } catch (error) {
+    logger.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices currently signed in to this account
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Active sessions fetched successfully",
+      data: {
+        sessions: sessions.map((session) =>
+          session.getPublicSession(req.user.sessionId)
+        ),
+      },
+    });
+  } catch (error) {
+    logger.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch active sessions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out a single device
+// @access  Private
+router.delete(
+  "/sessions/:sessionId",
+  auth,
+  [param("sessionId").isMongoId().withMessage("Valid session ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.user.userId,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found or already signed out",
+        });
+      }
+
+      await session.revoke("remote_signout");
+
+      await recordAudit(req, {
+        action: "auth.session_revoke",
+        target: { type: "session", id: session._id },
+      });
+
+      logger.info(
+        `Session ${session._id} revoked remotely by user ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: "Device signed out successfully",
+        data: {
+          sessionId: session._id,
+          wasCurrent: session._id.equals(req.user.sessionId),
+        },
+      });
+    } catch (error) {
+      logger.error("Revoke session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to sign out device",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other devices (or every device with ?includeCurrent=true)
+// @access  Private
+router.delete("/sessions", auth, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === "true";
+
+    const result = await Session.revokeAllForUser(
+      req.user.userId,
+      "remote_signout",
+      includeCurrent ? null : req.user.sessionId
+    );
+
+    await recordAudit(req, {
+      action: "auth.session_revoke",
+      target: { type: "user", id: req.user.userId },
+      metadata: { includeCurrent, revokedCount: result.modifiedCount },
+    });
+
+    logger.info(
+      `User ${req.user.userId} signed out ${result.modifiedCount} session(s)`
+    );
+
+    res.json({
+      success: true,
+      message: includeCurrent
+        ? "Signed out of all devices"
+        : "Signed out of all other devices",
+      data: {
+        revokedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    logger.error("Revoke all sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign out devices",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/auth/security-activity
+// @desc    Recent sign-ins, password changes and other security events
+// @access  Private
+router.get("/security-activity", auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const events = await AuditLog.findForUser(req.user.userId, limit).select(
+      "action outcome target ipAddress userAgent createdAt"
+    );
+
+    res.json({
+      success: true,
+      message: "Security activity fetched successfully",
+      data: {
+        events: events.map((event) => ({
+          ...event.toObject(),
+          device: describeDevice(event.userAgent),
+        })),
+      },
+    });
+  } catch (error) {
+    logger.error("Get security activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch security activity",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/auth/stats
+// @desc    Get user statistics
+// @access  Private
+router.get("/stats", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Get additional stats from related models
+    const { ChatLog, DiseaseDetection } = require("../models/Disease");
+    const HarvestRecord = require("../models/HarvestRecord");
+
+    const farmIds = (
+      await Farm.findForUser(user._id, { includeArchived: true })
+    ).map((farm) => farm._id);
+
+    const [chatStats, recentDiseases, successfulHarvests, recentHarvests] =
+      await Promise.all([
+        ChatLog.getChatAnalytics(user._id),
+        DiseaseDetection.find({ farmer: user._id })
+          .sort({ createdAt: -1 })
+          .limit(5)
+          .select(
+            "prediction.diseaseName prediction.severity status createdAt"
+          ),
+        HarvestRecord.countSuccessful(farmIds),
+        HarvestRecord.find({ farm: { $in: farmIds } })
+          .sort({ date: -1 })
+          .limit(5)
+          .select("farm crop quantity unit qualityGrade area date"),
+      ]);
+
+    // Harvest counts come from harvest records; keep the stored figure in
+    // step for places that read it directly
+    if (user.stats.successfulHarvests !== successfulHarvests) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { "stats.successfulHarvests": successfulHarvests } }
+      );
+      user.stats.successfulHarvests = successfulHarvests;
+    }
+
+    const stats = {
+      profile: user.stats,
+      harvests: {
+        successful: successfulHarvests,
+        recent: recentHarvests,
+      },
       chat: chatStats[0] || {
         totalSessions: 0,
         totalMessages: 0,
@@ -1,13 +1,127 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, validationResult } = require("express-validator");
 const { v4: uuidv4 } = require("uuid");
 const auth = require("../middleware/auth");
-const { ChatLog, DiseaseDetection, Treatment } = require("../models/Disease");
+const { ChatLog } = require("../models/Disease");
 const User = require("../models/User");
+const Farm = require("../models/Farm");
+const CropCycle = require("../models/CropCycle");
+const SoilTest = require("../models/SoilTest");
+const { buildPlanForCycle } = require("../utils/fertilizer");
+const { buildCropCalendar } = require("../utils/cropCalendar");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+  });
+
+// Fertilizer advice from the farm's own soil test and crop cycle; without a
+// soil test the bot says so rather than guessing at nutrient levels
+const getFertilizerResponse = (cropType, { soilTest, fertilizerPlan }) => {
+  const parts = [];
+
+  if (soilTest) {
+    const { ratings } = soilTest;
+    const levels = [
+      ["nitrogen", "nitrogen"],
+      ["phosphorus", "phosphorus"],
+      ["potassium", "potassium"],
+      ["organicCarbon", "organic carbon"],
+    ]
+      .filter(([key]) => ratings[key])
+      .map(([key, label]) => `${ratings[key]} ${label}`);
+    const deficient = Object.entries(ratings.micronutrients)
+      .filter(([, rating]) => rating === "deficient")
+      .map(([name]) => name);
+
+    parts.push(
+      `Your soil test from ${formatDate(soilTest.sampledAt)}${
+        soilTest.lab?.name ? ` (${soilTest.lab.name})` : ""
+      } shows ${levels.length ? levels.join(", ") : "no N, P or K values"}${
+        ratings.ph ? ` with ${ratings.ph} soil (pH ${soilTest.ph})` : ""
+      }.${deficient.length ? ` It is deficient in ${deficient.join(", ")}.` : ""}`
+    );
+  } else {
+    parts.push(
+      `I don't have a soil test for your farm yet, so I can't tell which nutrients your soil is short of. Add your Soil Health Card values for advice based on your own field.`
+    );
+  }
+
+  if (fertilizerPlan) {
+    const steps = fertilizerPlan.applications
+      .filter((application) => application.products.length)
+      .map(
+        (application) =>
+          `${application.stage}${
+            application.date ? ` (${formatDate(application.date)})` : ""
+          }: ${application.products
+            .map(({ product, total }) => `${total} kg ${product}`)
+            .join(", ")}`
+      );
+    parts.push(
+      `For your ${fertilizerPlan.crop} on ${fertilizerPlan.area} ha, aiming for ${fertilizerPlan.targetYield} q/ha:\n• ${steps.join("\n• ")}`
+    );
+    fertilizerPlan.amendments.forEach(({ product, total }) =>
+      parts.push(`Also apply ${total} kg ${product} at sowing.`)
+    );
+  } else {
+    parts.push(
+      `Start a crop cycle for your ${cropType} and I'll work out quantities and timings for each split application.`
+    );
+  }
+
+  return parts.join("\n\n");
+};
+
+// Harvest timing from the crop calendar, which works from the crop's own
+// planting and expected harvest dates
+const getHarvestResponse = (cropType, { cropCalendar }) => {
+  if (!cropCalendar) {
+    return `I can't tell when your ${cropType} will be ready without its planting date. Add the planting date (and the expected harvest date, if you know it) to your crop and I'll track its growth stages and harvest window.`;
+  }
+
+  const { crop, phase, currentStage, daysAfterPlanting, daysToHarvest } =
+    cropCalendar;
+  const harvestOn = formatDate(cropCalendar.expectedHarvestDate);
+  const basis = cropCalendar.harvestDateEstimated
+    ? ` (estimated from the usual ${crop.toLowerCase()} season)`
+    : "";
+
+  if (phase === "not_sown") {
+    return `Your ${crop} is due to be planted on ${formatDate(
+      cropCalendar.plantingDate
+    )}, so harvest would be around ${harvestOn}${basis}.`;
+  }
+  if (phase === "ready") {
+    return `Your ${crop} reached its expected harvest date on ${harvestOn}. Check that the crop is mature and harvest as soon as the weather allows.`;
+  }
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  // The next task of each kind, so weekly scouting doesn't crowd out the
+  // rest
+  const upcoming = ["fertilizer", "irrigation", "scouting"]
+    .map((type) =>
+      cropCalendar.tasks.find(
+        (task) => task.type === type && task.dueDate >= today
+      )
+    )
+    .filter(Boolean)
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map((task) => `${task.title} (${formatDate(task.dueDate)})`);
+
+  return `Your ${crop} is ${daysAfterPlanting} days old${
+    currentStage ? ` and at the ${currentStage.name.toLowerCase()} stage` : ""
+  }. Harvest is expected around ${harvestOn}, ${daysToHarvest} days from now${basis}.${
+    upcoming.length ? `\n\nComing up:\n• ${upcoming.join("\n• ")}` : ""
+  }`;
+};
+
 // Enhanced bot response system (same as frontend but server-side)
 const getBotResponse = (message, userContext = {}) => {
   const msg = message.toLowerCase();
@@ -36,9 +150,7 @@ const getBotResponse = (message, userContext = {}) => {
   }
 
   if (msg.includes("fertilizer") || msg.includes("nutrients")) {
-    return `For ${cropType}, I suggest nitrogen-rich fertilizers during vegetative stage. Your soil type (${
-      farmDetails?.soilType || "detected soil"
-    }) shows good phosphorus levels but could benefit from additional potassium. Want specific product recommendations?`;
+    return getFertilizerResponse(cropType, userContext);
   }
 
   if (msg.includes("weather") || msg.includes("rain")) {
@@ -46,7 +158,7 @@ const getBotResponse = (message, userContext = {}) => {
   }
 
   if (msg.includes("harvest") || msg.includes("ready")) {
-    return `Your ${cropType} will be ready for harvest in approximately 3 months based on your planting date. Growth monitoring shows 15-20% higher yield potential than average. I'll send notifications when optimal harvest time approaches.`;
+    return getHarvestResponse(cropType, userContext);
   }
 
   if (msg.includes("trend") || msg.includes("statistics")) {
@@ -151,7 +263,43 @@ router.post(
       await chatSession.addMessage("user", message, messageType);
 
       // Generate bot response with user context
-      const botResponse = getBotResponse(message, user);
+      // Answer in the context of the farm currently selected
+      const farm = await Farm.findCurrentForUser(user);
+      const context = {
+        farmDetails: farm || user.farmDetails,
+        stats: user.stats,
+      };
+
+      // Fertilizer answers come from the farm's soil test and the crop
+      // currently in the ground
+      if (farm && detectIntent(message) === "fertilizer_recommendation") {
+        const cycle = await CropCycle.findOne({
+          farm: farm._id,
+          status: { $in: CropCycle.ACTIVE_STATUSES },
+        }).sort({ sowingDate: -1 });
+        context.soilTest = await SoilTest.findLatestForField(
+          farm._id,
+          cycle?.field
+        );
+        context.fertilizerPlan = cycle
+          ? buildPlanForCycle(cycle, farm, context.soilTest)
+          : null;
+      }
+
+      // Harvest answers come from the crop calendar of the first crop
+      // with a planting date
+      if (detectIntent(message) === "harvest_timing") {
+        const crops = context.farmDetails?.cropTypes || [];
+        context.cropCalendar = buildCropCalendar(
+          crops.find((crop) => crop.plantingDate) || crops[0],
+          {
+            areaUnit: farm?.farmSize?.unit,
+            irrigationType: context.farmDetails?.irrigationType,
+          }
+        );
+      }
+
+      const botResponse = getBotResponse(message, context);
 
       // Simulate typing delay
       setTimeout(async () => {
@@ -330,7 +478,7 @@ router.get("/analytics", auth, async (req, res) => {
       .select("sessionId totalMessages duration satisfaction.rating topics");
 
     const topTopics = await ChatLog.aggregate([
-      { $match: { farmer: mongoose.Types.ObjectId(req.user.userId) } },
+      { $match: { farmer: new mongoose.Types.ObjectId(req.user.userId) } },
       { $unwind: "$topics" },
       { $group: { _id: "$topics", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
@@ -0,0 +1,170 @@
+// routes/cropCalendar.js - Crop Calendar & iCalendar Feed Routes
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const SoilTest = require("../models/SoilTest");
+const {
+  SUPPORTED_CROPS,
+  TASK_TYPES,
+  buildCropCalendar,
+  toCalendarEvents,
+} = require("../utils/cropCalendar");
+const { buildICalendar } = require("../utils/ical");
+const logger = require("../utils/logger");
+
+// Mounted at /api/farmers/farms/:farmId/calendar
+const router = express.Router({ mergeParams: true });
+
+const calendarReadAuth = auth.allowApiKey("calendar:read");
+
+// Calendar apps subscribe by URL, so the feed also takes its key as ?key=
+const feedAuth = auth.allowApiKey("calendar:read", { keyInQuery: true });
+
+const calendarValidators = [
+  query("crop").optional().isMongoId().withMessage("Invalid crop ID"),
+  query(["from", "to"]).optional().isISO8601().withMessage("Invalid date"),
+  query("type")
+    .optional()
+    .customSanitizer((value) => String(value).split(","))
+    .custom((types) => types.every((type) => TASK_TYPES.includes(type)))
+    .withMessage(`Task types must be from: ${TASK_TYPES.join(", ")}`),
+];
+
+// Build the calendar of each of the farm's crops (or just ?crop). Crops
+// that can't be scheduled are listed with the reason.
+const buildFarmCalendars = async (farm, { crop, from, to, type }) => {
+  const crops = farm.cropTypes.filter(
+    (entry) => !crop || entry._id.equals(crop)
+  );
+
+  const calendars = [];
+  const unscheduled = [];
+  for (const entry of crops) {
+    const calendar = buildCropCalendar(entry, {
+      areaUnit: farm.farmSize?.unit || "acres",
+      irrigationType: farm.irrigationType,
+      soilTest: await SoilTest.findLatestForField(farm._id, entry.field),
+      from,
+      to,
+      types: type || TASK_TYPES,
+    });
+    if (calendar) {
+      calendars.push(calendar);
+    } else {
+      unscheduled.push({
+        cropId: entry._id,
+        crop: entry.name,
+        reason: !entry.plantingDate
+          ? "Add a planting date to schedule this crop"
+          : `No growth stages for this crop; add an expected harvest date or grow one of: ${SUPPORTED_CROPS.join(", ")}`,
+      });
+    }
+  }
+  return { crops, calendars, unscheduled };
+};
+
+// @route   GET /api/farmers/farms/:farmId/calendar
+// @desc    Current growth stage and scouting, fertilizer, irrigation and
+//          harvest tasks for each crop (?crop, ?from, ?to, ?type=a,b)
+// @access  Private (farm members, or API key with calendar:read)
+router.get(
+  "/",
+  calendarReadAuth,
+  requireFarmRole("viewer"),
+  calendarValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { crops, calendars, unscheduled } = await buildFarmCalendars(
+        req.farm,
+        req.query
+      );
+      if (req.query.crop && !crops.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop not found on this farm",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Crop calendar generated successfully",
+        data: { calendars, unscheduled },
+      });
+    } catch (error) {
+      logger.error("Crop calendar error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate crop calendar",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/calendar/feed.ics
+// @desc    The crop calendar as an iCalendar feed to subscribe to
+// @access  Private (farm members, or API key with calendar:read, which may
+//          be passed as ?key=)
+router.get(
+  "/feed.ics",
+  feedAuth,
+  requireFarmRole("viewer"),
+  calendarValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { crops, calendars } = await buildFarmCalendars(
+        req.farm,
+        req.query
+      );
+      if (req.query.crop && !crops.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop not found on this farm",
+        });
+      }
+
+      res
+        .type("text/calendar; charset=utf-8")
+        .set(
+          "Content-Disposition",
+          `inline; filename="farm-${req.farm._id}.ics"`
+        )
+        .send(
+          buildICalendar({
+            name: `${req.farm.name} crop calendar`,
+            events: toCalendarEvents(calendars),
+          })
+        );
+    } catch (error) {
+      logger.error("Crop calendar feed error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate calendar feed",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
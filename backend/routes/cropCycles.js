@@ -0,0 +1,544 @@
+// routes/cropCycles.js - Crop Cycle & Season History Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const CropCycle = require("../models/CropCycle");
+const LedgerEntry = require("../models/LedgerEntry");
+const HarvestRecord = require("../models/HarvestRecord");
+const SoilTest = require("../models/SoilTest");
+const { SUPPORTED_CROPS, buildPlanForCycle } = require("../utils/fertilizer");
+const { DiseaseDetection } = require("../models/Disease");
+const logger = require("../utils/logger");
+
+const { CROP_CYCLE_STATUSES, ACTIVE_STATUSES } = CropCycle;
+
+// Mounted at /api/farmers/farms/:farmId/crop-cycles
+const router = express.Router({ mergeParams: true });
+
+const CYCLE_FIELDS = [
+  "field",
+  "crop",
+  "variety",
+  "season",
+  "sowingDate",
+  "expectedHarvestDate",
+  "actualHarvestDate",
+  "area",
+  "targetYield",
+  "yield",
+  "status",
+  "notes",
+];
+
+const pickCycleFields = (source) =>
+  CYCLE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const cycleIdParam = param("cycleId")
+  .isMongoId()
+  .withMessage("Valid crop cycle ID required");
+
+const cycleValidators = [
+  body("field")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body("variety").optional().trim().isLength({ max: 100 }),
+  body("season")
+    .optional()
+    .isIn(["Kharif", "Rabi", "Zaid", "Perennial", "Other"])
+    .withMessage("Invalid season"),
+  body("expectedHarvestDate").optional().isISO8601().toDate(),
+  body("actualHarvestDate").optional().isISO8601().toDate(),
+  body("area").optional().isFloat({ min: 0 }),
+  body("targetYield.quantity").optional().isFloat({ min: 0 }),
+  body("targetYield.unit").optional().isIn(["kg", "quintal", "tonne"]),
+  body("yield.quantity").optional().isFloat({ min: 0 }),
+  body("yield.unit").optional().isIn(["kg", "quintal", "tonne"]),
+  body("status")
+    .optional()
+    .isIn(CROP_CYCLE_STATUSES)
+    .withMessage("Invalid status"),
+  body("notes").optional().isLength({ max: 1000 }),
+];
+
+// @route   GET /api/farmers/farms/:farmId/crop-cycles
+// @desc    List crop cycles, current and past, newest first
+// @access  Private (farm members)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("status")
+      .optional()
+      .isIn([...CROP_CYCLE_STATUSES, "active", "past"])
+      .withMessage("Invalid status"),
+    query("field").optional().isMongoId().withMessage("Invalid field ID"),
+    query("year").optional().isInt({ min: 1900, max: 3000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        status,
+        field,
+        crop,
+        season,
+        year,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const filter = { farm: req.farm._id };
+      if (status === "active") filter.status = { $in: ACTIVE_STATUSES };
+      else if (status === "past") filter.status = { $nin: ACTIVE_STATUSES };
+      else if (status) filter.status = status;
+      if (field) filter.field = field;
+      if (crop) filter.crop = { $regex: crop, $options: "i" };
+      if (season) filter.season = season;
+      if (year) {
+        filter.sowingDate = {
+          $gte: new Date(Date.UTC(parseInt(year), 0, 1)),
+          $lt: new Date(Date.UTC(parseInt(year) + 1, 0, 1)),
+        };
+      }
+
+      const [cycles, total] = await Promise.all([
+        CropCycle.find(filter)
+          .sort({ sowingDate: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        CropCycle.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Crop cycles fetched successfully",
+        data: {
+          cycles,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get crop cycles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch crop cycles",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/crop-cycles/:cycleId
+// @desc    Get a crop cycle with the diseases and treatments seen during it
+//          and the money spent and earned on it
+// @access  Private (farm members)
+router.get(
+  "/:cycleId",
+  auth,
+  requireFarmRole("viewer"),
+  [cycleIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cycle = await CropCycle.findOne({
+        _id: req.params.cycleId,
+        farm: req.farm._id,
+      });
+      if (!cycle) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop cycle not found",
+        });
+      }
+
+      const detections = await DiseaseDetection.find({ cropCycle: cycle._id })
+        .sort({ createdAt: -1 })
+        .select(
+          "prediction.diseaseName prediction.severity status treatmentApplied treatmentResult createdAt"
+        )
+        .populate("treatmentApplied", "diseaseName treatment.method");
+
+      // Money booked to the cycle, per currency
+      const ledger = await LedgerEntry.aggregate([
+        { $match: { farm: req.farm._id, cropCycle: cycle._id } },
+        {
+          $group: {
+            _id: "$currency",
+            expenses: {
+              $sum: { $cond: [{ $eq: ["$kind", "expense"] }, "$amount", 0] },
+            },
+            income: {
+              $sum: { $cond: [{ $eq: ["$kind", "income"] }, "$amount", 0] },
+            },
+          },
+        },
+      ]);
+
+      res.json({
+        success: true,
+        message: "Crop cycle fetched successfully",
+        data: {
+          cycle,
+          detections,
+          treatments: detections
+            .filter((detection) => detection.treatmentApplied)
+            .map((detection) => ({
+              detection: detection._id,
+              treatment: detection.treatmentApplied,
+              result: detection.treatmentResult,
+            })),
+          ledger: ledger.map(({ _id, expenses, income }) => ({
+            currency: _id,
+            expenses,
+            income,
+            grossMargin: income - expenses,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error("Get crop cycle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch crop cycle",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/crop-cycles/:cycleId/fertilizer-plan
+// @desc    Fertilizer quantities and timings from the latest soil test of
+//          the cycle's field and its target yield
+// @access  Private (farm members)
+router.get(
+  "/:cycleId/fertilizer-plan",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    cycleIdParam,
+    query("soilTestId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid soil test ID"),
+    query("targetYield")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Target yield must be a positive number of q/ha"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cycle = await CropCycle.findOne({
+        _id: req.params.cycleId,
+        farm: req.farm._id,
+      });
+      if (!cycle) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop cycle not found",
+        });
+      }
+
+      const { soilTestId, targetYield } = req.query;
+      const soilTest = soilTestId
+        ? await SoilTest.findOne({ _id: soilTestId, farm: req.farm._id })
+        : await SoilTest.findLatestForField(req.farm._id, cycle.field);
+      if (soilTestId && !soilTest) {
+        return res.status(404).json({
+          success: false,
+          message: "Soil test not found",
+        });
+      }
+
+      const plan = buildPlanForCycle(cycle, req.farm, soilTest, {
+        targetYield: targetYield ? parseFloat(targetYield) : undefined,
+      });
+      if (!plan) {
+        return res.status(422).json({
+          success: false,
+          message: `No fertilizer guidance for ${cycle.crop} yet. Supported crops: ${SUPPORTED_CROPS.join(", ")}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Fertilizer plan calculated successfully",
+        data: {
+          ...plan,
+          cropCycle: cycle._id,
+          soilTest: soilTest
+            ? {
+                id: soilTest._id,
+                sampledAt: soilTest.sampledAt,
+                lab: soilTest.lab,
+                ratings: soilTest.ratings,
+              }
+            : null,
+        },
+      });
+    } catch (error) {
+      logger.error("Fertilizer plan error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to calculate fertilizer plan",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/crop-cycles
+// @desc    Start (or plan) a crop cycle
+// @access  Private (farm owner, manager)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("crop")
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Crop must be between 2 and 50 characters"),
+    body("sowingDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid sowing date required"),
+    ...cycleValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const fields = pickCycleFields(req.body);
+
+      const field = fields.field ? farm.fields.id(fields.field) : null;
+      if (fields.field && !field) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+      if (field && fields.area === undefined) fields.area = field.area;
+
+      const cycle = await CropCycle.create({
+        ...fields,
+        farm: farm._id,
+        createdBy: req.user.userId,
+      });
+
+      logger.info(
+        `Crop cycle ${cycle._id} (${cycle.crop}) created on farm ${farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${cycle.crop} cycle created successfully`,
+        data: cycle,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create crop cycle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create crop cycle",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/crop-cycles/:cycleId
+// @desc    Update a crop cycle, e.g. record the harvest and yield
+// @access  Private (farm owner, manager)
+router.put(
+  "/:cycleId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    cycleIdParam,
+    body("crop")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Crop must be between 2 and 50 characters"),
+    body("sowingDate")
+      .optional()
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid sowing date required"),
+    ...cycleValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cycle = await CropCycle.findOne({
+        _id: req.params.cycleId,
+        farm: req.farm._id,
+      });
+      if (!cycle) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop cycle not found",
+        });
+      }
+
+      const fields = pickCycleFields(req.body);
+      if (fields.field && !req.farm.fields.id(fields.field)) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      cycle.set(fields);
+      await cycle.save();
+
+      logger.info(`Crop cycle ${cycle._id} updated by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Crop cycle updated successfully",
+        data: cycle,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update crop cycle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update crop cycle",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/crop-cycles/:cycleId
+// @desc    Delete a cycle entered by mistake; finished seasons are kept as
+//          history (mark unfinished ones abandoned instead)
+// @access  Private (farm owner, manager)
+router.delete(
+  "/:cycleId",
+  auth,
+  requireFarmRole("manager"),
+  [cycleIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const cycle = await CropCycle.findOne({
+        _id: req.params.cycleId,
+        farm: req.farm._id,
+      });
+      if (!cycle) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop cycle not found",
+        });
+      }
+
+      const hasRecords =
+        (await DiseaseDetection.exists({ cropCycle: cycle._id })) ||
+        (await LedgerEntry.exists({ cropCycle: cycle._id })) ||
+        (await HarvestRecord.exists({ cropCycle: cycle._id }));
+      if (cycle.status !== "planned" || hasRecords) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Only planned cycles without records can be deleted. Mark this cycle as abandoned to keep its history.",
+        });
+      }
+
+      await cycle.deleteOne();
+
+      logger.info(`Crop cycle ${cycle._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Crop cycle deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete crop cycle error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete crop cycle",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,24 +1,42 @@
 const express = require("express");
+const fs = require("fs");
 const axios = require("axios");
 const { body, validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const auth = require("../middleware/auth");
 const upload = require("../middleware/upload");
+const { can } = require("../middleware/permissions");
 const { DiseaseDetection, Treatment } = require("../models/Disease");
 const User = require("../models/User");
+const Farm = require("../models/Farm");
+const CropCycle = require("../models/CropCycle");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
+// Sensors and partner dashboards may use API keys on these routes
+const detectionsReadAuth = auth.allowApiKey("detections:read");
+const detectionsWriteAuth = auth.allowApiKey("detections:write");
+
 // ML Service URL (FastAPI backend)
 const ML_SERVICE_URL = process.env.ML_SERVICE_URL || "http://localhost:8000";
 
+// Drop an upload that won't be recorded against a detection
+const removeUpload = (file) =>
+  file &&
+  fs.promises.unlink(file.path).catch((error) => {
+    if (error.code !== "ENOENT") {
+      logger.warn(`Could not remove upload ${file.path}: ${error.message}`);
+    }
+  });
+
 // @route   POST /api/diseases/predict
 // @desc    Upload image and predict disease
 // @access  Private
 router.post(
   "/predict",
-  auth,
+  detectionsWriteAuth,
+  can("create", "detection"),
   upload.single("image"),
   [
     body("cropType")
@@ -33,11 +51,17 @@ router.post(
       .optional()
       .isObject()
       .withMessage("Location must be an object"),
+    body("farmId").optional().isMongoId().withMessage("Invalid farm ID"),
+    body("cropCycleId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
   ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
+        await removeUpload(req.file);
         return res.status(400).json({
           success: false,
           message: "Validation failed",
@@ -52,12 +76,48 @@ router.post(
         });
       }
 
-      const { cropType, symptoms = [], location = {} } = req.body;
+      const {
+        cropType,
+        symptoms = [],
+        location = {},
+        farmId,
+        cropCycleId,
+      } = req.body;
+
+      // Record against the requested farm, or the one currently selected;
+      // either way the farmer has to be able to record work on it
+      let farm = farmId
+        ? await Farm.findById(farmId)
+        : await Farm.findCurrentForUser(await User.findById(req.user.userId));
+      const canRecordWork =
+        !!farm && !farm.archivedAt && farm.hasRole(req.user.userId, "worker");
+      if (farmId && !canRecordWork) {
+        await removeUpload(req.file);
+        return res.status(403).json({
+          success: false,
+          message: "You cannot record detections for this farm.",
+        });
+      }
+      if (!canRecordWork) farm = null;
+
+      // Link to the given season, or the crop's active cycle on the farm
+      let cropCycle = null;
+      if (farm) {
+        cropCycle = cropCycleId
+          ? await CropCycle.findOne({ _id: cropCycleId, farm: farm._id })
+          : await CropCycle.findActiveForCrop(farm._id, cropType);
+      }
+      if (cropCycleId && !cropCycle) {
+        await removeUpload(req.file);
+        return res.status(404).json({
+          success: false,
+          message: "Crop cycle not found on this farm",
+        });
+      }
 
       try {
         // Prepare form data for ML service
         const FormData = require("form-data");
-        const fs = require("fs");
 
         const formData = new FormData();
         formData.append("image", fs.createReadStream(req.file.path), {
@@ -83,6 +143,8 @@ router.post(
         // Save detection record to database
         const diseaseDetection = new DiseaseDetection({
           farmer: req.user.userId,
+          farm: farm?._id,
+          cropCycle: cropCycle?._id,
           cropType,
           originalImage: {
             filename: req.file.filename,
@@ -172,6 +234,8 @@ router.post(
 
         const fallbackDetection = new DiseaseDetection({
           farmer: req.user.userId,
+          farm: farm?._id,
+          cropCycle: cropCycle?._id,
           cropType,
           originalImage: {
             filename: req.file.filename,
@@ -232,11 +296,25 @@ router.post(
 // @route   GET /api/diseases/history
 // @desc    Get user's disease detection history
 // @access  Private
-router.get("/history", auth, async (req, res) => {
+router.get("/history", detectionsReadAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, cropType } = req.query;
+    const { page = 1, limit = 10, status, cropType, farmId } = req.query;
 
+    // With a farm, show every member's detections on it
     const query = { farmer: req.user.userId };
+    if (farmId) {
+      const farm = mongoose.isValidObjectId(farmId)
+        ? await Farm.findById(farmId)
+        : null;
+      if (!farm || !farm.hasRole(req.user.userId, "viewer")) {
+        return res.status(404).json({
+          success: false,
+          message: "Farm not found",
+        });
+      }
+      delete query.farmer;
+      query.farm = farm._id;
+    }
     if (status) query.status = status;
     if (cropType) query.cropType = { $regex: cropType, $options: "i" };
 
@@ -274,7 +352,7 @@ router.get("/history", auth, async (req, res) => {
 // @route   GET /api/diseases/trends
 // @desc    Get disease trends and analytics
 // @access  Private
-router.get("/trends", auth, async (req, res) => {
+router.get("/trends", detectionsReadAuth, async (req, res) => {
   try {
     const { timeframe = "30d" } = req.query;
 
@@ -295,18 +373,28 @@ router.get("/trends", auth, async (req, res) => {
       createdAt: { $gte: startDate },
     };
 
-    if (user.farmDetails?.location?.city) {
-      // Find users in same region
-      const regionalUsers = await User.find({
-        "farmDetails.location.city": user.farmDetails.location.city,
-        isActive: true,
-      }).select("_id");
+    // The region is that of the farm currently selected
+    const farm = await Farm.findCurrentForUser(user);
+    const city = farm ? farm.location?.city : user.farmDetails?.location?.city;
 
-      regionalQuery.farmer = { $in: regionalUsers.map((u) => u._id) };
+    if (city) {
+      // Find users and farms in same region
+      const [regionalUsers, regionalFarms] = await Promise.all([
+        User.find({
+          "farmDetails.location.city": city,
+          isActive: true,
+        }).select("_id"),
+        Farm.find({ "location.city": city }).select("_id"),
+      ]);
+
+      // Include anonymized records left behind by deleted accounts
+      regionalQuery.$or = [
+        { farmer: { $in: regionalUsers.map((u) => u._id) } },
+        { farm: { $in: regionalFarms.map((f) => f._id) } },
+        { anonymized: true, "region.city": city },
+      ];
     }
 
-    const regionalDetections = await DiseaseDetection.find(regionalQuery);
-
     // Aggregate data for trends
     const diseaseStats = await DiseaseDetection.aggregate([
       { $match: regionalQuery },
@@ -415,10 +503,11 @@ router.get("/trends", auth, async (req, res) => {
 
 // @route   PUT /api/diseases/:id/status
 // @desc    Update disease detection status
-// @access  Private
+// @access  Private (own detections; admins any)
 router.put(
   "/:id/status",
   auth,
+  can("update", "detection"),
   [
     body("status")
       .isIn(["Active", "Treated", "Resolved", "Archived"])
@@ -447,7 +536,10 @@ router.put(
       const { status, treatmentResult, notes } = req.body;
 
       const detection = await DiseaseDetection.findOneAndUpdate(
-        { _id: id, farmer: req.user.userId },
+        {
+          _id: id,
+          ...(req.permission.scope !== "any" && { farmer: req.user.userId }),
+        },
         {
           status,
           ...(treatmentResult && { treatmentResult }),
@@ -466,7 +558,7 @@ router.put(
 
       // Update user stats for successful treatments
       if (treatmentResult === "Successful") {
-        await User.findByIdAndUpdate(req.user.userId, {
+        await User.findByIdAndUpdate(detection.farmer, {
           $inc: { "stats.treatmentsApplied": 1 },
         });
       }
@@ -0,0 +1,686 @@
+// routes/equipment.js - Farm Equipment & Maintenance Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const Equipment = require("../models/Equipment");
+const EquipmentLog = require("../models/EquipmentLog");
+const LedgerEntry = require("../models/LedgerEntry");
+const logger = require("../utils/logger");
+
+const {
+  EQUIPMENT_TYPES,
+  EQUIPMENT_STATUSES,
+  USAGE_UNITS,
+  SERVICE_WARNING_DAYS,
+} = Equipment;
+
+// Mounted at /api/farmers/farms/:farmId/equipment
+const router = express.Router({ mergeParams: true });
+
+const EQUIPMENT_FIELDS = [
+  "name",
+  "type",
+  "make",
+  "model",
+  "serialNumber",
+  "purchaseDate",
+  "purchasePrice",
+  "status",
+  "usageUnit",
+  "usageReading",
+  "serviceInterval",
+  "lastService",
+  "notes",
+];
+
+const pickEquipmentFields = (source) =>
+  EQUIPMENT_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const equipmentIdParam = param("equipmentId")
+  .isMongoId()
+  .withMessage("Valid equipment ID required");
+
+const equipmentValidators = [
+  body(["make", "model", "serialNumber"])
+    .optional()
+    .trim()
+    .isLength({ max: 50 }),
+  body("purchaseDate").optional().isISO8601().toDate(),
+  body("purchasePrice.amount").optional().isFloat({ min: 0 }),
+  body("status")
+    .optional()
+    .isIn(EQUIPMENT_STATUSES)
+    .withMessage(`Status must be one of: ${EQUIPMENT_STATUSES.join(", ")}`),
+  body("usageUnit")
+    .optional()
+    .isIn(USAGE_UNITS)
+    .withMessage(`Usage unit must be one of: ${USAGE_UNITS.join(", ")}`),
+  body("usageReading")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Usage reading must be a positive number"),
+  body(["serviceInterval.usage", "serviceInterval.days"])
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Service intervals must be positive numbers"),
+  body("lastService.date").optional().isISO8601().toDate(),
+  body("lastService.reading").optional().isFloat({ min: 0 }),
+  body("notes").optional().isLength({ max: 500 }),
+];
+
+const findFarmEquipment = (req) =>
+  Equipment.findOne({ _id: req.params.equipmentId, farm: req.farm._id });
+
+// @route   GET /api/farmers/farms/:farmId/equipment
+// @desc    List the farm's equipment with its service status
+// @access  Private (farm members)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("type")
+      .optional()
+      .isIn(EQUIPMENT_TYPES)
+      .withMessage("Invalid equipment type"),
+    query("status")
+      .optional()
+      .isIn(EQUIPMENT_STATUSES)
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { farm: req.farm._id };
+      if (req.query.type) filter.type = req.query.type;
+      filter.status = req.query.status || { $ne: "retired" };
+
+      const equipment = await Equipment.find(filter).sort({
+        type: 1,
+        name: 1,
+      });
+
+      res.json({
+        success: true,
+        message: "Equipment fetched successfully",
+        data: equipment,
+      });
+    } catch (error) {
+      logger.error("Get equipment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch equipment",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/equipment/due
+// @desc    Get equipment due for service soon or already overdue
+// @access  Private (farm members)
+router.get(
+  "/due",
+  auth,
+  requireFarmRole("viewer"),
+  [query("withinDays").optional().isInt({ min: 1, max: 365 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const withinDays = parseInt(req.query.withinDays) || SERVICE_WARNING_DAYS;
+      const equipment = await Equipment.findDue(req.farm._id, { withinDays });
+
+      res.json({
+        success: true,
+        message: "Equipment due for service fetched successfully",
+        data: {
+          equipment,
+          withinDays,
+          overdue: equipment.filter((item) => item.isServiceDue).length,
+        },
+      });
+    } catch (error) {
+      logger.error("Get equipment due error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch equipment due for service",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/equipment/:equipmentId
+// @desc    Get a piece of equipment with its recent usage and services
+// @access  Private (farm members)
+router.get(
+  "/:equipmentId",
+  auth,
+  requireFarmRole("viewer"),
+  [equipmentIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await findFarmEquipment(req);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+
+      const logs = await EquipmentLog.find({ equipment: equipment._id })
+        .populate("operator", "name")
+        .sort({ date: -1 })
+        .limit(20);
+
+      res.json({
+        success: true,
+        message: "Equipment fetched successfully",
+        data: { ...equipment.toObject(), logs },
+      });
+    } catch (error) {
+      logger.error("Get equipment item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch equipment",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/equipment/:equipmentId/logs
+// @desc    Get the usage and service log of a piece of equipment
+// @access  Private (farm members)
+router.get(
+  "/:equipmentId/logs",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    equipmentIdParam,
+    query("kind")
+      .optional()
+      .isIn(EquipmentLog.LOG_KINDS)
+      .withMessage("Kind must be usage or service"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await findFarmEquipment(req);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+
+      const { kind, page = 1, limit = 50 } = req.query;
+      const filter = { equipment: equipment._id };
+      if (kind) filter.kind = kind;
+
+      const [logs, total] = await Promise.all([
+        EquipmentLog.find(filter)
+          .populate("operator", "name")
+          .sort({ date: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        EquipmentLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Equipment log fetched successfully",
+        data: {
+          logs,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get equipment log error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch equipment log",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/equipment
+// @desc    Register a piece of equipment; a purchase price is also booked
+//          as an expense
+// @access  Private (farm owner, manager)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    body("type")
+      .isIn(EQUIPMENT_TYPES)
+      .withMessage(`Type must be one of: ${EQUIPMENT_TYPES.join(", ")}`),
+    ...equipmentValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await Equipment.create({
+        ...pickEquipmentFields(req.body),
+        farm: req.farm._id,
+        createdBy: req.user.userId,
+      });
+
+      // A priced purchase is also an expense in the farm's ledger
+      if (equipment.purchasePrice?.amount) {
+        await LedgerEntry.create({
+          farm: req.farm._id,
+          kind: "expense",
+          category: "equipment",
+          amount: equipment.purchasePrice.amount,
+          currency: equipment.purchasePrice.currency,
+          date: equipment.purchaseDate || new Date(),
+          description: `${equipment.name} purchase`,
+          equipment: equipment._id,
+          createdBy: req.user.userId,
+        });
+      }
+
+      logger.info(
+        `Equipment ${equipment._id} (${equipment.name}) added to farm ${req.farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${equipment.name} added to your equipment`,
+        data: equipment,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create equipment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add equipment",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/equipment/:equipmentId
+// @desc    Update equipment details, service intervals or status
+// @access  Private (farm owner, manager)
+router.put(
+  "/:equipmentId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    equipmentIdParam,
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    body("type")
+      .optional()
+      .isIn(EQUIPMENT_TYPES)
+      .withMessage(`Type must be one of: ${EQUIPMENT_TYPES.join(", ")}`),
+    ...equipmentValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await findFarmEquipment(req);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+
+      equipment.set(pickEquipmentFields(req.body));
+      await equipment.save();
+
+      logger.info(`Equipment ${equipment._id} updated by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Equipment updated successfully",
+        data: equipment,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update equipment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update equipment",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/equipment/:equipmentId/usage
+// @desc    Log use of a piece of equipment, as the usage added (amount) or
+//          the new meter reading
+// @access  Private (farm owner, manager, worker)
+router.post(
+  "/:equipmentId/usage",
+  auth,
+  requireFarmRole("worker"),
+  [
+    equipmentIdParam,
+    body("amount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Usage must be a positive number"),
+    body("reading")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Meter reading must be a positive number"),
+    body().custom((value) => {
+      if ((value.amount == null) === (value.reading == null)) {
+        throw new Error("Send either the usage amount or the meter reading");
+      }
+      return true;
+    }),
+    body("date").optional().isISO8601().toDate(),
+    body("operator")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid operator ID required"),
+    body("notes").optional().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await findFarmEquipment(req);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+      if (equipment.status === "retired") {
+        return res.status(409).json({
+          success: false,
+          message: `${equipment.name} is retired`,
+        });
+      }
+
+      const { amount, reading, date, notes } = req.body;
+      if (reading != null && Number(reading) < equipment.usageReading) {
+        return res.status(400).json({
+          success: false,
+          message: `The meter already reads ${equipment.usageReading} ${equipment.usageUnit}`,
+        });
+      }
+
+      const operator = req.body.operator || req.user.userId;
+      if (!req.farm.getMember(operator)) {
+        return res.status(404).json({
+          success: false,
+          message: "Operator is not a member of this farm",
+        });
+      }
+
+      const log = await equipment.logUsage({
+        amount: amount != null ? Number(amount) : undefined,
+        reading: reading != null ? Number(reading) : undefined,
+        date,
+        operator,
+        notes,
+        userId: req.user.userId,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: equipment.isServiceDue
+          ? `Usage logged. ${equipment.name} is due for service.`
+          : "Usage logged successfully",
+        data: { equipment, log },
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Log equipment usage error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to log equipment usage",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/equipment/:equipmentId/service
+// @desc    Record a service, restarting the service interval; a cost is
+//          also booked as an expense
+// @access  Private (farm owner, manager)
+router.post(
+  "/:equipmentId/service",
+  auth,
+  requireFarmRole("manager"),
+  [
+    equipmentIdParam,
+    body("date").optional().isISO8601().toDate(),
+    body("reading")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Meter reading must be a positive number"),
+    body("cost.amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Cost must be a positive number"),
+    body("vendor").optional().trim().isLength({ max: 100 }),
+    body("notes").optional().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await findFarmEquipment(req);
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+
+      const { date, reading, cost, vendor, notes } = req.body;
+      const log = await equipment.recordService({
+        date,
+        reading: reading != null ? Number(reading) : undefined,
+        cost,
+        vendor,
+        notes,
+        userId: req.user.userId,
+      });
+
+      if (log.cost?.amount) {
+        await LedgerEntry.create({
+          farm: req.farm._id,
+          kind: "expense",
+          category: "equipment",
+          amount: log.cost.amount,
+          currency: log.cost.currency,
+          date: log.date,
+          description: `${equipment.name} service`,
+          counterparty: vendor,
+          equipment: equipment._id,
+          createdBy: req.user.userId,
+        });
+      }
+
+      logger.info(`Equipment ${equipment._id} serviced`);
+
+      res.status(201).json({
+        success: true,
+        message: `Service recorded for ${equipment.name}`,
+        data: { equipment, log },
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Record equipment service error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record service",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/equipment/:equipmentId
+// @desc    Remove a piece of equipment and its log (retire it instead to
+//          keep the history)
+// @access  Private (farm owner, manager)
+router.delete(
+  "/:equipmentId",
+  auth,
+  requireFarmRole("manager"),
+  [equipmentIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const equipment = await Equipment.findOneAndDelete({
+        _id: req.params.equipmentId,
+        farm: req.farm._id,
+      });
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: "Equipment not found",
+        });
+      }
+      await EquipmentLog.deleteMany({ equipment: equipment._id });
+
+      logger.info(`Equipment ${equipment._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Equipment deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete equipment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete equipment",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
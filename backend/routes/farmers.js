@@ -1,15 +1,211 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const fs = require("fs");
+const { body, param, query, validationResult } = require("express-validator");
 const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const upload = require("../middleware/upload");
 const User = require("../models/User");
+const Farm = require("../models/Farm");
+const FarmInvitation = require("../models/FarmInvitation");
+const CropCycle = require("../models/CropCycle");
+const FarmActivity = require("../models/FarmActivity");
+const { sendMail, escapeHtml } = require("../utils/mailer");
+const { sendSms, normalizePhone } = require("../utils/sms");
+const { recordAudit } = require("../utils/audit");
+const { validateBoundary } = require("../utils/geo");
+const { resolveLocation } = require("../utils/geocoder");
+const {
+  applyMergePatch,
+  applyJsonPatch,
+  patchedKeys,
+  deepEqual,
+  isPlainObject,
+} = require("../utils/jsonPatch");
 const logger = require("../utils/logger");
 
+const { FARM_ROLES, roleRank } = Farm;
+const { ACTIVITY_TYPES, MAX_PHOTOS } = FarmActivity;
+
 const router = express.Router();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Partner dashboards may read the profile with an API key
+const profileReadAuth = auth.allowApiKey("profile:read");
+
+// Farm fields a member may edit; memberships are managed separately
+const FARM_FIELDS = [
+  "name",
+  "location",
+  "farmSize",
+  "cropTypes",
+  "soilType",
+  "irrigationType",
+];
+
+const pickFarmFields = (source) =>
+  FARM_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+// Farm profile enums are the ones the farmer profile has always used
+const profileEnum = (path) =>
+  User.schema.path(`farmDetails.${path}`).enumValues;
+
+const farmValidators = [
+  body("location").optional().isObject(),
+  body("farmSize.value").optional().isNumeric().isFloat({ min: 0 }),
+  body("farmSize.unit").optional().isIn(profileEnum("farmSize.unit")),
+  body("cropTypes").optional().isArray(),
+  body("soilType").optional().isIn(profileEnum("soilType")),
+  body("irrigationType").optional().isIn(profileEnum("irrigationType")),
+];
+
+const farmNameValidator = body("name")
+  .optional()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage("Farm name must be between 1 and 100 characters");
+
+// An If-Match header must name the farm's current ETag ("*" matches any)
+const matchesIfMatch = (req, farm) => {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return true;
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .includes(farm.getETag());
+};
+
+// Save only if nobody else saved the farm since it was loaded; a lost race
+// surfaces as a DocumentNotFoundError
+const saveIfUnchanged = (farm) => {
+  farm.$where = { updatedAt: farm.updatedAt };
+  return farm.save();
+};
+
+const PRECONDITION_FAILED_MESSAGE =
+  "This farm was changed on another device. Reload it and try again.";
+
+const PATCH_FORMATS = {
+  "application/merge-patch+json": "merge-patch",
+  "application/json-patch+json": "json-patch",
+};
+
+// Accept a bare geometry or a GeoJSON Feature as drawn on the map
+const toGeometry = (value) =>
+  value?.type === "Feature" ? value.geometry : value;
+
+const boundaryValidator = (value) => {
+  const message = validateBoundary(toGeometry(value));
+  if (message) throw new Error(message);
+  return true;
+};
+
+// MongoDB refuses polygons it cannot index, e.g. with crossing edges
+const GEO_INDEX_ERROR = 16755;
+
+// Activity journal entries a member may write
+const ACTIVITY_FIELDS = [
+  "type",
+  "date",
+  "field",
+  "cropCycle",
+  "quantities",
+  "operator",
+  "operatorName",
+  "notes",
+];
+
+const pickActivityFields = (source) =>
+  ACTIVITY_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const activityIdParam = param("activityId")
+  .isMongoId()
+  .withMessage("Valid activity ID required");
+
+const activityValidators = [
+  body("date").optional().isISO8601().toDate(),
+  body("field")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body("cropCycle")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid crop cycle ID required"),
+  body("quantities").optional().isArray({ max: 20 }),
+  body("quantities.*.item").trim().isLength({ min: 1, max: 100 }),
+  body("quantities.*.amount").isFloat({ min: 0 }).toFloat(),
+  body("quantities.*.unit").trim().isLength({ min: 1, max: 20 }),
+  body("operator")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid operator ID required"),
+  body("operatorName").optional().trim().isLength({ max: 100 }),
+  body("notes").optional().isLength({ max: 1000 }),
+];
+
+// Check that an entry's field, crop cycle and operator belong to the farm;
+// returns an error message, or null when they do. An entry logged against a
+// crop cycle defaults to the cycle's field.
+const checkActivityLinks = async (farm, fields) => {
+  if (fields.field && !farm.fields.id(fields.field)) {
+    return "Field not found on this farm";
+  }
+  if (fields.cropCycle) {
+    const cycle = await CropCycle.findOne({
+      _id: fields.cropCycle,
+      farm: farm._id,
+    });
+    if (!cycle) return "Crop cycle not found on this farm";
+    if (fields.field === undefined) fields.field = cycle.field;
+  }
+  if (fields.operator && !farm.getMember(fields.operator)) {
+    return "Operator is not a member of this farm";
+  }
+  return null;
+};
+
+// Workers may only change entries they wrote; managers may change any
+const canEditActivity = (req, activity) =>
+  req.farm.hasRole(req.user.userId, "manager") ||
+  (activity.createdBy && activity.createdBy.equals(req.user.userId));
+
+const removePhotoFile = (photo) =>
+  fs.promises.unlink(photo.path).catch((error) => {
+    if (error.code !== "ENOENT") {
+      logger.warn(`Could not remove photo ${photo.path}: ${error.message}`);
+    }
+  });
+
+// Deliver a farm invitation by email, or SMS for phone invitations
+const sendFarmInvitation = (invitation, token, farm, inviter) => {
+  const link = `${FRONTEND_URL}/farm-invitations?token=${token}`;
+
+  if (!invitation.email) {
+    return sendSms({
+      to: invitation.phone,
+      body: `Vriddhi: ${inviter.name} invited you to join the farm "${farm.name}" as ${invitation.role}. Accept within 7 days: ${link}`,
+    });
+  }
+
+  return sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${farm.name} on Vriddhi`,
+    text: `Namaste,\n\n${inviter.name} has invited you to join the farm "${farm.name}" as a ${invitation.role}. Open this link within 7 days to accept:\n${link}\n\nIf you don't have a Vriddhi account yet, sign up with this email address first.`,
+    html: `<p>Namaste,</p><p>${escapeHtml(inviter.name)} has invited you to join the farm <strong>${escapeHtml(farm.name)}</strong> as a ${escapeHtml(invitation.role)}.</p><p><a href="${link}">Accept the invitation</a></p><p>The link is valid for 7 days. If you don't have a Vriddhi account yet, sign up with this email address first.</p>`,
+  });
+};
+
 // @route   GET /api/farmers/profile
 // @desc    Get farmer profile
 // @access  Private
-router.get("/profile", auth, async (req, res) => {
+router.get("/profile", profileReadAuth, async (req, res) => {
   try {
     const farmer = await User.findById(req.user.userId);
     if (!farmer) {
@@ -34,18 +230,53 @@ router.get("/profile", auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/farmers/farm-details
-// @desc    Update farm details
+// @route   GET /api/farmers/farms
+// @desc    List the farms the user is a member of (?includeArchived=true
+//          to include archived farms)
 // @access  Private
-router.put(
-  "/farm-details",
+router.get("/farms", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const [farms, current] = await Promise.all([
+      Farm.findForUser(req.user.userId, {
+        includeArchived: req.query.includeArchived === "true",
+      }),
+      Farm.findCurrentForUser(user),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Farms fetched successfully",
+      data: {
+        farms: farms.map((farm) => ({
+          ...farm.getPublicFarm(req.user.userId),
+          isCurrent: !!current && current._id.equals(farm._id),
+        })),
+        currentFarmId: current?._id || null,
+      },
+    });
+  } catch (error) {
+    logger.error("Get farms error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch farms",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   POST /api/farmers/farms
+// @desc    Create a farm owned by the user
+// @access  Private
+router.post(
+  "/farms",
   auth,
   [
-    body("farmName").optional().trim().isLength({ max: 100 }),
-    body("farmSize.value").optional().isNumeric().isFloat({ min: 0 }),
-    body("soilType")
-      .optional()
-      .isIn(["Clay", "Sandy", "Loamy", "Silt", "Peaty", "Chalky", "Other"]),
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Farm name must be between 1 and 100 characters"),
+    ...farmValidators,
   ],
   async (req, res) => {
     try {
@@ -53,26 +284,1615 @@ router.put(
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const fields = pickFarmFields(req.body);
+      if (fields.location) {
+        fields.location = await resolveLocation(fields.location);
+      }
+
+      const farm = await Farm.createWithOwner(req.user.userId, fields);
+
+      logger.info(`Farm ${farm._id} created by user ${req.user.userId}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Farm created successfully",
+        data: farm.getPublicFarm(req.user.userId),
+      });
+    } catch (error) {
+      logger.error("Create farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create farm",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/current
+// @desc    Get the farm the user is currently working on
+// @access  Private
+router.get("/farms/current", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const farm = await Farm.findCurrentForUser(user);
+    if (!farm) {
+      return res.status(404).json({
+        success: false,
+        message: "You don't have any active farms yet. Create one to start.",
+      });
+    }
+
+    res.set("ETag", farm.getETag()).json({
+      success: true,
+      message: "Current farm fetched successfully",
+      data: farm.getPublicFarm(req.user.userId),
+    });
+  } catch (error) {
+    logger.error("Get current farm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch current farm",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// @route   GET /api/farmers/farms/:farmId
+// @desc    Get a farm
+// @access  Private (farm members)
+router.get(
+  "/farms/:farmId",
+  auth,
+  requireFarmRole("viewer"),
+  async (req, res) => {
+    res.set("ETag", req.farm.getETag()).json({
+      success: true,
+      message: "Farm fetched successfully",
+      data: req.farm.getPublicFarm(req.user.userId),
+    });
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId
+// @desc    Update farm details (honours If-Match)
+// @access  Private (farm owner, manager)
+router.put(
+  "/farms/:farmId",
+  auth,
+  requireFarmRole("manager"),
+  [farmNameValidator, ...farmValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      if (!matchesIfMatch(req, farm)) {
+        return res.status(412).json({
+          success: false,
+          message: PRECONDITION_FAILED_MESSAGE,
+        });
+      }
+
+      const fields = pickFarmFields(req.body);
+      if (fields.location) {
+        fields.location = await resolveLocation(fields.location);
+      }
+
+      farm.set(fields);
+      await saveIfUnchanged(farm);
+
+      logger.info(`Farm ${farm._id} updated by user ${req.user.userId}`);
+
+      res.set("ETag", farm.getETag()).json({
+        success: true,
+        message: "Farm details updated successfully",
+        data: farm.getPublicFarm(req.user.userId),
+      });
+    } catch (error) {
+      if (error.name === "DocumentNotFoundError") {
+        return res.status(412).json({
+          success: false,
+          message: PRECONDITION_FAILED_MESSAGE,
+        });
+      }
+      logger.error("Update farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update farm details",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/farmers/farms/:farmId
+// @desc    Change part of the farm details with a JSON Merge Patch
+//          (application/merge-patch+json) or a JSON Patch
+//          (application/json-patch+json); If-Match is required
+// @access  Private (farm owner, manager)
+router.patch(
+  "/farms/:farmId",
+  auth,
+  requireFarmRole("manager"),
+  async (req, res) => {
+    try {
+      const format = PATCH_FORMATS[req.get("Content-Type")?.split(";")[0]];
+      if (!format) {
+        return res.status(415).json({
+          success: false,
+          message: `Send the patch as ${Object.keys(PATCH_FORMATS).join(" or ")}`,
+        });
+      }
+
+      const farm = req.farm;
+      if (!req.get("If-Match")) {
+        return res.status(428).json({
+          success: false,
+          message: "Send the farm's ETag in an If-Match header",
+        });
+      }
+      if (!matchesIfMatch(req, farm)) {
+        return res.status(412).json({
+          success: false,
+          message: PRECONDITION_FAILED_MESSAGE,
+        });
+      }
+
+      const patch = req.body;
+      if (format === "merge-patch" && !isPlainObject(patch)) {
+        return res.status(400).json({
+          success: false,
+          message: "A merge patch must be a JSON object",
+        });
+      }
+      if (format === "json-patch" && !Array.isArray(patch)) {
+        return res.status(400).json({
+          success: false,
+          message: "A JSON Patch must be an array of operations",
+        });
+      }
+
+      const locked = patchedKeys(patch, format).filter(
+        (key) => !FARM_FIELDS.includes(key)
+      );
+      if (locked.length) {
+        return res.status(422).json({
+          success: false,
+          message: `These farm details can't be patched: ${locked.join(", ")}`,
+        });
+      }
+
+      const current = JSON.parse(
+        JSON.stringify(pickFarmFields(farm.toObject({ virtuals: false })))
+      );
+      const patched =
+        format === "json-patch"
+          ? applyJsonPatch(current, patch)
+          : applyMergePatch(current, patch);
+
+      // The patched farm goes through the same checks as a full update
+      const check = { body: patched };
+      await Promise.all(
+        [farmNameValidator, ...farmValidators].map((validator) =>
+          validator.run(check)
+        )
+      );
+      const errors = validationResult(check);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
           errors: errors.array(),
         });
       }
 
-      const farmer = await User.findByIdAndUpdate(
-        req.user.userId,
-        { $set: { farmDetails: req.body } },
-        { new: true, runValidators: true }
+      if (patched.location && !deepEqual(patched.location, current.location)) {
+        patched.location = await resolveLocation(patched.location);
+      }
+
+      FARM_FIELDS.filter(
+        (key) => !deepEqual(patched[key], current[key])
+      ).forEach((key) =>
+        farm.set(key, key === "cropTypes" ? patched[key] || [] : patched[key])
       );
+      await saveIfUnchanged(farm);
 
-      res.json({
+      logger.info(`Farm ${farm._id} patched by user ${req.user.userId}`);
+
+      res.set("ETag", farm.getETag()).json({
         success: true,
         message: "Farm details updated successfully",
-        data: farmer.farmDetails,
+        data: farm.getPublicFarm(req.user.userId),
       });
     } catch (error) {
-      logger.error("Update farm details error:", error);
+      if (error.name === "PatchError") {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error.name === "DocumentNotFoundError") {
+        return res.status(412).json({
+          success: false,
+          message: PRECONDITION_FAILED_MESSAGE,
+        });
+      }
+      logger.error("Patch farm error:", error);
       res.status(500).json({
         success: false,
         message: "Failed to update farm details",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/select
+// @desc    Switch the farm the user is working on
+// @access  Private (farm members)
+router.post(
+  "/farms/:farmId/select",
+  auth,
+  requireFarmRole("viewer"),
+  async (req, res) => {
+    try {
+      const farm = req.farm;
+      if (!req.farmRole || farm.archivedAt) {
+        return res.status(409).json({
+          success: false,
+          message: req.farmRole
+            ? "Archived farms can't be selected. Restore it first."
+            : "Only farm members can switch to this farm.",
+        });
+      }
+
+      await User.findByIdAndUpdate(req.user.userId, {
+        $set: { activeFarm: farm._id },
+      });
+
+      res.json({
+        success: true,
+        message: `Switched to ${farm.name}`,
+        data: farm.getPublicFarm(req.user.userId),
+      });
+    } catch (error) {
+      logger.error("Select farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to switch farm",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/archive
+// @desc    Archive a farm (e.g. when a lease ends), keeping its history
+// @access  Private (farm owner)
+router.post(
+  "/farms/:farmId/archive",
+  auth,
+  requireFarmRole("owner"),
+  async (req, res) => {
+    try {
+      const farm = req.farm;
+      farm.archivedAt = new Date();
+      await farm.save();
+
+      // Members working on it fall back to their default farm
+      await User.updateMany(
+        { activeFarm: farm._id },
+        { $set: { activeFarm: null } }
+      );
+
+      logger.info(`Farm ${farm._id} archived by user ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Farm archived successfully",
+        data: farm.getPublicFarm(req.user.userId),
+      });
+    } catch (error) {
+      logger.error("Archive farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to archive farm",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/restore
+// @desc    Bring an archived farm back into use
+// @access  Private (farm owner)
+router.post(
+  "/farms/:farmId/restore",
+  auth,
+  requireFarmRole("owner", { allowArchived: true }),
+  async (req, res) => {
+    try {
+      const farm = req.farm;
+      farm.archivedAt = null;
+      await farm.save();
+
+      logger.info(`Farm ${farm._id} restored by user ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Farm restored successfully",
+        data: farm.getPublicFarm(req.user.userId),
+      });
+    } catch (error) {
+      logger.error("Restore farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore farm",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId
+// @desc    Delete a farm; its detections stay with the farmers who made them
+// @access  Private (farm owner)
+router.delete(
+  "/farms/:farmId",
+  auth,
+  requireFarmRole("owner", { allowArchived: true }),
+  async (req, res) => {
+    try {
+      const farm = req.farm;
+
+      await farm.deleteOne();
+
+      await recordAudit(req, {
+        action: "farm.delete",
+        target: { type: "farm", id: farm._id },
+        metadata: { name: farm.name, memberCount: farm.members.length },
+      });
+
+      logger.info(`Farm ${farm._id} deleted by user ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Farm deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete farm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete farm",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/fields
+// @desc    Get a farm's fields as a GeoJSON FeatureCollection
+// @access  Private (farm members)
+router.get(
+  "/farms/:farmId/fields",
+  auth,
+  requireFarmRole("viewer"),
+  async (req, res) => {
+    res.json({
+      success: true,
+      message: "Farm fields fetched successfully",
+      data: req.farm.toFeatureCollection(),
+    });
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/fields
+// @desc    Add a field with its boundary; the area is computed server-side
+// @access  Private (farm owner, manager)
+router.post(
+  "/farms/:farmId/fields",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Field name must be between 1 and 100 characters"),
+    body("boundary").custom(boundaryValidator),
+    body("notes").optional().isString().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const { name, boundary, notes } = req.body;
+      farm.fields.push({ name, boundary: toGeometry(boundary), notes });
+      await farm.save();
+
+      const field = farm.fields[farm.fields.length - 1];
+      logger.info(`Field ${field._id} added to farm ${farm._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Field added (${field.area} ${farm.farmSize.unit})`,
+        data: farm
+          .toFeatureCollection()
+          .features.find((feature) => feature.id === String(field._id)),
+      });
+    } catch (error) {
+      if (error.code === GEO_INDEX_ERROR) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "This boundary can't be mapped. Check that its edges don't cross.",
+        });
+      }
+      logger.error("Add field error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add field",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/fields/:fieldId
+// @desc    Rename a field or redraw its boundary
+// @access  Private (farm owner, manager)
+router.put(
+  "/farms/:farmId/fields/:fieldId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    param("fieldId").isMongoId().withMessage("Valid field ID required"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Field name must be between 1 and 100 characters"),
+    body("boundary").optional().custom(boundaryValidator),
+    body("notes").optional().isString().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const field = farm.fields.id(req.params.fieldId);
+      if (!field) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      const { name, boundary, notes } = req.body;
+      if (name !== undefined) field.name = name;
+      if (boundary !== undefined) field.boundary = toGeometry(boundary);
+      if (notes !== undefined) field.notes = notes;
+      await farm.save();
+
+      res.json({
+        success: true,
+        message: "Field updated successfully",
+        data: farm
+          .toFeatureCollection()
+          .features.find((feature) => feature.id === String(field._id)),
+      });
+    } catch (error) {
+      if (error.code === GEO_INDEX_ERROR) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "This boundary can't be mapped. Check that its edges don't cross.",
+        });
+      }
+      logger.error("Update field error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update field",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/fields/:fieldId
+// @desc    Remove a field; crops grown on it become unassigned
+// @access  Private (farm owner, manager)
+router.delete(
+  "/farms/:farmId/fields/:fieldId",
+  auth,
+  requireFarmRole("manager"),
+  [param("fieldId").isMongoId().withMessage("Valid field ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const field = farm.fields.id(req.params.fieldId);
+      if (!field) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      farm.cropTypes.forEach((crop) => {
+        if (crop.field && crop.field.equals(field._id)) crop.field = null;
+      });
+      field.deleteOne();
+      await farm.save();
+
+      logger.info(`Field ${field._id} removed from farm ${farm._id}`);
+
+      res.json({
+        success: true,
+        message: "Field removed successfully",
+      });
+    } catch (error) {
+      logger.error("Delete field error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove field",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/crops/:cropId/field
+// @desc    Assign a crop to a field (or unassign with a null fieldId)
+// @access  Private (farm owner, manager)
+router.put(
+  "/farms/:farmId/crops/:cropId/field",
+  auth,
+  requireFarmRole("manager"),
+  [
+    param("cropId").isMongoId().withMessage("Valid crop ID required"),
+    body("fieldId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Valid field ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const crop = farm.cropTypes.id(req.params.cropId);
+      if (!crop) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop not found on this farm",
+        });
+      }
+
+      const fieldId = req.body.fieldId || null;
+      if (fieldId && !farm.fields.id(fieldId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      crop.field = fieldId;
+      await farm.save();
+
+      res.json({
+        success: true,
+        message: fieldId
+          ? "Crop assigned to field successfully"
+          : "Crop unassigned from field successfully",
+        data: crop,
+      });
+    } catch (error) {
+      logger.error("Assign crop field error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign crop to field",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/activities
+// @desc    Get the farm's activity timeline, newest first, filtered by
+//          field, crop cycle, type and date range
+// @access  Private (farm members)
+router.get(
+  "/farms/:farmId/activities",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("field").optional().isMongoId().withMessage("Invalid field ID"),
+    query("cropCycle")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
+    query("type")
+      .optional()
+      .isIn(ACTIVITY_TYPES)
+      .withMessage("Invalid activity type"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        field,
+        cropCycle,
+        type,
+        from,
+        to,
+        page = 1,
+        limit = 50,
+      } = req.query;
+      const filters = { field, cropCycle, type, from, to };
+
+      const [activities, total] = await Promise.all([
+        FarmActivity.timeline(req.farm._id, filters)
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .populate("operator", "name")
+          .populate("cropCycle", "crop season sowingDate"),
+        FarmActivity.timeline(req.farm._id, filters).countDocuments(),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Farm activities fetched successfully",
+        data: {
+          activities,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get farm activities error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch farm activities",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/activities/:activityId
+// @desc    Get a single activity entry
+// @access  Private (farm members)
+router.get(
+  "/farms/:farmId/activities/:activityId",
+  auth,
+  requireFarmRole("viewer"),
+  [activityIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const activity = await FarmActivity.findOne({
+        _id: req.params.activityId,
+        farm: req.farm._id,
+      })
+        .populate("operator", "name")
+        .populate("cropCycle", "crop season sowingDate")
+        .populate("treatment", "diseaseName treatment.method");
+      if (!activity) {
+        return res.status(404).json({
+          success: false,
+          message: "Activity not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Activity fetched successfully",
+        data: activity,
+      });
+    } catch (error) {
+      logger.error("Get farm activity error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch activity",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/activities
+// @desc    Log work done on the farm; the operator defaults to the caller
+// @access  Private (farm owner, manager, worker)
+router.post(
+  "/farms/:farmId/activities",
+  auth,
+  requireFarmRole("worker"),
+  [
+    body("type")
+      .isIn(ACTIVITY_TYPES)
+      .withMessage(`Type must be one of: ${ACTIVITY_TYPES.join(", ")}`),
+    ...activityValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const fields = pickActivityFields(req.body);
+      if (fields.operator === undefined && !fields.operatorName) {
+        fields.operator = req.user.userId;
+      }
+
+      const linkError = await checkActivityLinks(farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      const activity = await FarmActivity.create({
+        ...fields,
+        farm: farm._id,
+        source: "manual",
+        createdBy: req.user.userId,
+      });
+
+      logger.info(
+        `Activity ${activity._id} (${activity.type}) logged on farm ${farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Activity logged successfully",
+        data: activity,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create farm activity error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to log activity",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/activities/:activityId
+// @desc    Correct an activity entry
+// @access  Private (farm owner, manager; workers for their own entries)
+router.put(
+  "/farms/:farmId/activities/:activityId",
+  auth,
+  requireFarmRole("worker"),
+  [
+    activityIdParam,
+    body("type")
+      .optional()
+      .isIn(ACTIVITY_TYPES)
+      .withMessage(`Type must be one of: ${ACTIVITY_TYPES.join(", ")}`),
+    ...activityValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const activity = await FarmActivity.findOne({
+        _id: req.params.activityId,
+        farm: req.farm._id,
+      });
+      if (!activity) {
+        return res.status(404).json({
+          success: false,
+          message: "Activity not found",
+        });
+      }
+      if (!canEditActivity(req, activity)) {
+        return res.status(403).json({
+          success: false,
+          message: "Workers can only edit activities they logged",
+        });
+      }
+
+      const fields = pickActivityFields(req.body);
+      const linkError = await checkActivityLinks(req.farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      activity.set(fields);
+      await activity.save();
+
+      res.json({
+        success: true,
+        message: "Activity updated successfully",
+        data: activity,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update farm activity error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update activity",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/activities/:activityId
+// @desc    Delete an activity entry and its photos
+// @access  Private (farm owner, manager; workers for their own entries)
+router.delete(
+  "/farms/:farmId/activities/:activityId",
+  auth,
+  requireFarmRole("worker"),
+  [activityIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const activity = await FarmActivity.findOne({
+        _id: req.params.activityId,
+        farm: req.farm._id,
+      });
+      if (!activity) {
+        return res.status(404).json({
+          success: false,
+          message: "Activity not found",
+        });
+      }
+      if (!canEditActivity(req, activity)) {
+        return res.status(403).json({
+          success: false,
+          message: "Workers can only delete activities they logged",
+        });
+      }
+
+      await activity.deleteOne();
+      await Promise.all(activity.photos.map(removePhotoFile));
+
+      logger.info(`Activity ${activity._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Activity deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete farm activity error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete activity",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/activities/:activityId/photos
+// @desc    Attach a photo to an activity entry (one per request)
+// @access  Private (farm owner, manager; workers for their own entries)
+router.post(
+  "/farms/:farmId/activities/:activityId/photos",
+  auth,
+  requireFarmRole("worker"),
+  upload.single("photo"),
+  [activityIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (req.file) await removePhotoFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload a photo",
+        });
+      }
+
+      const activity = await FarmActivity.findOne({
+        _id: req.params.activityId,
+        farm: req.farm._id,
+      });
+      if (!activity || !canEditActivity(req, activity)) {
+        await removePhotoFile(req.file);
+        return res.status(activity ? 403 : 404).json({
+          success: false,
+          message: activity
+            ? "Workers can only add photos to activities they logged"
+            : "Activity not found",
+        });
+      }
+      if (activity.photos.length >= MAX_PHOTOS) {
+        await removePhotoFile(req.file);
+        return res.status(409).json({
+          success: false,
+          message: `An activity can have at most ${MAX_PHOTOS} photos`,
+        });
+      }
+
+      activity.photos.push({
+        filename: req.file.filename,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+      });
+      await activity.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Photo added successfully",
+        data: activity.photos[activity.photos.length - 1],
+      });
+    } catch (error) {
+      if (req.file) await removePhotoFile(req.file);
+      logger.error("Add activity photo error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add photo",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/activities/:activityId/photos/:photoId
+// @desc    Remove a photo from an activity entry
+// @access  Private (farm owner, manager; workers for their own entries)
+router.delete(
+  "/farms/:farmId/activities/:activityId/photos/:photoId",
+  auth,
+  requireFarmRole("worker"),
+  [
+    activityIdParam,
+    param("photoId").isMongoId().withMessage("Valid photo ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const activity = await FarmActivity.findOne({
+        _id: req.params.activityId,
+        farm: req.farm._id,
+      });
+      const photo = activity?.photos.id(req.params.photoId);
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: activity ? "Photo not found" : "Activity not found",
+        });
+      }
+      if (!canEditActivity(req, activity)) {
+        return res.status(403).json({
+          success: false,
+          message: "Workers can only remove photos from activities they logged",
+        });
+      }
+
+      photo.deleteOne();
+      await activity.save();
+      await removePhotoFile(photo);
+
+      res.json({
+        success: true,
+        message: "Photo removed successfully",
+      });
+    } catch (error) {
+      logger.error("Remove activity photo error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove photo",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/members
+// @desc    List the members of a farm
+// @access  Private (farm members)
+router.get(
+  "/farms/:farmId/members",
+  auth,
+  requireFarmRole("viewer"),
+  async (req, res) => {
+    try {
+      await req.farm.populate("members.user", "name email phone avatar");
+
+      res.json({
+        success: true,
+        message: "Farm members fetched successfully",
+        data: { members: req.farm.members },
+      });
+    } catch (error) {
+      logger.error("Get farm members error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch farm members",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/farmers/farms/:farmId/members/:userId
+// @desc    Change a member's role (promote to owner to hand over the farm)
+// @access  Private (farm owner)
+router.patch(
+  "/farms/:farmId/members/:userId",
+  auth,
+  requireFarmRole("owner"),
+  [
+    param("userId").isMongoId().withMessage("Valid user ID required"),
+    body("role").isIn(FARM_ROLES).withMessage("Invalid farm role"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const member = farm.getMember(req.params.userId);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found on this farm",
+        });
+      }
+
+      const previousRole = member.role;
+      if (
+        previousRole === "owner" &&
+        req.body.role !== "owner" &&
+        farm.countOwners() === 1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "A farm needs at least one owner. Promote another member first.",
+        });
+      }
+
+      member.role = req.body.role;
+      await farm.save();
+
+      await recordAudit(req, {
+        action: "farm.member_update",
+        target: { type: "farm", id: farm._id },
+        metadata: {
+          member: req.params.userId,
+          before: previousRole,
+          after: member.role,
+        },
+      });
+
+      logger.info(
+        `Farm ${farm._id}: member ${req.params.userId} changed from ${previousRole} to ${member.role} by ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: "Member role updated successfully",
+        data: member,
+      });
+    } catch (error) {
+      logger.error("Update farm member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update member role",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/members/:userId
+// @desc    Remove a member, or leave the farm when removing yourself
+// @access  Private (farm owner; managers for workers and viewers; self)
+router.delete(
+  "/farms/:farmId/members/:userId",
+  auth,
+  requireFarmRole("viewer"),
+  [param("userId").isMongoId().withMessage("Valid user ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const member = farm.getMember(req.params.userId);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found on this farm",
+        });
+      }
+
+      const isSelf = member.user.equals(req.user.userId);
+      const canRemove =
+        isSelf ||
+        req.farmRole === "owner" ||
+        (req.farmRole === "manager" &&
+          roleRank(member.role) < roleRank("manager"));
+      if (!canRemove) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot remove this member.",
+        });
+      }
+
+      if (member.role === "owner" && farm.countOwners() === 1) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "A farm needs at least one owner. Hand the farm over or delete it instead.",
+        });
+      }
+
+      farm.members = farm.members.filter((m) => m !== member);
+      await farm.save();
+
+      await recordAudit(req, {
+        action: isSelf ? "farm.member_leave" : "farm.member_remove",
+        target: { type: "farm", id: farm._id },
+        metadata: { member: req.params.userId, role: member.role },
+      });
+
+      logger.info(
+        `Farm ${farm._id}: member ${req.params.userId} removed by ${req.user.userId}`
+      );
+
+      res.json({
+        success: true,
+        message: isSelf ? "You have left the farm" : "Member removed",
+      });
+    } catch (error) {
+      logger.error("Remove farm member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove member",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/invitations
+// @desc    List invitations sent for a farm
+// @access  Private (farm owner, manager)
+router.get(
+  "/farms/:farmId/invitations",
+  auth,
+  requireFarmRole("manager"),
+  async (req, res) => {
+    try {
+      const invitations = await FarmInvitation.find({ farm: req.farm._id })
+        .sort({ createdAt: -1 })
+        .populate("invitedBy", "name");
+
+      res.json({
+        success: true,
+        message: "Invitations fetched successfully",
+        data: { invitations },
+      });
+    } catch (error) {
+      logger.error("Get farm invitations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch invitations",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/invitations
+// @desc    Invite someone to the farm by email or phone
+// @access  Private (farm owner; managers for workers and viewers)
+router.post(
+  "/farms/:farmId/invitations",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("role")
+      .isIn(FARM_ROLES.filter((role) => role !== "owner"))
+      .withMessage("Role must be manager, worker or viewer"),
+    body("email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email"),
+    body("phone")
+      .optional()
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+    body().custom((value) => {
+      if (!value.email && !value.phone) {
+        throw new Error("Email or phone number is required");
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const { role, email } = req.body;
+      const phone = email ? undefined : normalizePhone(req.body.phone);
+
+      if (
+        roleRank(role) >= roleRank(req.farmRole) &&
+        req.farmRole !== "owner"
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Managers can only invite workers and viewers.",
+        });
+      }
+
+      const invitee = await User.findOne(email ? { email } : { phone });
+      if (invitee && farm.getMember(invitee._id)) {
+        return res.status(409).json({
+          success: false,
+          message: "This person is already a member of the farm.",
+        });
+      }
+
+      // A fresh invitation replaces any still pending for the same contact
+      await FarmInvitation.revokePending(farm._id, { email, phone });
+
+      const { invitation, token } = await FarmInvitation.issue(farm._id, {
+        role,
+        email,
+        phone,
+        invitedBy: req.user.userId,
+      });
+
+      const inviter = await User.findById(req.user.userId).select("name");
+      sendFarmInvitation(invitation, token, farm, inviter).catch(
+        (deliveryError) =>
+          logger.error("Farm invitation delivery error:", deliveryError)
+      );
+
+      await recordAudit(req, {
+        action: "farm.invite",
+        target: { type: "farm", id: farm._id },
+        metadata: {
+          invitation: invitation._id,
+          role,
+          channel: email ? "email" : "sms",
+        },
+      });
+
+      logger.info(
+        `Farm ${farm._id}: ${role} invitation sent to ${email || phone} by ${req.user.userId}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation sent successfully",
+        data: invitation,
+      });
+    } catch (error) {
+      logger.error("Create farm invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (farm owner, manager)
+router.delete(
+  "/farms/:farmId/invitations/:invitationId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    param("invitationId")
+      .isMongoId()
+      .withMessage("Valid invitation ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await FarmInvitation.findOneAndUpdate(
+        {
+          _id: req.params.invitationId,
+          farm: req.farm._id,
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found or no longer pending",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation revoked successfully",
+        data: invitation,
+      });
+    } catch (error) {
+      logger.error("Revoke farm invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/invitations/accept
+// @desc    Accept a farm invitation sent to the user's email or phone
+// @access  Private
+router.post(
+  "/invitations/accept",
+  auth,
+  [
+    body("token")
+      .isString()
+      .notEmpty()
+      .withMessage("Invitation token is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await FarmInvitation.findByToken(req.body.token);
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: "This invitation is invalid, expired or already used.",
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!invitation.isAddressedTo(user)) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "This invitation was sent to a different email or phone number.",
+        });
+      }
+
+      const farm = await Farm.findById(invitation.farm);
+      if (!farm) {
+        return res.status(404).json({
+          success: false,
+          message: "The farm for this invitation no longer exists.",
+        });
+      }
+
+      if (farm.getMember(user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: "You are already a member of this farm.",
+        });
+      }
+
+      farm.members.push({
+        user: user._id,
+        role: invitation.role,
+        addedBy: invitation.invitedBy,
+      });
+      await farm.save();
+
+      invitation.acceptedAt = new Date();
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "farm.invitation_accept",
+        target: { type: "farm", id: farm._id },
+        metadata: { invitation: invitation._id, role: invitation.role },
+      });
+
+      logger.info(
+        `User ${user._id} joined farm ${farm._id} as ${invitation.role}`
+      );
+
+      res.json({
+        success: true,
+        message: `Welcome to ${farm.name}!`,
+        data: farm.getPublicFarm(user._id),
+      });
+    } catch (error) {
+      logger.error("Accept farm invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to accept invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
   }
@@ -0,0 +1,111 @@
+// routes/geocode.js - Place Lookup Routes
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { geocode, reverseGeocode } = require("../utils/geocoder");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// @route   GET /api/geocode/search
+// @desc    Find a village, town or pincode in India
+// @access  Public (used by the sign-up form)
+router.get(
+  "/search",
+  [
+    query("q")
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Search text must be between 2 and 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const place = await geocode(req.query.q);
+      if (!place) {
+        return res.status(404).json({
+          success: false,
+          message:
+            "We couldn't find that place. Try adding the district or pincode.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Place found",
+        data: place,
+      });
+    } catch (error) {
+      logger.error("Geocode search error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to look up place",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/geocode/reverse
+// @desc    Find the nearest known place to a point
+// @access  Public
+router.get(
+  "/reverse",
+  [
+    query("lat")
+      .isFloat({ min: -90, max: 90 })
+      .toFloat()
+      .withMessage("Valid latitude required"),
+    query("lon")
+      .isFloat({ min: -180, max: 180 })
+      .toFloat()
+      .withMessage("Valid longitude required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const place = await reverseGeocode({
+        latitude: req.query.lat,
+        longitude: req.query.lon,
+      });
+      if (!place) {
+        return res.status(404).json({
+          success: false,
+          message: "No known place near this point",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Place found",
+        data: place,
+      });
+    } catch (error) {
+      logger.error("Reverse geocode error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to look up place",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
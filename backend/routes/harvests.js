@@ -0,0 +1,561 @@
+// routes/harvests.js - Harvest & Yield Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const HarvestRecord = require("../models/HarvestRecord");
+const CropCycle = require("../models/CropCycle");
+const LedgerEntry = require("../models/LedgerEntry");
+const { convertArea } = require("../utils/geo");
+const logger = require("../utils/logger");
+
+const { QUALITY_GRADES, QUINTALS_PER_UNIT } = HarvestRecord;
+
+// Mounted at /api/farmers/farms/:farmId/harvests
+const router = express.Router({ mergeParams: true });
+
+const HARVEST_FIELDS = [
+  "field",
+  "cropCycle",
+  "crop",
+  "date",
+  "quantity",
+  "unit",
+  "area",
+  "qualityGrade",
+  "sale",
+  "notes",
+];
+
+const pickHarvestFields = (source) =>
+  HARVEST_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const harvestIdParam = param("harvestId")
+  .isMongoId()
+  .withMessage("Valid harvest ID required");
+
+const harvestValidators = [
+  body("field")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body("cropCycle")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid crop cycle ID required"),
+  body("crop").optional().trim().isLength({ min: 2, max: 50 }),
+  body("date").optional().isISO8601().toDate(),
+  body("unit")
+    .optional()
+    .isIn(Object.keys(QUINTALS_PER_UNIT))
+    .withMessage("Unit must be kg, quintal or tonne"),
+  body("area").optional().isFloat({ min: 0 }),
+  body("qualityGrade")
+    .optional({ values: "null" })
+    .isIn(QUALITY_GRADES)
+    .withMessage(`Quality grade must be one of: ${QUALITY_GRADES.join(", ")}`),
+  body("sale").optional({ values: "null" }).isObject(),
+  body("sale.buyer").optional().trim().isLength({ max: 100 }),
+  body("sale.quantitySold").optional().isFloat({ min: 0 }),
+  body("sale.pricePerUnit").optional().isFloat({ min: 0 }),
+  body("sale.amount").optional().isFloat({ min: 0 }),
+  body("sale.currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be a 3-letter code such as INR"),
+  body("sale.soldAt").optional().isISO8601().toDate(),
+  body("notes").optional().isLength({ max: 500 }),
+];
+
+// Check that a harvest's field and crop cycle belong to the farm, filling
+// in the crop, field and area from the cycle; returns an error message, or
+// null when the links are valid
+const checkHarvestLinks = async (farm, fields) => {
+  if (fields.field && !farm.fields.id(fields.field)) {
+    return "Field not found on this farm";
+  }
+  if (fields.cropCycle) {
+    const cycle = await CropCycle.findOne({
+      _id: fields.cropCycle,
+      farm: farm._id,
+    });
+    if (!cycle) return "Crop cycle not found on this farm";
+    if (fields.crop === undefined) fields.crop = cycle.crop;
+    if (fields.field === undefined) fields.field = cycle.field;
+    if (fields.area === undefined && cycle.area) fields.area = cycle.area;
+  }
+  if (fields.field && fields.area === undefined) {
+    fields.area = farm.fields.id(fields.field).area;
+  }
+  return null;
+};
+
+// Workers may only change harvests they recorded; managers may change any
+const canEditHarvest = (req, record) =>
+  req.farm.hasRole(req.user.userId, "manager") ||
+  (record.createdBy && record.createdBy.equals(req.user.userId));
+
+// Keep the harvest's sale in the ledger as income
+const syncSaleEntry = (record, userId) => {
+  const sale = record.sale;
+  if (!sale?.amount) return LedgerEntry.deleteMany({ harvest: record._id });
+
+  return LedgerEntry.findOneAndUpdate(
+    { harvest: record._id },
+    {
+      $set: {
+        farm: record.farm,
+        field: record.field,
+        cropCycle: record.cropCycle,
+        kind: "income",
+        category: "harvest_sale",
+        amount: sale.amount,
+        currency: sale.currency || "INR",
+        date: sale.soldAt || record.date,
+        description: `${record.crop} sale`,
+        counterparty: sale.buyer,
+        quantity: {
+          amount: sale.quantitySold ?? record.quantity,
+          unit: record.unit,
+        },
+      },
+      $setOnInsert: { createdBy: userId },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Bring everything derived from harvests up to date: cycle yields, the
+// sale's ledger entry and the members' harvest counts
+const afterHarvestChange = async (
+  req,
+  record,
+  { deleted = false, previousCycle = null } = {}
+) => {
+  const cycles = new Set(
+    [record.cropCycle, previousCycle].filter(Boolean).map(String)
+  );
+
+  await Promise.all([
+    ...[...cycles].map((cycleId) => HarvestRecord.syncCycleYield(cycleId)),
+    deleted
+      ? LedgerEntry.deleteMany({ harvest: record._id })
+      : syncSaleEntry(record, req.user.userId),
+  ]);
+  await HarvestRecord.refreshHarvestStats(
+    req.farm.members.map((member) => member.user)
+  );
+};
+
+// @route   GET /api/farmers/farms/:farmId/harvests
+// @desc    List harvests, newest first
+// @access  Private (farm members)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("field").optional().isMongoId().withMessage("Invalid field ID"),
+    query("cropCycle")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        field,
+        cropCycle,
+        crop,
+        from,
+        to,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const filter = { farm: req.farm._id };
+      if (field) filter.field = field;
+      if (cropCycle) filter.cropCycle = cropCycle;
+      if (crop) filter.crop = { $regex: crop, $options: "i" };
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = new Date(from);
+        if (to) filter.date.$lte = new Date(to);
+      }
+
+      const [harvests, total] = await Promise.all([
+        HarvestRecord.find(filter)
+          .sort({ date: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        HarvestRecord.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Harvests fetched successfully",
+        data: {
+          harvests,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get harvests error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch harvests",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/harvests/yield-history
+// @desc    Yield per crop and year, in quintals and quintals per area
+// @access  Private (farm members)
+router.get(
+  "/yield-history",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("field").optional().isMongoId().withMessage("Invalid field ID"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("unit").optional().isIn(["acres", "hectares"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { crop, field, from, to, unit = "acres" } = req.query;
+      const farmUnit = req.farm.farmSize?.unit || "acres";
+
+      const rows = await HarvestRecord.yieldHistory(req.farm._id, {
+        crop,
+        field,
+        from,
+        to,
+      });
+
+      res.json({
+        success: true,
+        message: "Yield history fetched successfully",
+        data: {
+          unit,
+          history: rows.map(({ crop, year, quintals, area, harvests }) => {
+            const converted = area ? convertArea(area, farmUnit, unit) : null;
+            return {
+              crop,
+              year,
+              harvests,
+              quintals: Math.round(quintals * 100) / 100,
+              area: converted ? Math.round(converted * 1e4) / 1e4 : null,
+              quintalsPerArea: converted
+                ? Math.round((quintals / converted) * 100) / 100
+                : null,
+            };
+          }),
+        },
+      });
+    } catch (error) {
+      logger.error("Get yield history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch yield history",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/harvests/:harvestId
+// @desc    Get a single harvest
+// @access  Private (farm members)
+router.get(
+  "/:harvestId",
+  auth,
+  requireFarmRole("viewer"),
+  [harvestIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const harvest = await HarvestRecord.findOne({
+        _id: req.params.harvestId,
+        farm: req.farm._id,
+      }).populate("cropCycle", "crop season sowingDate status");
+      if (!harvest) {
+        return res.status(404).json({
+          success: false,
+          message: "Harvest not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Harvest fetched successfully",
+        data: harvest,
+      });
+    } catch (error) {
+      logger.error("Get harvest error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch harvest",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/harvests
+// @desc    Record a harvest; a sale amount is also booked as income
+// @access  Private (farm owner, manager, worker)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("worker"),
+  [
+    body("quantity")
+      .isFloat({ min: 0 })
+      .withMessage("Harvested quantity must be a positive number"),
+    ...harvestValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const fields = pickHarvestFields(req.body);
+      const linkError = await checkHarvestLinks(req.farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      const harvest = await HarvestRecord.create({
+        ...fields,
+        farm: req.farm._id,
+        createdBy: req.user.userId,
+      });
+      await afterHarvestChange(req, harvest);
+
+      logger.info(
+        `Harvest ${harvest._id} (${harvest.quantity} ${harvest.unit} ${harvest.crop}) recorded on farm ${req.farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Harvest recorded successfully",
+        data: harvest,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create harvest error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record harvest",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/harvests/:harvestId
+// @desc    Correct a harvest or add its sale
+// @access  Private (farm owner, manager; workers for their own harvests)
+router.put(
+  "/:harvestId",
+  auth,
+  requireFarmRole("worker"),
+  [
+    harvestIdParam,
+    body("quantity")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Harvested quantity must be a positive number"),
+    ...harvestValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const harvest = await HarvestRecord.findOne({
+        _id: req.params.harvestId,
+        farm: req.farm._id,
+      });
+      if (!harvest) {
+        return res.status(404).json({
+          success: false,
+          message: "Harvest not found",
+        });
+      }
+      if (!canEditHarvest(req, harvest)) {
+        return res.status(403).json({
+          success: false,
+          message: "Workers can only edit harvests they recorded",
+        });
+      }
+
+      const fields = pickHarvestFields(req.body);
+      const linkError = await checkHarvestLinks(req.farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      // Recompute the sale amount when its inputs change without it
+      if (fields.sale && fields.sale.amount === undefined) {
+        fields.sale = { ...harvest.toObject().sale, ...fields.sale };
+        if (
+          req.body.sale.quantitySold !== undefined ||
+          req.body.sale.pricePerUnit !== undefined
+        ) {
+          delete fields.sale.amount;
+        }
+      }
+
+      const previousCycle = harvest.cropCycle;
+      harvest.set(fields);
+      await harvest.save();
+      await afterHarvestChange(req, harvest, { previousCycle });
+
+      res.json({
+        success: true,
+        message: "Harvest updated successfully",
+        data: harvest,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update harvest error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update harvest",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/harvests/:harvestId
+// @desc    Delete a harvest and its sale income
+// @access  Private (farm owner, manager; workers for their own harvests)
+router.delete(
+  "/:harvestId",
+  auth,
+  requireFarmRole("worker"),
+  [harvestIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const harvest = await HarvestRecord.findOne({
+        _id: req.params.harvestId,
+        farm: req.farm._id,
+      });
+      if (!harvest) {
+        return res.status(404).json({
+          success: false,
+          message: "Harvest not found",
+        });
+      }
+      if (!canEditHarvest(req, harvest)) {
+        return res.status(403).json({
+          success: false,
+          message: "Workers can only delete harvests they recorded",
+        });
+      }
+
+      await harvest.deleteOne();
+      await afterHarvestChange(req, harvest, { deleted: true });
+
+      logger.info(`Harvest ${harvest._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Harvest deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete harvest error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete harvest",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,425 @@
+// routes/inventory.js - Farm Input Inventory Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const InventoryItem = require("../models/InventoryItem");
+const LedgerEntry = require("../models/LedgerEntry");
+const { QUANTITY_UNITS } = require("../utils/units");
+const logger = require("../utils/logger");
+
+const { INPUT_CATEGORIES, EXPIRY_WARNING_DAYS } = InventoryItem;
+
+// Mounted at /api/farmers/farms/:farmId/inventory
+const router = express.Router({ mergeParams: true });
+
+const ITEM_FIELDS = [
+  "product",
+  "activeIngredient",
+  "category",
+  "quantity",
+  "unit",
+  "batch",
+  "expiryDate",
+  "purchaseDate",
+  "purchasePrice",
+  "supplier",
+  "lowStockThreshold",
+  "notes",
+];
+
+const pickItemFields = (source) =>
+  ITEM_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const itemIdParam = param("itemId")
+  .isMongoId()
+  .withMessage("Valid inventory item ID required");
+
+const itemValidators = [
+  body("activeIngredient").optional().trim().isLength({ max: 100 }),
+  body("category")
+    .optional()
+    .isIn(INPUT_CATEGORIES)
+    .withMessage("Invalid category"),
+  body("batch").optional().trim().isLength({ max: 50 }),
+  body("expiryDate").optional({ values: "null" }).isISO8601().toDate(),
+  body("purchaseDate").optional().isISO8601().toDate(),
+  body("purchasePrice.amount").optional().isFloat({ min: 0 }),
+  body("supplier").optional().trim().isLength({ max: 100 }),
+  body("lowStockThreshold").optional().isFloat({ min: 0 }),
+  body("notes").optional().isLength({ max: 500 }),
+];
+
+// @route   GET /api/farmers/farms/:farmId/inventory
+// @desc    List the farm's stock of inputs
+// @access  Private (farm members)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("viewer"),
+  [
+    query("category")
+      .optional()
+      .isIn(INPUT_CATEGORIES)
+      .withMessage("Invalid category"),
+    query("inStock").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { category, search, inStock, page = 1, limit = 50 } = req.query;
+
+      const filter = { farm: req.farm._id };
+      if (category) filter.category = category;
+      if (inStock === "true") filter.quantity = { $gt: 0 };
+      if (search) {
+        filter.$or = [
+          { product: { $regex: search, $options: "i" } },
+          { activeIngredient: { $regex: search, $options: "i" } },
+        ];
+      }
+
+      const [items, total] = await Promise.all([
+        InventoryItem.find(filter)
+          .sort({ product: 1, expiryDate: 1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        InventoryItem.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Inventory fetched successfully",
+        data: {
+          items,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get inventory error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch inventory",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/inventory/alerts
+// @desc    Get low-stock, soon-to-expire and expired inputs
+// @access  Private (farm members)
+router.get(
+  "/alerts",
+  auth,
+  requireFarmRole("viewer"),
+  [query("withinDays").optional().isInt({ min: 1, max: 365 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const withinDays = parseInt(req.query.withinDays) || EXPIRY_WARNING_DAYS;
+      const alerts = await InventoryItem.findAlerts(req.farm._id, {
+        withinDays,
+      });
+
+      res.json({
+        success: true,
+        message: "Inventory alerts fetched successfully",
+        data: {
+          ...alerts,
+          withinDays,
+          count:
+            alerts.lowStock.length +
+            alerts.expiring.length +
+            alerts.expired.length,
+        },
+      });
+    } catch (error) {
+      logger.error("Get inventory alerts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch inventory alerts",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/inventory/:itemId
+// @desc    Get a single inventory item
+// @access  Private (farm members)
+router.get(
+  "/:itemId",
+  auth,
+  requireFarmRole("viewer"),
+  [itemIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await InventoryItem.findOne({
+        _id: req.params.itemId,
+        farm: req.farm._id,
+      });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Inventory item not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Inventory item fetched successfully",
+        data: item,
+      });
+    } catch (error) {
+      logger.error("Get inventory item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch inventory item",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/inventory
+// @desc    Record a purchased batch of an input; a purchase price is also
+//          booked as an expense
+// @access  Private (farm owner, manager)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("product")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Product name must be between 1 and 100 characters"),
+    body("quantity")
+      .isFloat({ min: 0 })
+      .withMessage("Quantity must be a positive number"),
+    body("unit")
+      .isIn(QUANTITY_UNITS)
+      .withMessage(`Unit must be one of: ${QUANTITY_UNITS.join(", ")}`),
+    ...itemValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await InventoryItem.create({
+        ...pickItemFields(req.body),
+        farm: req.farm._id,
+        createdBy: req.user.userId,
+      });
+
+      // A priced purchase is also an expense in the farm's ledger
+      if (item.purchasePrice?.amount) {
+        await LedgerEntry.create({
+          farm: req.farm._id,
+          kind: "expense",
+          category: "inputs",
+          amount: item.purchasePrice.amount,
+          currency: item.purchasePrice.currency,
+          date: item.purchaseDate,
+          description: `${item.product} purchase`,
+          counterparty: item.supplier,
+          quantity: { amount: item.quantity, unit: item.unit },
+          inventoryItem: item._id,
+          createdBy: req.user.userId,
+        });
+      }
+
+      logger.info(
+        `Inventory item ${item._id} (${item.product}) added to farm ${req.farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${item.product} added to inventory`,
+        data: item,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create inventory item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add inventory item",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/inventory/:itemId
+// @desc    Update an inventory item, e.g. correct the stock after a count
+// @access  Private (farm owner, manager)
+router.put(
+  "/:itemId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    itemIdParam,
+    body("product")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Product name must be between 1 and 100 characters"),
+    body("quantity")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Quantity must be a positive number"),
+    body("unit")
+      .optional()
+      .isIn(QUANTITY_UNITS)
+      .withMessage(`Unit must be one of: ${QUANTITY_UNITS.join(", ")}`),
+    ...itemValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await InventoryItem.findOne({
+        _id: req.params.itemId,
+        farm: req.farm._id,
+      });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Inventory item not found",
+        });
+      }
+
+      item.set(pickItemFields(req.body));
+      await item.save();
+
+      logger.info(`Inventory item ${item._id} updated by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Inventory item updated successfully",
+        data: item,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update inventory item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update inventory item",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/inventory/:itemId
+// @desc    Remove an inventory item, e.g. a used-up or discarded batch
+// @access  Private (farm owner, manager)
+router.delete(
+  "/:itemId",
+  auth,
+  requireFarmRole("manager"),
+  [itemIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await InventoryItem.findOneAndDelete({
+        _id: req.params.itemId,
+        farm: req.farm._id,
+      });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Inventory item not found",
+        });
+      }
+
+      logger.info(`Inventory item ${item._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Inventory item deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete inventory item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete inventory item",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
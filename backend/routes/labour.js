@@ -0,0 +1,1098 @@
+// routes/labour.js - Farm Labour, Attendance & Wage Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const CropCycle = require("../models/CropCycle");
+const LabourWorker = require("../models/LabourWorker");
+const LabourAttendance = require("../models/LabourAttendance");
+const LabourPayment = require("../models/LabourPayment");
+const logger = require("../utils/logger");
+
+const { WAGE_TYPES } = LabourWorker;
+const { ATTENDANCE_STATUSES, SETTLEMENT_GROUPS } = LabourAttendance;
+const { PAYMENT_KINDS, PAYMENT_METHODS } = LabourPayment;
+
+// Mounted at /api/farmers/farms/:farmId/labour. Every record takes an
+// optional clientId so the dashboard can create records offline and replay
+// them safely; /sync pulls changes since a timestamp and pushes a batch.
+const router = express.Router({ mergeParams: true });
+
+const WORKER_FIELDS = [
+  "name",
+  "phone",
+  "village",
+  "wageType",
+  "dailyWage",
+  "pieceRate",
+  "currency",
+  "isActive",
+  "joinedOn",
+  "notes",
+];
+
+const ATTENDANCE_FIELDS = [
+  "worker",
+  "date",
+  "cropCycle",
+  "field",
+  "task",
+  "status",
+  "pieces",
+  "notes",
+];
+
+const PAYMENT_FIELDS = [
+  "worker",
+  "cropCycle",
+  "kind",
+  "amount",
+  "date",
+  "method",
+  "reference",
+  "notes",
+];
+
+const pick = (keys, source) =>
+  keys.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+// Errors from the save helpers carry the status to answer with
+const labourError = (message, statusCode) => {
+  const error = new Error(message);
+  error.name = "LabourError";
+  error.statusCode = statusCode;
+  return error;
+};
+
+const workerIdParam = param("workerId")
+  .isMongoId()
+  .withMessage("Valid worker ID required");
+
+const attendanceIdParam = param("attendanceId")
+  .isMongoId()
+  .withMessage("Valid attendance ID required");
+
+const paymentIdParam = param("paymentId")
+  .isMongoId()
+  .withMessage("Valid payment ID required");
+
+const clientIdValidator = (path = "clientId") =>
+  body(path).optional().isString().trim().isLength({ min: 1, max: 64 });
+
+const workerValidators = (prefix = "") => [
+  body(`${prefix}phone`)
+    .optional()
+    .isMobilePhone()
+    .withMessage("Please provide a valid phone number"),
+  body(`${prefix}village`).optional().trim().isLength({ max: 100 }),
+  body(`${prefix}wageType`)
+    .optional()
+    .isIn(WAGE_TYPES)
+    .withMessage(`Wage type must be one of: ${WAGE_TYPES.join(", ")}`),
+  body(`${prefix}dailyWage`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Daily wage must be a positive number"),
+  body(`${prefix}pieceRate.amount`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Piece rate must be a positive number"),
+  body(`${prefix}joinedOn`).optional().isISO8601().toDate(),
+  body(`${prefix}isActive`).optional().isBoolean(),
+  body(`${prefix}notes`).optional().isLength({ max: 500 }),
+];
+
+const attendanceValidators = (prefix = "") => [
+  body(`${prefix}cropCycle`)
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid crop cycle ID required"),
+  body(`${prefix}field`)
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body(`${prefix}task`).optional().trim().isLength({ max: 100 }),
+  body(`${prefix}status`)
+    .optional()
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`),
+  body(`${prefix}pieces.quantity`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Pieces must be a positive number"),
+  body(`${prefix}notes`).optional().isLength({ max: 500 }),
+];
+
+const paymentValidators = (prefix = "") => [
+  body(`${prefix}cropCycle`)
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid crop cycle ID required"),
+  body(`${prefix}method`)
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(", ")}`),
+  body(`${prefix}reference`).optional().trim().isLength({ max: 100 }),
+  body(`${prefix}notes`).optional().isLength({ max: 500 }),
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Answer a failed save with its status, or a 500
+const sendSaveError = (res, error, message) => {
+  if (error.name === "LabourError") {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+const isManager = (req) => req.farm.hasRole(req.user.userId, "manager");
+
+// Workers may only change attendance they recorded; managers may change any
+const canEditAttendance = (req, record) =>
+  isManager(req) ||
+  (record.createdBy && record.createdBy.equals(req.user.userId));
+
+const findActiveWorker = async (farm, workerId) => {
+  const worker = await LabourWorker.findOne({
+    _id: workerId,
+    farm: farm._id,
+    deletedAt: null,
+  });
+  if (!worker) throw labourError("Worker not found on this farm", 404);
+  return worker;
+};
+
+const checkCropCycle = async (farm, cropCycle) => {
+  if (!cropCycle) return null;
+  const cycle = await CropCycle.findOne({ _id: cropCycle, farm: farm._id });
+  if (!cycle) throw labourError("Crop cycle not found on this farm", 404);
+  return cycle;
+};
+
+// A record created offline may already have reached the server
+const findByClientId = (Model, farm, clientId) =>
+  clientId ? Model.findOne({ farm: farm._id, clientId }) : null;
+
+const saveWorker = async (req, fields, existing = null) => {
+  const worker = existing || new LabourWorker({ farm: req.farm._id });
+  worker.set(fields);
+  if (!existing) worker.createdBy = req.user.userId;
+  return worker.save();
+};
+
+// Create or update a day of attendance. Wage terms are copied from the
+// worker when the record is created or moved to another worker, and the
+// ledger's wage bills for the old and new day are brought up to date.
+const saveAttendance = async (req, fields, existing = null) => {
+  const farm = req.farm;
+  const workerId = fields.worker || existing?.worker;
+  if (!workerId) throw labourError("Worker is required", 400);
+  const worker = await findActiveWorker(farm, workerId);
+
+  if (fields.field && !farm.fields.id(fields.field)) {
+    throw labourError("Field not found on this farm", 404);
+  }
+  const cycle = await checkCropCycle(farm, fields.cropCycle);
+  if (cycle && fields.field === undefined && !existing) {
+    fields.field = cycle.field;
+  }
+
+  const record =
+    existing ||
+    new LabourAttendance({ farm: farm._id, createdBy: req.user.userId });
+  const previous = existing
+    ? { date: existing.date, cropCycle: existing.cropCycle }
+    : null;
+  const workerChanged = !existing || !existing.worker.equals(worker._id);
+
+  record.set({ ...fields, worker: worker._id });
+  if (workerChanged) {
+    const { pieceUnit, ...terms } = worker.getWageTerms();
+    record.set(terms);
+    if (pieceUnit && !record.pieces?.unit) record.set("pieces.unit", pieceUnit);
+  }
+  if (!record.date) throw labourError("Date is required", 400);
+
+  // One record per worker, day and crop cycle, however many devices
+  // marked the roll
+  const duplicate = await LabourAttendance.findOne({
+    _id: { $ne: record._id },
+    worker: record.worker,
+    date: LabourAttendance.startOfDay(record.date),
+    cropCycle: record.cropCycle || null,
+    deletedAt: null,
+  });
+  if (duplicate) {
+    throw labourError(
+      `${worker.name} is already marked for this day (${duplicate._id})`,
+      409
+    );
+  }
+
+  await record.save();
+  await syncWageBills(req, [previous, record]);
+  return record;
+};
+
+const softDeleteAttendance = async (req, record) => {
+  record.deletedAt = new Date();
+  await record.save();
+  await syncWageBills(req, [record]);
+};
+
+const syncWageBills = (req, days) => {
+  const seen = new Set();
+  return Promise.all(
+    days.filter(Boolean).map(({ date, cropCycle }) => {
+      const key = `${new Date(date).toISOString()}:${cropCycle || ""}`;
+      if (seen.has(key)) return null;
+      seen.add(key);
+      return LabourAttendance.syncWageBill(
+        req.farm._id,
+        date,
+        cropCycle,
+        req.user.userId
+      );
+    })
+  );
+};
+
+const savePayment = async (req, fields, existing = null) => {
+  const workerId = fields.worker || existing?.worker;
+  if (!workerId) throw labourError("Worker is required", 400);
+  const worker = await findActiveWorker(req.farm, workerId);
+  await checkCropCycle(req.farm, fields.cropCycle);
+
+  const payment =
+    existing ||
+    new LabourPayment({ farm: req.farm._id, createdBy: req.user.userId });
+  payment.set({ ...fields, worker: worker._id, currency: worker.currency });
+  return payment.save();
+};
+
+// @route   GET /api/farmers/farms/:farmId/labour/workers
+// @desc    List the farm's labourers (?active=true for current ones only)
+// @access  Private (farm owner, manager, worker)
+router.get(
+  "/workers",
+  auth,
+  requireFarmRole("worker"),
+  [query("active").optional().isBoolean()],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const filter = { farm: req.farm._id, deletedAt: null };
+      if (req.query.active !== undefined) {
+        filter.isActive = req.query.active === "true";
+      }
+
+      const workers = await LabourWorker.find(filter).sort({ name: 1 });
+
+      res.json({
+        success: true,
+        message: "Workers fetched successfully",
+        data: workers,
+      });
+    } catch (error) {
+      logger.error("Get labour workers error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch workers",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/labour/workers
+// @desc    Add a labourer with their daily wage or piece rate
+// @access  Private (farm owner, manager)
+router.post(
+  "/workers",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    clientIdValidator(),
+    ...workerValidators(),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const existing = await findByClientId(
+        LabourWorker,
+        req.farm,
+        req.body.clientId
+      );
+      if (existing) {
+        return res.json({
+          success: true,
+          message: "Worker was already added",
+          data: existing,
+        });
+      }
+
+      const worker = await saveWorker(req, {
+        ...pick(WORKER_FIELDS, req.body),
+        clientId: req.body.clientId,
+      });
+
+      logger.info(`Labour worker ${worker._id} added to farm ${req.farm._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: `${worker.name} added to your workers`,
+        data: worker,
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to add worker");
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/labour/workers/:workerId
+// @desc    Update a labourer; new wages apply to days recorded from now on
+// @access  Private (farm owner, manager)
+router.put(
+  "/workers/:workerId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    workerIdParam,
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    ...workerValidators(),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const worker = await findActiveWorker(req.farm, req.params.workerId);
+      await saveWorker(req, pick(WORKER_FIELDS, req.body), worker);
+
+      res.json({
+        success: true,
+        message: "Worker updated successfully",
+        data: worker,
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to update worker");
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/labour/workers/:workerId
+// @desc    Remove a labourer; their attendance and payments stay on record
+// @access  Private (farm owner, manager)
+router.delete(
+  "/workers/:workerId",
+  auth,
+  requireFarmRole("manager"),
+  [workerIdParam],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const worker = await findActiveWorker(req.farm, req.params.workerId);
+      worker.deletedAt = new Date();
+      worker.isActive = false;
+      await worker.save();
+
+      logger.info(`Labour worker ${worker._id} removed by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Worker removed successfully",
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to remove worker");
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/labour/attendance
+// @desc    List attendance by day range, worker or crop cycle
+// @access  Private (farm owner, manager, worker)
+router.get(
+  "/attendance",
+  auth,
+  requireFarmRole("worker"),
+  [
+    query("worker").optional().isMongoId().withMessage("Invalid worker ID"),
+    query("cropCycle")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
+    query(["date", "from", "to"])
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid date"),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { worker, cropCycle, date, from, to } = req.query;
+      const filter = { farm: req.farm._id, deletedAt: null };
+      if (worker) filter.worker = worker;
+      if (cropCycle) filter.cropCycle = cropCycle;
+      if (date) {
+        filter.date = LabourAttendance.startOfDay(date);
+      } else if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = LabourAttendance.startOfDay(from);
+        if (to) filter.date.$lte = new Date(to);
+      }
+
+      const records = await LabourAttendance.find(filter)
+        .populate("worker", "name wageType")
+        .sort({ date: -1 })
+        .limit(500);
+
+      res.json({
+        success: true,
+        message: "Attendance fetched successfully",
+        data: {
+          records,
+          totals: {
+            daysWorked: records.reduce(
+              (days, record) =>
+                days +
+                (record.status === "present"
+                  ? 1
+                  : record.status === "half_day"
+                    ? 0.5
+                    : 0),
+              0
+            ),
+            wages:
+              Math.round(
+                records.reduce((sum, record) => sum + record.wage, 0) * 100
+              ) / 100,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get attendance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch attendance",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/labour/attendance
+// @desc    Mark a labourer's day (present, half day or absent, or pieces
+//          done on piece rate)
+// @access  Private (farm owner, manager, worker)
+router.post(
+  "/attendance",
+  auth,
+  requireFarmRole("worker"),
+  [
+    body("worker").isMongoId().withMessage("Valid worker ID required"),
+    body("date").isISO8601().toDate().withMessage("Valid date required"),
+    clientIdValidator(),
+    ...attendanceValidators(),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const existing = await findByClientId(
+        LabourAttendance,
+        req.farm,
+        req.body.clientId
+      );
+      if (existing) {
+        return res.json({
+          success: true,
+          message: "Attendance was already recorded",
+          data: existing,
+        });
+      }
+
+      const record = await saveAttendance(req, {
+        ...pick(ATTENDANCE_FIELDS, req.body),
+        clientId: req.body.clientId,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Attendance recorded successfully",
+        data: record,
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to record attendance");
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/labour/attendance/:attendanceId
+// @desc    Correct a day of attendance
+// @access  Private (creator, or farm owner/manager)
+router.put(
+  "/attendance/:attendanceId",
+  auth,
+  requireFarmRole("worker"),
+  [
+    attendanceIdParam,
+    body("worker")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid worker ID required"),
+    body("date").optional().isISO8601().toDate(),
+    ...attendanceValidators(),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const record = await LabourAttendance.findOne({
+        _id: req.params.attendanceId,
+        farm: req.farm._id,
+        deletedAt: null,
+      });
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: "Attendance record not found",
+        });
+      }
+      if (!canEditAttendance(req, record)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only change attendance you recorded",
+        });
+      }
+
+      await saveAttendance(req, pick(ATTENDANCE_FIELDS, req.body), record);
+
+      res.json({
+        success: true,
+        message: "Attendance updated successfully",
+        data: record,
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to update attendance");
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/labour/attendance/:attendanceId
+// @desc    Delete a day of attendance
+// @access  Private (creator, or farm owner/manager)
+router.delete(
+  "/attendance/:attendanceId",
+  auth,
+  requireFarmRole("worker"),
+  [attendanceIdParam],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const record = await LabourAttendance.findOne({
+        _id: req.params.attendanceId,
+        farm: req.farm._id,
+        deletedAt: null,
+      });
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: "Attendance record not found",
+        });
+      }
+      if (!canEditAttendance(req, record)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only delete attendance you recorded",
+        });
+      }
+
+      await softDeleteAttendance(req, record);
+
+      res.json({
+        success: true,
+        message: "Attendance deleted successfully",
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to delete attendance");
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/labour/payments
+// @desc    List advances and settlements paid
+// @access  Private (farm owner, manager)
+router.get(
+  "/payments",
+  auth,
+  requireFarmRole("manager"),
+  [
+    query("worker").optional().isMongoId().withMessage("Invalid worker ID"),
+    query("kind")
+      .optional()
+      .isIn(PAYMENT_KINDS)
+      .withMessage("Kind must be advance or settlement"),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const filter = { farm: req.farm._id, deletedAt: null };
+      if (req.query.worker) filter.worker = req.query.worker;
+      if (req.query.kind) filter.kind = req.query.kind;
+
+      const payments = await LabourPayment.find(filter)
+        .populate("worker", "name")
+        .sort({ date: -1 })
+        .limit(500);
+
+      res.json({
+        success: true,
+        message: "Payments fetched successfully",
+        data: payments,
+      });
+    } catch (error) {
+      logger.error("Get labour payments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payments",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/labour/payments
+// @desc    Record an advance or a wage settlement paid to a labourer
+// @access  Private (farm owner, manager)
+router.post(
+  "/payments",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("worker").isMongoId().withMessage("Valid worker ID required"),
+    body("kind")
+      .isIn(PAYMENT_KINDS)
+      .withMessage("Kind must be advance or settlement"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be a positive number"),
+    body("date").optional().isISO8601().toDate(),
+    clientIdValidator(),
+    ...paymentValidators(),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const existing = await findByClientId(
+        LabourPayment,
+        req.farm,
+        req.body.clientId
+      );
+      if (existing) {
+        return res.json({
+          success: true,
+          message: "Payment was already recorded",
+          data: existing,
+        });
+      }
+
+      const payment = await savePayment(req, {
+        ...pick(PAYMENT_FIELDS, req.body),
+        clientId: req.body.clientId,
+      });
+
+      logger.info(
+        `Labour ${payment.kind} of ${payment.amount} recorded on farm ${req.farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${payment.kind === "advance" ? "Advance" : "Settlement"} recorded successfully`,
+        data: payment,
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to record payment");
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/labour/payments/:paymentId
+// @desc    Delete a payment recorded by mistake
+// @access  Private (farm owner, manager)
+router.delete(
+  "/payments/:paymentId",
+  auth,
+  requireFarmRole("manager"),
+  [paymentIdParam],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const payment = await LabourPayment.findOneAndUpdate(
+        { _id: req.params.paymentId, farm: req.farm._id, deletedAt: null },
+        { $set: { deletedAt: new Date() } }
+      );
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Payment deleted successfully",
+      });
+    } catch (error) {
+      sendSaveError(res, error, "Failed to delete payment");
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/labour/reports/settlement
+// @desc    Wages earned, advances, settlements and balance due per worker
+//          or per crop cycle (?groupBy=worker|cropCycle)
+// @access  Private (farm owner, manager)
+router.get(
+  "/reports/settlement",
+  auth,
+  requireFarmRole("manager"),
+  [
+    query("groupBy")
+      .optional()
+      .isIn(SETTLEMENT_GROUPS)
+      .withMessage("Group by worker or cropCycle"),
+    query("worker").optional().isMongoId().withMessage("Invalid worker ID"),
+    query("cropCycle")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
+    query(["from", "to"]).optional().isISO8601().withMessage("Invalid date"),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { groupBy = "worker", worker, cropCycle, from, to } = req.query;
+      const rows = await LabourAttendance.settlement(req.farm._id, {
+        groupBy,
+        worker,
+        cropCycle,
+        from,
+        to,
+      });
+
+      res.json({
+        success: true,
+        message: "Settlement report generated successfully",
+        data: {
+          groupBy,
+          rows,
+          totalDue: rows
+            .filter((row) => row.balance > 0)
+            .reduce((sum, row) => sum + row.balance, 0),
+        },
+      });
+    } catch (error) {
+      logger.error("Labour settlement report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate settlement report",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/labour/sync
+// @desc    Pull workers, attendance and (for managers) payments changed
+//          since ?since, deletions included; serverTime is the next since
+// @access  Private (farm owner, manager, worker)
+router.get(
+  "/sync",
+  auth,
+  requireFarmRole("worker"),
+  [query("since").optional().isISO8601().withMessage("Invalid since time")],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const serverTime = new Date();
+      const filter = { farm: req.farm._id };
+      if (req.query.since) {
+        filter.updatedAt = { $gt: new Date(req.query.since) };
+      }
+
+      const [workers, attendance, payments] = await Promise.all([
+        LabourWorker.find(filter),
+        LabourAttendance.find(filter),
+        isManager(req) ? LabourPayment.find(filter) : [],
+      ]);
+
+      res.json({
+        success: true,
+        message: "Labour changes fetched successfully",
+        data: { workers, attendance, payments, serverTime },
+      });
+    } catch (error) {
+      logger.error("Labour sync pull error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch labour changes",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Apply one queued change from the dashboard. Items are matched by server
+// id or by clientId, so replaying a batch is harmless; the last write wins.
+const applySyncItem = async (req, Model, item, save, remove) => {
+  const existing = item.id
+    ? await Model.findOne({ _id: item.id, farm: req.farm._id })
+    : await findByClientId(Model, req.farm, item.clientId);
+
+  if (item.deleted) {
+    if (existing && !existing.deletedAt) await remove(existing);
+    return { status: "deleted", id: existing?._id || null };
+  }
+  if (existing?.deletedAt) {
+    throw labourError("This record was deleted on another device", 409);
+  }
+
+  const record = await save(existing);
+  return { status: existing ? "updated" : "created", id: record._id };
+};
+
+const syncBatch = async (req, items = [], apply) => {
+  const results = [];
+  for (const item of items) {
+    try {
+      results.push({ clientId: item.clientId, ...(await apply(item)) });
+    } catch (error) {
+      if (error.name !== "LabourError" && error.name !== "ValidationError") {
+        logger.error("Labour sync item error:", error);
+      }
+      results.push({
+        clientId: item.clientId,
+        status: "error",
+        message:
+          error.name === "LabourError" || error.name === "ValidationError"
+            ? error.message
+            : "Could not save this change",
+      });
+    }
+  }
+  return results;
+};
+
+// @route   POST /api/farmers/farms/:farmId/labour/sync
+// @desc    Push changes queued on the dashboard while offline: workers,
+//          attendance and payments, each with a clientId (and id once
+//          known, or deleted: true). Attendance and payments may name a
+//          worker created in the same batch by workerClientId.
+// @access  Private (farm owner, manager, worker; workers and payments
+//          need a manager)
+router.post(
+  "/sync",
+  auth,
+  requireFarmRole("worker"),
+  [
+    body(["workers", "attendance", "payments"]).optional().isArray(),
+    body(["workers.*", "attendance.*", "payments.*"]).isObject(),
+    clientIdValidator("workers.*.clientId").exists(),
+    clientIdValidator("attendance.*.clientId").exists(),
+    clientIdValidator("payments.*.clientId").exists(),
+    body(["workers.*.id", "attendance.*.id", "payments.*.id"])
+      .optional()
+      .isMongoId(),
+    body(["attendance.*.worker", "payments.*.worker"]).optional().isMongoId(),
+    body(["attendance.*.date", "payments.*.date"])
+      .optional()
+      .isISO8601()
+      .toDate(),
+    body("payments.*.kind").optional().isIn(PAYMENT_KINDS),
+    body("payments.*.amount").optional().isFloat({ gt: 0 }),
+    ...workerValidators("workers.*."),
+    ...attendanceValidators("attendance.*."),
+    ...paymentValidators("payments.*."),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const manager = isManager(req);
+      const workerIds = new Map();
+      const managersOnly = () => {
+        throw labourError("Only farm managers can change this", 403);
+      };
+
+      const workers = await syncBatch(req, req.body.workers, async (item) => {
+        if (!manager) managersOnly();
+        const result = await applySyncItem(
+          req,
+          LabourWorker,
+          item,
+          (existing) =>
+            saveWorker(
+              req,
+              {
+                ...pick(WORKER_FIELDS, item),
+                ...(!existing && { clientId: item.clientId }),
+              },
+              existing
+            ),
+          async (existing) => {
+            existing.deletedAt = new Date();
+            existing.isActive = false;
+            await existing.save();
+          }
+        );
+        if (result.id) workerIds.set(item.clientId, result.id);
+        return result;
+      });
+
+      // Resolve workers created offline in this batch or an earlier one
+      const resolveWorker = async (item) => {
+        if (item.worker || !item.workerClientId) return item.worker;
+        if (workerIds.has(item.workerClientId)) {
+          return workerIds.get(item.workerClientId);
+        }
+        const worker = await findByClientId(
+          LabourWorker,
+          req.farm,
+          item.workerClientId
+        );
+        return worker?._id;
+      };
+
+      const attendance = await syncBatch(
+        req,
+        req.body.attendance,
+        async (item) =>
+          applySyncItem(
+            req,
+            LabourAttendance,
+            item,
+            async (existing) => {
+              if (existing && !canEditAttendance(req, existing)) {
+                throw labourError(
+                  "You can only change attendance you recorded",
+                  403
+                );
+              }
+              return saveAttendance(
+                req,
+                {
+                  ...pick(ATTENDANCE_FIELDS, item),
+                  worker: await resolveWorker(item),
+                  ...(!existing && { clientId: item.clientId }),
+                },
+                existing
+              );
+            },
+            async (existing) => {
+              if (!canEditAttendance(req, existing)) {
+                throw labourError(
+                  "You can only delete attendance you recorded",
+                  403
+                );
+              }
+              await softDeleteAttendance(req, existing);
+            }
+          )
+      );
+
+      const payments = await syncBatch(req, req.body.payments, async (item) => {
+        if (!manager) managersOnly();
+        return applySyncItem(
+          req,
+          LabourPayment,
+          item,
+          async (existing) =>
+            savePayment(
+              req,
+              {
+                ...pick(PAYMENT_FIELDS, item),
+                worker: await resolveWorker(item),
+                ...(!existing && { clientId: item.clientId }),
+              },
+              existing
+            ),
+          async (existing) => {
+            existing.deletedAt = new Date();
+            await existing.save();
+          }
+        );
+      });
+
+      const failed = [...workers, ...attendance, ...payments].filter(
+        (result) => result.status === "error"
+      ).length;
+
+      res.json({
+        success: true,
+        message: failed
+          ? `Synced with ${failed} change(s) rejected`
+          : "All changes synced",
+        data: { workers, attendance, payments, serverTime: new Date() },
+      });
+    } catch (error) {
+      logger.error("Labour sync push error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to sync labour changes",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,743 @@
+// routes/ledger.js - Farm Expense & Income Ledger Routes
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const LedgerEntry = require("../models/LedgerEntry");
+const CropCycle = require("../models/CropCycle");
+const { QUINTALS_PER_UNIT } = require("../models/HarvestRecord");
+const { convertArea } = require("../utils/geo");
+const logger = require("../utils/logger");
+
+const { EXPENSE_CATEGORIES, INCOME_CATEGORIES } = LedgerEntry;
+
+// Mounted at /api/farmers/farms/:farmId/ledger
+const router = express.Router({ mergeParams: true });
+
+const ENTRY_FIELDS = [
+  "kind",
+  "category",
+  "amount",
+  "currency",
+  "date",
+  "field",
+  "cropCycle",
+  "description",
+  "counterparty",
+  "quantity",
+  "notes",
+];
+
+const pickEntryFields = (source) =>
+  ENTRY_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const entryIdParam = param("entryId")
+  .isMongoId()
+  .withMessage("Valid ledger entry ID required");
+
+const entryValidators = [
+  body("category")
+    .optional()
+    .isIn([...new Set([...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES])])
+    .withMessage("Invalid category"),
+  body("currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be a 3-letter code such as INR"),
+  body("date").optional().isISO8601().toDate(),
+  body("field")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body("cropCycle")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid crop cycle ID required"),
+  body("description").optional().trim().isLength({ max: 200 }),
+  body("counterparty").optional().trim().isLength({ max: 100 }),
+  body("quantity.amount").optional().isFloat({ min: 0 }),
+  body("quantity.unit").optional().trim().isLength({ max: 20 }),
+  body("notes").optional().isLength({ max: 500 }),
+];
+
+const reportValidators = [
+  query("currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be a 3-letter code such as INR"),
+  query("season")
+    .optional()
+    .isIn(["Kharif", "Rabi", "Zaid", "Perennial", "Other"])
+    .withMessage("Invalid season"),
+  query("year").optional().isInt({ min: 1900, max: 3000 }),
+  query("unit").optional().isIn(["acres", "hectares"]),
+];
+
+// Check that an entry's field and crop cycle belong to the farm; returns an
+// error message, or null when they do. An entry booked against a crop cycle
+// defaults to the cycle's field.
+const checkEntryLinks = async (farm, fields) => {
+  if (fields.field && !farm.fields.id(fields.field)) {
+    return "Field not found on this farm";
+  }
+  if (fields.cropCycle) {
+    const cycle = await CropCycle.findOne({
+      _id: fields.cropCycle,
+      farm: farm._id,
+    });
+    if (!cycle) return "Crop cycle not found on this farm";
+    if (fields.field === undefined) fields.field = cycle.field;
+  }
+  return null;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Gross margin figures for a set of totals; per-area figures when the area
+// is known
+const marginOf = ({ expenses = 0, income = 0 }, area = null) => ({
+  expenses: roundMoney(expenses),
+  income: roundMoney(income),
+  grossMargin: roundMoney(income - expenses),
+  marginPercent: income
+    ? Math.round(((income - expenses) / income) * 1000) / 10
+    : null,
+  area,
+  costPerArea: area ? roundMoney(expenses / area) : null,
+  marginPerArea: area ? roundMoney((income - expenses) / area) : null,
+});
+
+// Load the farm's crop cycles matching the report filters together with
+// their ledger totals, areas converted to the report unit
+const loadCycleTotals = async (farm, { season, year, crop }, options) => {
+  const filter = { farm: farm._id };
+  if (season) filter.season = season;
+  if (crop) filter.crop = { $regex: `^${crop}$`, $options: "i" };
+  if (year) {
+    filter.sowingDate = {
+      $gte: new Date(Date.UTC(parseInt(year), 0, 1)),
+      $lt: new Date(Date.UTC(parseInt(year) + 1, 0, 1)),
+    };
+  }
+
+  const cycles = await CropCycle.find(filter).sort({ sowingDate: 1 });
+  const totals = await LedgerEntry.summarize(farm._id, {
+    currency: options.currency,
+    groupBy: "cropCycle",
+    cropCycles: cycles.map((cycle) => cycle._id),
+  });
+  const totalsByCycle = new Map(totals.map((row) => [String(row._id), row]));
+  const farmUnit = farm.farmSize?.unit || "acres";
+
+  return cycles.map((cycle) => ({
+    cycle,
+    totals: totalsByCycle.get(String(cycle._id)) || {},
+    area: cycle.area
+      ? Math.round(convertArea(cycle.area, farmUnit, options.unit) * 1e4) / 1e4
+      : null,
+  }));
+};
+
+const reportOptions = (req) => ({
+  currency: (req.query.currency || "INR").toUpperCase(),
+  unit: req.query.unit || "acres",
+});
+
+// @route   GET /api/farmers/farms/:farmId/ledger
+// @desc    List ledger entries with totals for the filter
+// @access  Private (farm owner, manager)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    query("kind").optional().isIn(["expense", "income"]),
+    query("field").optional().isMongoId().withMessage("Invalid field ID"),
+    query("cropCycle")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid crop cycle ID"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        kind,
+        category,
+        field,
+        cropCycle,
+        from,
+        to,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const filter = { farm: req.farm._id };
+      if (kind) filter.kind = kind;
+      if (category) filter.category = category;
+      // Cast ids up front; the totals aggregation does not cast for us
+      if (field) filter.field = new mongoose.Types.ObjectId(field);
+      if (cropCycle) filter.cropCycle = new mongoose.Types.ObjectId(cropCycle);
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = new Date(from);
+        if (to) filter.date.$lte = new Date(to);
+      }
+
+      const [entries, total, totals] = await Promise.all([
+        LedgerEntry.find(filter)
+          .sort({ date: -1, createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .populate("cropCycle", "crop season sowingDate"),
+        LedgerEntry.countDocuments(filter),
+        LedgerEntry.aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: { currency: "$currency", kind: "$kind" },
+              amount: { $sum: "$amount" },
+            },
+          },
+        ]),
+      ]);
+
+      // Totals per currency, e.g. { INR: { expenses, income, net } }
+      const totalsByCurrency = totals.reduce((byCurrency, row) => {
+        const entry = byCurrency[row._id.currency] || {
+          expenses: 0,
+          income: 0,
+        };
+        if (row._id.kind === "expense") entry.expenses = roundMoney(row.amount);
+        else entry.income = roundMoney(row.amount);
+        entry.net = roundMoney(entry.income - entry.expenses);
+        byCurrency[row._id.currency] = entry;
+        return byCurrency;
+      }, {});
+
+      res.json({
+        success: true,
+        message: "Ledger fetched successfully",
+        data: {
+          entries,
+          totals: totalsByCurrency,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get ledger error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch ledger",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/ledger/reports/cost-per-acre
+// @desc    Cost per unit area for each crop cycle and for the whole farm
+// @access  Private (farm owner, manager)
+router.get(
+  "/reports/cost-per-acre",
+  auth,
+  requireFarmRole("manager"),
+  reportValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const options = reportOptions(req);
+      const rows = await loadCycleTotals(farm, req.query, options);
+
+      const [farmTotals] = await LedgerEntry.summarize(farm._id, {
+        currency: options.currency,
+      });
+      const farmArea = farm.farmSize?.value
+        ? Math.round(
+            convertArea(
+              farm.farmSize.value,
+              farm.farmSize.unit || "acres",
+              options.unit
+            ) * 1e4
+          ) / 1e4
+        : null;
+
+      res.json({
+        success: true,
+        message: "Cost per area calculated successfully",
+        data: {
+          currency: options.currency,
+          unit: options.unit,
+          cycles: rows.map(({ cycle, totals, area }) => ({
+            cropCycle: cycle._id,
+            crop: cycle.crop,
+            season: cycle.season,
+            sowingDate: cycle.sowingDate,
+            area,
+            expenses: roundMoney(totals.expenses || 0),
+            costPerArea: area
+              ? roundMoney((totals.expenses || 0) / area)
+              : null,
+          })),
+          farm: {
+            area: farmArea,
+            expenses: roundMoney(farmTotals?.expenses || 0),
+            costPerArea: farmArea
+              ? roundMoney((farmTotals?.expenses || 0) / farmArea)
+              : null,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Cost per area report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to calculate cost per area",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/ledger/reports/gross-margin
+// @desc    Gross margin per crop, plus overheads not booked to any crop
+// @access  Private (farm owner, manager)
+router.get(
+  "/reports/gross-margin",
+  auth,
+  requireFarmRole("manager"),
+  reportValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const farm = req.farm;
+      const options = reportOptions(req);
+      const rows = await loadCycleTotals(farm, req.query, options);
+
+      const byCrop = new Map();
+      rows.forEach(({ cycle, totals, area }) => {
+        const key = cycle.crop.toLowerCase();
+        const crop = byCrop.get(key) || {
+          crop: cycle.crop,
+          cycles: 0,
+          expenses: 0,
+          income: 0,
+          area: 0,
+        };
+        crop.cycles += 1;
+        crop.expenses += totals.expenses || 0;
+        crop.income += totals.income || 0;
+        crop.area += area || 0;
+        byCrop.set(key, crop);
+      });
+
+      const [overheads] = await LedgerEntry.summarize(farm._id, {
+        currency: options.currency,
+        cropCycles: null,
+      });
+
+      res.json({
+        success: true,
+        message: "Gross margin calculated successfully",
+        data: {
+          currency: options.currency,
+          unit: options.unit,
+          crops: [...byCrop.values()]
+            .map(({ crop, cycles, area, ...totals }) => ({
+              crop,
+              cycles,
+              ...marginOf(totals, area ? Math.round(area * 1e4) / 1e4 : null),
+            }))
+            .sort((a, b) => b.grossMargin - a.grossMargin),
+          overheads: marginOf(overheads || {}),
+        },
+      });
+    } catch (error) {
+      logger.error("Gross margin report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to calculate gross margin",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/ledger/reports/seasons
+// @desc    Compare expenses, income and yield season over season
+// @access  Private (farm owner, manager)
+router.get(
+  "/reports/seasons",
+  auth,
+  requireFarmRole("manager"),
+  reportValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const options = reportOptions(req);
+      const rows = await loadCycleTotals(req.farm, req.query, options);
+
+      // Cycles are sorted by sowing date, so seasons come out in order
+      const bySeason = new Map();
+      rows.forEach(({ cycle, totals, area }) => {
+        const year = cycle.sowingDate.getUTCFullYear();
+        const key = `${cycle.season || "Other"} ${year}`;
+        const season = bySeason.get(key) || {
+          season: cycle.season || "Other",
+          year,
+          crops: new Set(),
+          expenses: 0,
+          income: 0,
+          area: 0,
+          yieldQuintals: 0,
+        };
+        season.crops.add(cycle.crop);
+        season.expenses += totals.expenses || 0;
+        season.income += totals.income || 0;
+        season.area += area || 0;
+        if (cycle.yield?.quantity) {
+          season.yieldQuintals +=
+            cycle.yield.quantity *
+            QUINTALS_PER_UNIT[cycle.yield.unit || "quintal"];
+        }
+        bySeason.set(key, season);
+      });
+
+      let previous = null;
+      const seasons = [...bySeason.values()].map(
+        ({ season, year, crops, area, yieldQuintals, ...totals }) => {
+          const row = {
+            season,
+            year,
+            crops: [...crops],
+            ...marginOf(totals, area ? Math.round(area * 1e4) / 1e4 : null),
+            yieldQuintals: Math.round(yieldQuintals * 100) / 100,
+            change: previous
+              ? {
+                  expenses: roundMoney(totals.expenses - previous.expenses),
+                  income: roundMoney(totals.income - previous.income),
+                  grossMargin: roundMoney(
+                    totals.income -
+                      totals.expenses -
+                      (previous.income - previous.expenses)
+                  ),
+                }
+              : null,
+          };
+          previous = totals;
+          return row;
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "Season comparison calculated successfully",
+        data: {
+          currency: options.currency,
+          unit: options.unit,
+          seasons,
+        },
+      });
+    } catch (error) {
+      logger.error("Season comparison report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to compare seasons",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/ledger/:entryId
+// @desc    Get a single ledger entry
+// @access  Private (farm owner, manager)
+router.get(
+  "/:entryId",
+  auth,
+  requireFarmRole("manager"),
+  [entryIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const entry = await LedgerEntry.findOne({
+        _id: req.params.entryId,
+        farm: req.farm._id,
+      })
+        .populate("cropCycle", "crop season sowingDate")
+        .populate("inventoryItem", "product batch");
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Ledger entry not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Ledger entry fetched successfully",
+        data: entry,
+      });
+    } catch (error) {
+      logger.error("Get ledger entry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch ledger entry",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/ledger
+// @desc    Record an expense or income
+// @access  Private (farm owner, manager)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("kind")
+      .isIn(["expense", "income"])
+      .withMessage("Kind must be expense or income"),
+    body("category").notEmpty().withMessage("Category is required"),
+    body("amount")
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a positive number"),
+    ...entryValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const fields = pickEntryFields(req.body);
+      const linkError = await checkEntryLinks(req.farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      const entry = await LedgerEntry.create({
+        ...fields,
+        farm: req.farm._id,
+        createdBy: req.user.userId,
+      });
+
+      logger.info(
+        `Ledger ${entry.kind} ${entry._id} recorded on farm ${req.farm._id}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${entry.kind === "income" ? "Income" : "Expense"} recorded successfully`,
+        data: entry,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create ledger entry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record ledger entry",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/ledger/:entryId
+// @desc    Correct a ledger entry
+// @access  Private (farm owner, manager)
+router.put(
+  "/:entryId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    entryIdParam,
+    body("kind")
+      .optional()
+      .isIn(["expense", "income"])
+      .withMessage("Kind must be expense or income"),
+    body("amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a positive number"),
+    ...entryValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const entry = await LedgerEntry.findOne({
+        _id: req.params.entryId,
+        farm: req.farm._id,
+      });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Ledger entry not found",
+        });
+      }
+
+      const fields = pickEntryFields(req.body);
+      const linkError = await checkEntryLinks(req.farm, fields);
+      if (linkError) {
+        return res.status(404).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      entry.set(fields);
+      await entry.save();
+
+      res.json({
+        success: true,
+        message: "Ledger entry updated successfully",
+        data: entry,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update ledger entry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update ledger entry",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/ledger/:entryId
+// @desc    Delete a ledger entry
+// @access  Private (farm owner, manager)
+router.delete(
+  "/:entryId",
+  auth,
+  requireFarmRole("manager"),
+  [entryIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const entry = await LedgerEntry.findOneAndDelete({
+        _id: req.params.entryId,
+        farm: req.farm._id,
+      });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Ledger entry not found",
+        });
+      }
+
+      logger.info(`Ledger entry ${entry._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Ledger entry deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete ledger entry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete ledger entry",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
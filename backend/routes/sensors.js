@@ -0,0 +1,115 @@
+// routes/sensors.js - Field Sensor Data Routes
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const SensorReading = require("../models/SensorReading");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 500;
+
+// @route   POST /api/sensors/readings
+// @desc    Submit one reading or a batch of readings
+// @access  Private (or API key with sensors:write)
+router.post(
+  "/readings",
+  auth.allowApiKey("sensors:write"),
+  [
+    body("readings")
+      .isArray({ min: 1, max: MAX_BATCH_SIZE })
+      .withMessage(`Readings must be an array of 1-${MAX_BATCH_SIZE} items`),
+    body("readings.*.deviceId")
+      .trim()
+      .notEmpty()
+      .withMessage("Device ID is required"),
+    body("readings.*.metric")
+      .isIn(SensorReading.schema.path("metric").enumValues)
+      .withMessage("Invalid metric"),
+    body("readings.*.value").isFloat().withMessage("Value must be a number"),
+    body("readings.*.recordedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("recordedAt must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const readings = req.body.readings.map((reading) => ({
+        farmer: req.user.userId,
+        deviceId: reading.deviceId,
+        metric: reading.metric,
+        value: reading.value,
+        unit: reading.unit,
+        recordedAt: reading.recordedAt || new Date(),
+        location: reading.location,
+        apiKey: req.user.apiKeyId || null,
+      }));
+
+      const saved = await SensorReading.insertMany(readings);
+
+      logger.info(
+        `${saved.length} sensor reading(s) stored for user ${req.user.userId}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Sensor readings stored successfully",
+        data: { count: saved.length },
+      });
+    } catch (error) {
+      logger.error("Store sensor readings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to store sensor readings",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/sensors/readings
+// @desc    Get recent sensor readings
+// @access  Private
+router.get("/readings", auth, async (req, res) => {
+  try {
+    const { deviceId, metric, from, to, limit = 100 } = req.query;
+
+    const query = { farmer: req.user.userId };
+    if (deviceId) query.deviceId = deviceId;
+    if (metric) query.metric = metric;
+    if (from || to) {
+      query.recordedAt = {};
+      if (from) query.recordedAt.$gte = new Date(from);
+      if (to) query.recordedAt.$lte = new Date(to);
+    }
+
+    const readings = await SensorReading.find(query)
+      .sort({ recordedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000));
+
+    res.json({
+      success: true,
+      message: "Sensor readings fetched successfully",
+      data: { readings },
+    });
+  } catch (error) {
+    logger.error("Get sensor readings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sensor readings",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
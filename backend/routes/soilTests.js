@@ -0,0 +1,341 @@
+// routes/soilTests.js - Soil Test Report Routes
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const { requireFarmRole } = require("../middleware/farmAccess");
+const SoilTest = require("../models/SoilTest");
+const logger = require("../utils/logger");
+
+const { MICRONUTRIENT_LIMITS } = SoilTest;
+
+// Mounted at /api/farmers/farms/:farmId/soil-tests
+const router = express.Router({ mergeParams: true });
+
+const TEST_FIELDS = [
+  "field",
+  "sampledAt",
+  "lab",
+  "ph",
+  "ec",
+  "organicCarbon",
+  "nitrogen",
+  "phosphorus",
+  "potassium",
+  "micronutrients",
+  "notes",
+];
+
+const pickTestFields = (source) =>
+  TEST_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const testIdParam = param("testId")
+  .isMongoId()
+  .withMessage("Valid soil test ID required");
+
+const testValidators = [
+  body("field")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid field ID required"),
+  body("lab.name").optional().trim().isLength({ max: 100 }),
+  body("lab.reportNumber").optional().trim().isLength({ max: 50 }),
+  body("lab.reportedAt").optional().isISO8601().toDate(),
+  body("ph")
+    .optional()
+    .isFloat({ min: 0, max: 14 })
+    .withMessage("pH must be between 0 and 14"),
+  body("ec").optional().isFloat({ min: 0 }).withMessage("Invalid EC"),
+  body("organicCarbon")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Organic carbon must be a percentage"),
+  body(["nitrogen", "phosphorus", "potassium"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Nutrient values must be positive kg/ha"),
+  body("micronutrients").optional().isObject(),
+  body(
+    Object.keys(MICRONUTRIENT_LIMITS).map((name) => `micronutrients.${name}`)
+  )
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Micronutrient values must be positive ppm"),
+  body("notes").optional().isLength({ max: 500 }),
+];
+
+// @route   GET /api/farmers/farms/:farmId/soil-tests
+// @desc    List soil tests, newest sample first
+// @access  Private (farm members)
+router.get(
+  "/",
+  auth,
+  requireFarmRole("viewer"),
+  [query("field").optional().isMongoId().withMessage("Invalid field ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { farm: req.farm._id };
+      if (req.query.field) filter.field = req.query.field;
+
+      const tests = await SoilTest.find(filter).sort({ sampledAt: -1 });
+
+      res.json({
+        success: true,
+        message: "Soil tests fetched successfully",
+        data: tests,
+      });
+    } catch (error) {
+      logger.error("Get soil tests error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch soil tests",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/farmers/farms/:farmId/soil-tests/:testId
+// @desc    Get a soil test with its Soil Health Card ratings
+// @access  Private (farm members)
+router.get(
+  "/:testId",
+  auth,
+  requireFarmRole("viewer"),
+  [testIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const test = await SoilTest.findOne({
+        _id: req.params.testId,
+        farm: req.farm._id,
+      });
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: "Soil test not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Soil test fetched successfully",
+        data: test,
+      });
+    } catch (error) {
+      logger.error("Get soil test error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch soil test",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   POST /api/farmers/farms/:farmId/soil-tests
+// @desc    Record a soil test report
+// @access  Private (farm owner, manager)
+router.post(
+  "/",
+  auth,
+  requireFarmRole("manager"),
+  [
+    body("sampledAt")
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid sampling date required"),
+    ...testValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const fields = pickTestFields(req.body);
+      if (fields.field && !req.farm.fields.id(fields.field)) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      const test = await SoilTest.create({
+        ...fields,
+        farm: req.farm._id,
+        createdBy: req.user.userId,
+      });
+
+      logger.info(`Soil test ${test._id} recorded on farm ${req.farm._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Soil test recorded successfully",
+        data: test,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Create soil test error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record soil test",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/farmers/farms/:farmId/soil-tests/:testId
+// @desc    Correct a soil test report
+// @access  Private (farm owner, manager)
+router.put(
+  "/:testId",
+  auth,
+  requireFarmRole("manager"),
+  [
+    testIdParam,
+    body("sampledAt")
+      .optional()
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid sampling date required"),
+    ...testValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const test = await SoilTest.findOne({
+        _id: req.params.testId,
+        farm: req.farm._id,
+      });
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: "Soil test not found",
+        });
+      }
+
+      const fields = pickTestFields(req.body);
+      if (fields.field && !req.farm.fields.id(fields.field)) {
+        return res.status(404).json({
+          success: false,
+          message: "Field not found on this farm",
+        });
+      }
+
+      test.set(fields);
+      await test.save();
+
+      res.json({
+        success: true,
+        message: "Soil test updated successfully",
+        data: test,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Update soil test error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update soil test",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/farmers/farms/:farmId/soil-tests/:testId
+// @desc    Delete a soil test report
+// @access  Private (farm owner, manager)
+router.delete(
+  "/:testId",
+  auth,
+  requireFarmRole("manager"),
+  [testIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const test = await SoilTest.findOneAndDelete({
+        _id: req.params.testId,
+        farm: req.farm._id,
+      });
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: "Soil test not found",
+        });
+      }
+
+      logger.info(`Soil test ${test._id} deleted by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Soil test deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete soil test error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete soil test",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
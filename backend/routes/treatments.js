@@ -1,69 +1,191 @@
 // routes/treatments.js - Treatment Management Routes
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const auth = require("../middleware/auth");
+const { can } = require("../middleware/permissions");
 const { Treatment, DiseaseDetection } = require("../models/Disease");
+const FarmActivity = require("../models/FarmActivity");
+const InventoryItem = require("../models/InventoryItem");
+const Equipment = require("../models/Equipment");
+const Farm = require("../models/Farm");
+const User = require("../models/User");
+const { recordAudit } = require("../utils/audit");
 const logger = require("../utils/logger");
 
+const { checkEquipmentNeeds } = Equipment;
+
 const router = express.Router();
 
+// Partner dashboards may read recommendations with an API key
+const treatmentsReadAuth = auth.allowApiKey("treatments:read");
+
+// Validation shared by catalog create/update
+const treatmentValidators = (optional = false) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field("diseaseName")
+      .trim()
+      .notEmpty()
+      .withMessage("Disease name is required"),
+    field("cropType").trim().notEmpty().withMessage("Crop type is required"),
+    field("severity")
+      .isIn(["Low", "Medium", "High", "Critical"])
+      .withMessage("Invalid severity"),
+    field("treatment.type")
+      .isIn(["Chemical", "Biological", "Cultural", "Integrated"])
+      .withMessage("Invalid treatment type"),
+    field("treatment.method")
+      .trim()
+      .notEmpty()
+      .withMessage("Treatment method is required"),
+    field("treatment.description")
+      .trim()
+      .notEmpty()
+      .withMessage("Treatment description is required"),
+    field("effectiveness.percentage")
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Effectiveness must be between 0 and 100"),
+    body("cost.amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Cost must be a positive number"),
+    body("treatment.applicationRate.amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Application rate must be a positive number"),
+    body("treatment.applicationRate.unit")
+      .optional()
+      .isIn(["g", "kg", "ml", "l"])
+      .withMessage("Invalid application rate unit"),
+    body("treatment.applicationRate.per")
+      .optional()
+      .isIn(["acres", "hectares"])
+      .withMessage("Application rate must be per acres or hectares"),
+  ];
+};
+
+// Fields admins may set on a catalog entry
+const CATALOG_FIELDS = [
+  "diseaseName",
+  "cropType",
+  "severity",
+  "treatment",
+  "effectiveness",
+  "cost",
+  "applicationGuidelines",
+  "recommendedBy",
+  "isActive",
+];
+
+const pickCatalogFields = (source) =>
+  CATALOG_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
 // @route   GET /api/treatments/recommendations
-// @desc    Get treatment recommendations
+// @desc    Get treatment recommendations, checked against the equipment of
+//          the current farm (or ?farmId)
 // @access  Private
-router.get("/recommendations", auth, async (req, res) => {
-  try {
-    const { disease, crop, severity, limit = 5 } = req.query;
-
-    const query = { isActive: true };
-    if (disease) query.diseaseName = { $regex: disease, $options: "i" };
-    if (crop) query.cropType = { $regex: crop, $options: "i" };
-    if (severity) query.severity = severity;
-
-    const treatments = await Treatment.find(query)
-      .sort({ "effectiveness.percentage": -1, successRate: -1 })
-      .limit(parseInt(limit));
-
-    if (treatments.length === 0) {
-      // Return default recommendations
-      const defaultTreatments = [
-        {
-          _id: "default-1",
-          diseaseName: disease || "General Disease",
-          treatment: {
-            type: "Integrated",
-            method: "Combined Approach",
-            description:
-              "Use integrated pest management combining cultural, biological, and chemical methods",
-            duration: "2-3 weeks",
+router.get(
+  "/recommendations",
+  treatmentsReadAuth,
+  [query("farmId").optional().isMongoId().withMessage("Invalid farm ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { disease, crop, severity, limit = 5 } = req.query;
+
+      const query = { isActive: true };
+      if (disease) query.diseaseName = { $regex: disease, $options: "i" };
+      if (crop) query.cropType = { $regex: crop, $options: "i" };
+      if (severity) query.severity = severity;
+
+      const treatments = await Treatment.find(query)
+        .sort({ "effectiveness.percentage": -1, successRate: -1 })
+        .limit(parseInt(limit));
+
+      if (treatments.length === 0) {
+        // Return default recommendations
+        const defaultTreatments = [
+          {
+            _id: "default-1",
+            diseaseName: disease || "General Disease",
+            treatment: {
+              type: "Integrated",
+              method: "Combined Approach",
+              description:
+                "Use integrated pest management combining cultural, biological, and chemical methods",
+              duration: "2-3 weeks",
+            },
+            effectiveness: { percentage: 80 },
+            cost: { amount: 500, currency: "INR", unit: "per acre" },
           },
-          effectiveness: { percentage: 80 },
-          cost: { amount: 500, currency: "INR", unit: "per acre" },
-        },
-      ];
+        ];
+
+        return res.json({
+          success: true,
+          message: "Default treatment recommendations provided",
+          data: defaultTreatments,
+        });
+      }
+
+      // With a farm to check against, each treatment says whether the farm
+      // has the equipment it needs, and the ones it can carry out come first
+      const farm = req.query.farmId
+        ? await Farm.findOne({
+            _id: req.query.farmId,
+            "members.user": req.user.userId,
+          })
+        : await Farm.findCurrentForUser(await User.findById(req.user.userId));
+      if (farm) {
+        const equipment = await Equipment.find({
+          farm: farm._id,
+          status: { $ne: "retired" },
+        });
+        const checked = treatments
+          .map((treatment) => ({
+            ...treatment.toObject(),
+            equipmentCheck: checkEquipmentNeeds(
+              treatment.applicationGuidelines?.equipmentNeeded,
+              equipment
+            ),
+          }))
+          .sort((a, b) => b.equipmentCheck.ready - a.equipmentCheck.ready);
 
-      return res.json({
+        return res.json({
+          success: true,
+          message: "Treatment recommendations fetched successfully",
+          data: checked,
+        });
+      }
+
+      res.json({
         success: true,
-        message: "Default treatment recommendations provided",
-        data: defaultTreatments,
+        message: "Treatment recommendations fetched successfully",
+        data: treatments,
+      });
+    } catch (error) {
+      logger.error("Get treatment recommendations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch treatment recommendations",
       });
     }
-
-    res.json({
-      success: true,
-      message: "Treatment recommendations fetched successfully",
-      data: treatments,
-    });
-  } catch (error) {
-    logger.error("Get treatment recommendations error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch treatment recommendations",
-    });
   }
-});
+);
 
 // @route   POST /api/treatments/apply
-// @desc    Apply treatment to disease detection
+// @desc    Apply treatment to disease detection, reporting how the stock
+//          deduction (stock.status) and journal entry (journaled) went
 // @access  Private
 router.post(
   "/apply",
@@ -71,6 +193,21 @@ router.post(
   [
     body("detectionId").isMongoId().withMessage("Valid detection ID required"),
     body("treatmentId").isMongoId().withMessage("Valid treatment ID required"),
+    body("amount").optional().isFloat({ min: 0 }).toFloat(),
+    body("unit")
+      .optional()
+      .isIn(["g", "kg", "ml", "l"])
+      .withMessage("Unit must be g, kg, ml or l"),
+    body("area")
+      .optional()
+      .isFloat({ gt: 0 })
+      .toFloat()
+      .withMessage("Treated area must be a positive number"),
+    body("inventoryItemId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid inventory item ID required"),
+    body("notes").optional().isLength({ max: 1000 }),
   ],
   async (req, res) => {
     try {
@@ -106,11 +243,71 @@ router.post(
         $inc: { timesToApplied: 1 },
       });
 
+      // Take the product out of the farm's stock and log the spray in its
+      // activity journal; neither should undo the treatment itself, but the
+      // response says how each went. Both need the caller to still be able
+      // to record work on the farm.
+      const farm = detection.farm ? await Farm.findById(detection.farm) : null;
+      const canRecordWork =
+        !!farm && !farm.archivedAt && farm.hasRole(req.user.userId, "worker");
+
+      let stock = { status: farm ? "forbidden" : "no_farm" };
+      let journaled = false;
+      if (canRecordWork) {
+        const { amount, unit, area, inventoryItemId, notes } = req.body;
+        try {
+          const result = await InventoryItem.deductForTreatment(
+            detection,
+            detection.treatmentApplied,
+            { amount, unit, area, itemId: inventoryItemId }
+          );
+          stock = result
+            ? { status: result.shortfall ? "short" : "deducted", ...result }
+            : { status: "not_calculated" };
+        } catch (error) {
+          logger.warn(
+            `Could not deduct stock for detection ${detection._id}: ${error.message}`
+          );
+          stock = { status: "failed" };
+        }
+
+        try {
+          await FarmActivity.recordTreatment(
+            detection,
+            detection.treatmentApplied,
+            req.user.userId,
+            {
+              quantities: stock.deductions?.length
+                ? stock.deductions.map(({ product, amount, unit }) => ({
+                    item: product,
+                    amount,
+                    unit,
+                  }))
+                : stock.needed
+                  ? [stock.needed]
+                  : [],
+              notes,
+            }
+          );
+          journaled = true;
+        } catch (error) {
+          logger.warn(
+            `Could not journal treatment for detection ${detection._id}: ${error.message}`
+          );
+        }
+      }
+
       res.json({
         success: true,
         message:
-          "Treatment applied successfully! Monitor your crops and update the results.",
-        data: detection,
+          stock.status === "short"
+            ? `Treatment applied, but stock was short by ${stock.shortfall.amount} ${stock.shortfall.unit}. Monitor your crops and update the results.`
+            : stock.status === "failed"
+              ? "Treatment applied, but the stock could not be deducted - please update your inventory by hand. Monitor your crops and update the results."
+              : stock.status === "forbidden"
+                ? "Treatment applied. The farm's stock and journal were left alone because you can't record work on that farm."
+                : "Treatment applied successfully! Monitor your crops and update the results.",
+        data: { detection, stock, journaled },
       });
     } catch (error) {
       logger.error("Apply treatment error:", error);
@@ -122,4 +319,163 @@ router.post(
   }
 );
 
+// @route   POST /api/treatments
+// @desc    Add a treatment to the catalog
+// @access  Private (admin)
+router.post(
+  "/",
+  auth,
+  can("create", "treatment"),
+  treatmentValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const treatment = new Treatment({
+        ...pickCatalogFields(req.body),
+        lastUpdated: new Date(),
+      });
+      await treatment.save();
+
+      await recordAudit(req, {
+        action: "admin.treatment.create",
+        target: { type: "treatment", id: treatment._id },
+        metadata: { diseaseName: treatment.diseaseName },
+      });
+
+      logger.info(
+        `Treatment ${treatment._id} added to catalog by ${req.user.userId}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Treatment added to catalog",
+        data: treatment,
+      });
+    } catch (error) {
+      logger.error("Create treatment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create treatment",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/treatments/:id
+// @desc    Update a catalog treatment
+// @access  Private (admin)
+router.put(
+  "/:id",
+  auth,
+  can("update", "treatment"),
+  [
+    param("id").isMongoId().withMessage("Valid treatment ID required"),
+    ...treatmentValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const treatment = await Treatment.findByIdAndUpdate(
+        req.params.id,
+        { ...pickCatalogFields(req.body), lastUpdated: new Date() },
+        { new: true, runValidators: true }
+      );
+
+      if (!treatment) {
+        return res.status(404).json({
+          success: false,
+          message: "Treatment not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "admin.treatment.update",
+        target: { type: "treatment", id: treatment._id },
+        metadata: { fields: Object.keys(pickCatalogFields(req.body)) },
+      });
+
+      logger.info(`Treatment ${treatment._id} updated by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Treatment updated successfully",
+        data: treatment,
+      });
+    } catch (error) {
+      logger.error("Update treatment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update treatment",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/treatments/:id
+// @desc    Retire a catalog treatment (kept for detections that reference it)
+// @access  Private (admin)
+router.delete(
+  "/:id",
+  auth,
+  can("delete", "treatment"),
+  [param("id").isMongoId().withMessage("Valid treatment ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const treatment = await Treatment.findByIdAndUpdate(
+        req.params.id,
+        { isActive: false, lastUpdated: new Date() },
+        { new: true }
+      );
+
+      if (!treatment) {
+        return res.status(404).json({
+          success: false,
+          message: "Treatment not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "admin.treatment.delete",
+        target: { type: "treatment", id: treatment._id },
+      });
+
+      logger.info(`Treatment ${treatment._id} retired by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: "Treatment removed from catalog",
+        data: treatment,
+      });
+    } catch (error) {
+      logger.error("Delete treatment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove treatment",
+      });
+    }
+  }
+);
+
 module.exports = router;
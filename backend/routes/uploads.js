@@ -3,7 +3,9 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const auth = require("../middleware/auth");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
 const upload = require("../middleware/upload");
+const { recordAudit } = require("../utils/audit");
 const logger = require("../utils/logger");
 
 const router = express.Router();
@@ -21,7 +23,7 @@ router.post("/avatar", auth, upload.single("avatar"), async (req, res) => {
     }
 
     const User = require("../models/User");
-    app.use("/uploads", express.static("uploads"));
+    const avatarUrl = `/uploads/images/${req.file.filename}`;
 
     await User.findByIdAndUpdate(req.user.userId, { avatar: avatarUrl });
 
@@ -45,8 +47,8 @@ router.post("/avatar", auth, upload.single("avatar"), async (req, res) => {
 
 // @route   DELETE /api/uploads/:filename
 // @desc    Delete uploaded file
-// @access  Private
-router.delete("/:filename", auth, async (req, res) => {
+// @access  Private (verified email)
+router.delete("/:filename", auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { filename } = req.params;
     const filePath = path.join("uploads/images", filename);
@@ -54,11 +56,23 @@ router.delete("/:filename", auth, async (req, res) => {
     if (fs.existsSync(filePath)) {
       fs.unlinkSync(filePath);
 
+      await recordAudit(req, {
+        action: "upload.delete",
+        target: { type: "file", id: filename },
+      });
+
       res.json({
         success: true,
         message: "File deleted successfully",
       });
     } else {
+      await recordAudit(req, {
+        action: "upload.delete",
+        outcome: "failure",
+        target: { type: "file", id: filename },
+        metadata: { reason: "not_found" },
+      });
+
       res.status(404).json({
         success: false,
         message: "File not found",
@@ -66,6 +80,12 @@ router.delete("/:filename", auth, async (req, res) => {
     }
   } catch (error) {
     logger.error("Delete file error:", error);
+    await recordAudit(req, {
+      action: "upload.delete",
+      outcome: "failure",
+      target: { type: "file", id: req.params.filename },
+      metadata: { reason: error.message },
+    });
     res.status(500).json({
       success: false,
       message: "Failed to delete file",
@@ -1,16 +1,19 @@
 // routes/weather.js - Weather Information Routes
 const express = require("express");
-const axios = require("axios");
 const auth = require("../middleware/auth");
 const User = require("../models/User");
+const Farm = require("../models/Farm");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
+// Field devices may read weather with an API key
+const weatherReadAuth = auth.allowApiKey("weather:read");
+
 // @route   GET /api/weather/current
 // @desc    Get current weather for user location
 // @access  Private
-router.get("/current", auth, async (req, res) => {
+router.get("/current", weatherReadAuth, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -20,7 +23,9 @@ router.get("/current", auth, async (req, res) => {
       });
     }
 
-    const location = user.farmDetails?.location;
+    // Weather is for the farm currently selected
+    const farm = await Farm.findCurrentForUser(user);
+    const location = farm ? farm.location : user.farmDetails?.location;
     if (!location?.city) {
       return res.json({
         success: true,
@@ -81,7 +86,7 @@ router.get("/current", auth, async (req, res) => {
 // @route   GET /api/weather/forecast/:days
 // @desc    Get weather forecast
 // @access  Private
-router.get("/forecast/:days", auth, async (req, res) => {
+router.get("/forecast/:days", weatherReadAuth, async (req, res) => {
   try {
     const { days } = req.params;
     const numDays = Math.min(parseInt(days) || 7, 14); // Max 14 days
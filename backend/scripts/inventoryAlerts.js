@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Farm = require("../models/Farm");
+const User = require("../models/User");
+const InventoryItem = require("../models/InventoryItem");
+const { sendMail } = require("../utils/mailer");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+const describeItem = (item) =>
+  `${item.product}${item.batch ? ` (batch ${item.batch})` : ""}: ${
+    item.quantity
+  } ${item.unit}${
+    item.expiryDate
+      ? `, expires ${item.expiryDate.toISOString().slice(0, 10)}`
+      : ""
+  }`;
+
+// Email each active farm's owners and managers about low-stock, expiring
+// and expired inputs
+const sendInventoryAlerts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/vriddhi"
+    );
+    console.log("Connected to MongoDB for inventory alerts...");
+
+    const farms = await Farm.find({ archivedAt: null });
+    let sent = 0;
+
+    for (const farm of farms) {
+      const { lowStock, expiring, expired } = await InventoryItem.findAlerts(
+        farm._id
+      );
+      if (lowStock.length + expiring.length + expired.length === 0) continue;
+
+      const sections = [
+        ["Running low", lowStock],
+        ["Expiring soon", expiring],
+        ["Expired", expired],
+      ]
+        .filter(([, items]) => items.length > 0)
+        .map(
+          ([heading, items]) =>
+            `${heading}:\n${items.map((item) => `- ${describeItem(item)}`).join("\n")}`
+        );
+
+      const recipients = await User.find({
+        _id: {
+          $in: farm.members
+            .filter((member) => ["owner", "manager"].includes(member.role))
+            .map((member) => member.user),
+        },
+        email: { $exists: true, $ne: null },
+      }).select("name email");
+
+      for (const user of recipients) {
+        await sendMail({
+          to: user.email,
+          subject: `Inventory alerts for ${farm.name}`,
+          text: `Namaste ${user.name},\n\nSome inputs on ${farm.name} need attention.\n\n${sections.join("\n\n")}\n\nReview your stock: ${FRONTEND_URL}/farms/${farm._id}/inventory`,
+        });
+        sent += 1;
+      }
+    }
+
+    console.log(`Sent ${sent} inventory alert email(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error sending inventory alerts:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  sendInventoryAlerts();
+}
+
+module.exports = { sendInventoryAlerts };
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("../models/User");
+const Farm = require("../models/Farm");
+const { DiseaseDetection } = require("../models/Disease");
+
+// Turn each farmer's embedded farmDetails into a standalone farm they own
+const migrateFarms = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/vriddhi"
+    );
+    console.log("Connected to MongoDB for farm migration...");
+
+    const users = await User.find({
+      $or: [
+        { "farmDetails.farmName": { $exists: true } },
+        { "farmDetails.location.city": { $exists: true } },
+      ],
+    });
+    let created = 0;
+
+    for (const user of users) {
+      if (await Farm.exists({ "members.user": user._id })) continue;
+
+      const farm = await Farm.createFromFarmDetails(
+        user._id,
+        user.toObject().farmDetails
+      );
+      await DiseaseDetection.updateMany(
+        { farmer: user._id, farm: null },
+        { $set: { farm: farm._id } }
+      );
+      created += 1;
+    }
+
+    console.log(`Created ${created} farm(s) from ${users.length} profile(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating farms:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateFarms();
+}
+
+module.exports = { migrateFarms };
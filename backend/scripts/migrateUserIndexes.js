@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("../models/User");
+
+// Rebuild the users' email index as sparse. Databases created before phone
+// sign-up have a plain unique email_1 index, which Mongoose won't replace,
+// so a second farmer without an email fails with a duplicate key error.
+const migrateUserIndexes = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/vriddhi"
+    );
+    console.log("Connected to MongoDB for user index migration...");
+
+    // No collection yet means no indexes to replace
+    const indexes = await User.collection.indexes().catch(() => []);
+    const emailIndex = indexes.find((index) => index.name === "email_1");
+    if (emailIndex && !emailIndex.sparse) {
+      await User.collection.dropIndex("email_1");
+      console.log("Dropped the non-sparse email index");
+    }
+
+    const dropped = await User.syncIndexes();
+    console.log(
+      `User indexes in sync${dropped.length ? ` (also dropped: ${dropped.join(", ")})` : ""}`
+    );
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating user indexes:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateUserIndexes();
+}
+
+module.exports = { migrateUserIndexes };
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { purgeDueAccounts } = require("../utils/accountData");
+
+// Erase accounts whose deletion grace period has ended
+const purgeDeletedAccounts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/vriddhi"
+    );
+    console.log("Connected to MongoDB for account purge...");
+
+    const purged = await purgeDueAccounts();
+    console.log(`Erased ${purged} account(s) past their deletion date`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error purging deleted accounts:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  purgeDeletedAccounts();
+}
+
+module.exports = { purgeDeletedAccounts };
@@ -48,7 +48,6 @@ const seedUsers = [
       totalQueries: 15,
       diseasesDetected: 3,
       treatmentsApplied: 2,
-      successfulHarvests: 1,
     },
   },
   {
@@ -93,6 +92,8 @@ const seedTreatments = [
       description:
         "Apply copper-based fungicide spray every 7-10 days during early morning or evening hours",
       dosage: "2-3ml per liter of water",
+      activeIngredient: "Copper oxychloride",
+      applicationRate: { amount: 500, unit: "ml", per: "acres" },
       frequency: "Every 7-10 days",
       duration: "3-4 weeks",
       precautions: [
@@ -142,6 +143,8 @@ const seedTreatments = [
       description:
         "Apply Trichoderma-based bio-fungicide to soil and improve field drainage",
       dosage: "5-10g per plant",
+      activeIngredient: "Trichoderma viride",
+      applicationRate: { amount: 1, unit: "kg", per: "acres" },
       frequency: "Weekly for 3 weeks",
       duration: "2-3 weeks",
       precautions: [
@@ -183,6 +186,8 @@ const seedTreatments = [
       description:
         "Regular neem oil application to prevent and control powdery mildew",
       dosage: "5ml per liter of water",
+      activeIngredient: "Azadirachtin",
+      applicationRate: { amount: 1, unit: "l", per: "acres" },
       frequency: "Twice weekly",
       duration: "2 weeks",
       precautions: [
@@ -1,9 +1,11 @@
 const mongoose = require("mongoose");
 const app = require("./app");
 const logger = require("./utils/logger");
+const { purgeDueAccounts } = require("./utils/accountData");
 require("dotenv").config();
 
 const PORT = process.env.PORT || 5000;
+const ACCOUNT_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
 // Database connection
 mongoose
@@ -14,6 +16,18 @@ mongoose
   .then(() => {
     logger.info("Connected to MongoDB successfully!");
     console.log("🌱 Database connected: MongoDB is ready for farming data!");
+
+    // Erase accounts whose deletion grace period has ended
+    setInterval(() => {
+      purgeDueAccounts()
+        .then((purged) => {
+          if (purged)
+            logger.info(`Scheduled purge erased ${purged} account(s)`);
+        })
+        .catch((error) =>
+          logger.error("Scheduled account purge error:", error)
+        );
+    }, ACCOUNT_PURGE_INTERVAL_MS).unref();
   })
   .catch((error) => {
     logger.error("MongoDB connection error:", error);
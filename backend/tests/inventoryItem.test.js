@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const InventoryItem = require("../models/InventoryItem");
+
+const farm = new mongoose.Types.ObjectId();
+
+const batchOf = (fields) =>
+  InventoryItem.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    farm,
+    product: "Mancozeb 75 WP",
+    category: "fungicide",
+    lowStockThreshold: 0,
+    ...fields,
+  });
+
+// A stand-in for the inventory collection that applies the conditional
+// decrement the way MongoDB would
+const useStore = (batches) => {
+  const quantities = new Map(
+    batches.map((batch) => [String(batch._id), batch.quantity])
+  );
+  jest
+    .spyOn(InventoryItem, "findOneAndUpdate")
+    .mockImplementation(async (filter, update) => {
+      const id = String(filter._id);
+      const quantity = quantities.get(id);
+      if (quantity < filter.quantity.$gte) return null;
+      quantities.set(id, quantity + update.$inc.quantity);
+      const batch = batches.find((candidate) => String(candidate._id) === id);
+      return batchOf({ ...batch.toObject(), quantity: quantities.get(id) });
+    });
+  return quantities;
+};
+
+describe("InventoryItem.deduct", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("takes from batches in order, converting units", async () => {
+    const first = batchOf({ quantity: 0.5, unit: "kg" });
+    const second = batchOf({ quantity: 2000, unit: "g" });
+    const quantities = useStore([first, second]);
+
+    const result = await InventoryItem.deduct([first, second], 800, "g");
+
+    expect(result.shortfall).toBeNull();
+    expect(result.deductions).toEqual([
+      expect.objectContaining({ amount: 0.5, unit: "kg", remaining: 0 }),
+      expect.objectContaining({ amount: 300, unit: "g", remaining: 1700 }),
+    ]);
+    expect(result.deductions[0].isLowStock).toBe(true);
+    expect(quantities.get(String(second._id))).toBe(1700);
+  });
+
+  it("reports the shortfall when stock runs out", async () => {
+    const batch = batchOf({ quantity: 1, unit: "l" });
+    useStore([batch]);
+
+    const result = await InventoryItem.deduct([batch], 1500, "ml");
+
+    expect(result.deductions).toHaveLength(1);
+    expect(result.shortfall).toEqual({ amount: 500, unit: "ml" });
+  });
+
+  it("skips batches kept in a unit that can't be converted", async () => {
+    const batch = batchOf({ quantity: 5, unit: "kg" });
+    useStore([batch]);
+
+    const result = await InventoryItem.deduct([batch], 2, "l");
+
+    expect(InventoryItem.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      deductions: [],
+      shortfall: { amount: 2, unit: "l" },
+    });
+  });
+
+  it("never takes stock below zero under concurrent deductions", async () => {
+    const batch = batchOf({ quantity: 1, unit: "kg" });
+    const quantities = useStore([batch]);
+
+    const results = await Promise.all([
+      InventoryItem.deduct([batch], 0.8, "kg"),
+      InventoryItem.deduct([batch], 0.8, "kg"),
+    ]);
+
+    expect(quantities.get(String(batch._id))).toBeCloseTo(0.2);
+    expect(results.filter((result) => result.shortfall)).toEqual([
+      expect.objectContaining({ shortfall: { amount: 0.8, unit: "kg" } }),
+    ]);
+  });
+});
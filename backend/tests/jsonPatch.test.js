@@ -0,0 +1,198 @@
+const {
+  applyMergePatch,
+  applyJsonPatch,
+  patchedKeys,
+  deepEqual,
+} = require("../utils/jsonPatch");
+
+const farm = () => ({
+  name: "Green Acres",
+  farmSize: { value: 5, unit: "acres" },
+  cropTypes: [{ name: "Rice" }, { name: "Wheat" }],
+  "soil/type": "loam",
+});
+
+const patchErrorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the patch to fail");
+};
+
+describe("applyMergePatch", () => {
+  it("merges objects, removes null members and replaces arrays", () => {
+    const result = applyMergePatch(farm(), {
+      name: "Green Acres East",
+      farmSize: { unit: null },
+      cropTypes: [{ name: "Maize" }],
+    });
+
+    expect(result).toEqual({
+      name: "Green Acres East",
+      farmSize: { value: 5 },
+      cropTypes: [{ name: "Maize" }],
+      "soil/type": "loam",
+    });
+  });
+
+  it("leaves the target untouched", () => {
+    const target = farm();
+    applyMergePatch(target, { farmSize: { value: 8 } });
+
+    expect(target).toEqual(farm());
+  });
+
+  it("rejects members that would reach a prototype with 400", () => {
+    const patches = [
+      JSON.parse('{"__proto__": {"polluted": "x"}}'),
+      JSON.parse('{"location": {"__proto__": {"polluted": "x"}}}'),
+      { location: { constructor: { prototype: { polluted: "x" } } } },
+      { cropTypes: [JSON.parse('{"__proto__": {"polluted": "x"}}')] },
+    ];
+
+    patches.forEach((patch) => {
+      expect(patchErrorOf(() => applyMergePatch(farm(), patch))).toMatchObject({
+        name: "PatchError",
+        statusCode: 400,
+      });
+    });
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe("applyJsonPatch", () => {
+  it("applies add, remove, replace, move, copy and test in order", () => {
+    const result = applyJsonPatch(farm(), [
+      { op: "test", path: "/name", value: "Green Acres" },
+      { op: "replace", path: "/farmSize/value", value: 6 },
+      { op: "add", path: "/cropTypes/-", value: { name: "Maize" } },
+      { op: "add", path: "/cropTypes/0", value: { name: "Cotton" } },
+      { op: "remove", path: "/cropTypes/2" },
+      { op: "copy", from: "/farmSize/unit", path: "/areaUnit" },
+      { op: "move", from: "/soil~1type", path: "/soilType" },
+    ]);
+
+    expect(result).toEqual({
+      name: "Green Acres",
+      farmSize: { value: 6, unit: "acres" },
+      cropTypes: [{ name: "Cotton" }, { name: "Rice" }, { name: "Maize" }],
+      areaUnit: "acres",
+      soilType: "loam",
+    });
+  });
+
+  it("is all-or-nothing", () => {
+    const document = farm();
+
+    const error = patchErrorOf(() =>
+      applyJsonPatch(document, [
+        { op: "replace", path: "/name", value: "Changed" },
+        { op: "remove", path: "/missing" },
+      ])
+    );
+
+    expect(error.statusCode).toBe(422);
+    expect(document).toEqual(farm());
+  });
+
+  it("answers a failed test with 409", () => {
+    const error = patchErrorOf(() =>
+      applyJsonPatch(farm(), [{ op: "test", path: "/name", value: "Other" }])
+    );
+
+    expect(error).toMatchObject({ name: "PatchError", statusCode: 409 });
+  });
+
+  it("rejects malformed patches with 400", () => {
+    const malformed = [
+      { op: "add", path: "/name" },
+      { op: "move", path: "/name" },
+      { op: "swap", path: "/name" },
+      { op: "add", path: "name", value: 1 },
+    ];
+
+    expect(patchErrorOf(() => applyJsonPatch(farm(), {})).statusCode).toBe(400);
+    malformed.forEach((operation) => {
+      expect(
+        patchErrorOf(() => applyJsonPatch(farm(), [operation])).statusCode
+      ).toBe(400);
+    });
+  });
+
+  it("refuses paths that can't be applied with 422", () => {
+    const unapplicable = [
+      { op: "replace", path: "/cropTypes/5", value: {} },
+      { op: "add", path: "/cropTypes/01", value: {} },
+      { op: "add", path: "/missing/child", value: 1 },
+      { op: "move", from: "/farmSize", path: "/farmSize/inner" },
+      { op: "remove", path: "" },
+    ];
+
+    unapplicable.forEach((operation) => {
+      expect(
+        patchErrorOf(() => applyJsonPatch(farm(), [operation])).statusCode
+      ).toBe(422);
+    });
+  });
+
+  it("rejects pointers and values that would reach a prototype with 400", () => {
+    const operations = [
+      { op: "add", path: "/location/__proto__/polluted", value: "x" },
+      { op: "add", path: "/__proto__", value: { polluted: "x" } },
+      { op: "replace", path: "/farmSize/constructor/prototype", value: {} },
+      { op: "copy", from: "/constructor", path: "/name" },
+      {
+        op: "add",
+        path: "/location",
+        value: JSON.parse('{"__proto__": {"polluted": "x"}}'),
+      },
+    ];
+
+    operations.forEach((operation) => {
+      expect(
+        patchErrorOf(() =>
+          applyJsonPatch({ ...farm(), location: {} }, [operation])
+        )
+      ).toMatchObject({ name: "PatchError", statusCode: 400 });
+    });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it("only walks the document's own members", () => {
+    const error = patchErrorOf(() =>
+      applyJsonPatch(farm(), [{ op: "remove", path: "/toString" }])
+    );
+
+    expect(error.statusCode).toBe(422);
+  });
+});
+
+describe("patchedKeys", () => {
+  it("lists the top-level members a patch touches", () => {
+    expect(
+      patchedKeys(
+        [
+          { op: "replace", path: "/farmSize/value", value: 1 },
+          { op: "move", from: "/soil~1type", path: "/name" },
+        ],
+        "json-patch"
+      )
+    ).toEqual(["farmSize", "name", "soil/type"]);
+    expect(patchedKeys({ name: "x", cropTypes: null }, "merge-patch")).toEqual([
+      "name",
+      "cropTypes",
+    ]);
+  });
+});
+
+describe("deepEqual", () => {
+  it("compares nested values regardless of key order", () => {
+    expect(
+      deepEqual({ a: [1, { b: 2 }], c: 3 }, { c: 3, a: [1, { b: 2 }] })
+    ).toBe(true);
+    expect(deepEqual({ a: [1, 2] }, { a: [2, 1] })).toBe(false);
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+  });
+});
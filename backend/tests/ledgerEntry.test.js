@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+
+const farm = new mongoose.Types.ObjectId();
+const otherFarm = new mongoose.Types.ObjectId();
+const kharif = new mongoose.Types.ObjectId();
+const rabi = new mongoose.Types.ObjectId();
+
+const entries = [
+  {
+    farm,
+    kind: "expense",
+    amount: 1200,
+    cropCycle: kharif,
+    date: "2025-06-10",
+  },
+  {
+    farm,
+    kind: "expense",
+    amount: 300.5,
+    cropCycle: kharif,
+    date: "2025-07-02",
+  },
+  { farm, kind: "income", amount: 5000, cropCycle: kharif, date: "2025-10-20" },
+  { farm, kind: "expense", amount: 800, cropCycle: rabi, date: "2025-11-15" },
+  { farm, kind: "expense", amount: 450, cropCycle: null, date: "2025-08-01" },
+  { farm, kind: "income", amount: 2000, cropCycle: null, date: "2025-09-01" },
+  { farm, kind: "expense", amount: 99, currency: "USD", date: "2025-08-01" },
+  { farm: otherFarm, kind: "expense", amount: 7000, date: "2025-08-01" },
+].map((entry) => ({
+  currency: "INR",
+  cropCycle: null,
+  ...entry,
+  date: new Date(entry.date),
+}));
+
+// Evaluate the $match and $group stages summarize builds against the
+// entries above, the way MongoDB would
+const valueOf = (entry, expression) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return entry[expression.slice(1)];
+  }
+  if (expression?.$cond) {
+    const [condition, then, otherwise] = expression.$cond;
+    const [left, right] = condition.$eq.map((part) => valueOf(entry, part));
+    return valueOf(entry, left === right ? then : otherwise);
+  }
+  return expression;
+};
+
+const same = (a, b) => String(a) === String(b);
+
+const matches = (entry, match) =>
+  Object.entries(match).every(([field, condition]) => {
+    const value = entry[field];
+    if (condition === null) return value == null;
+    if (condition.$in) return condition.$in.some((id) => same(id, value));
+    if (condition.$gte || condition.$lte) {
+      return (
+        (!condition.$gte || value >= condition.$gte) &&
+        (!condition.$lte || value <= condition.$lte)
+      );
+    }
+    return same(value, condition);
+  });
+
+const runPipeline = async ([{ $match }, { $group }]) => {
+  const groups = new Map();
+  entries
+    .filter((entry) => matches(entry, $match))
+    .forEach((entry) => {
+      const id = valueOf(entry, $group._id);
+      const group = groups.get(String(id)) || { _id: id };
+      Object.entries($group)
+        .filter(([field]) => field !== "_id")
+        .forEach(([field, { $sum }]) => {
+          group[field] = (group[field] || 0) + valueOf(entry, $sum);
+        });
+      groups.set(String(id), group);
+    });
+  return [...groups.values()];
+};
+
+describe("LedgerEntry.summarize", () => {
+  beforeEach(() => {
+    jest.spyOn(LedgerEntry, "aggregate").mockImplementation(runPipeline);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("totals a farm's expenses and income in one currency", async () => {
+    const [totals] = await LedgerEntry.summarize(farm);
+
+    expect(totals).toEqual({
+      _id: null,
+      expenses: 2750.5,
+      income: 7000,
+      entries: 6,
+    });
+  });
+
+  it("groups totals by crop cycle", async () => {
+    const totals = await LedgerEntry.summarize(farm, {
+      groupBy: "cropCycle",
+      cropCycles: [kharif, rabi],
+    });
+
+    expect(totals).toEqual(
+      expect.arrayContaining([
+        { _id: kharif, expenses: 1500.5, income: 5000, entries: 3 },
+        { _id: rabi, expenses: 800, income: 0, entries: 1 },
+      ])
+    );
+    expect(totals).toHaveLength(2);
+  });
+
+  it("totals only unbooked entries for cropCycles: null", async () => {
+    const [overheads] = await LedgerEntry.summarize(farm, {
+      cropCycles: null,
+    });
+
+    expect(overheads).toMatchObject({ expenses: 450, income: 2000 });
+  });
+
+  it("limits totals to a currency and date range", async () => {
+    const [usd] = await LedgerEntry.summarize(farm, { currency: "USD" });
+    const [summer] = await LedgerEntry.summarize(farm, {
+      from: "2025-06-01",
+      to: "2025-07-31",
+    });
+
+    expect(usd).toMatchObject({ expenses: 99, income: 0 });
+    expect(summer).toMatchObject({ expenses: 1500.5, entries: 2 });
+  });
+});
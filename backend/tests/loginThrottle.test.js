@@ -0,0 +1,175 @@
+const LoginThrottle = require("../models/LoginThrottle");
+
+// A stand-in for the throttle collection that applies the filters and
+// update operators LoginThrottle uses the way MongoDB would
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") {
+      return condition.some((branch) => matches(doc, branch));
+    }
+    const value = doc[field];
+    if (condition === null) return value == null;
+    if (condition?.$lte !== undefined) return value <= condition.$lte;
+    if (condition?.$gt !== undefined) return value > condition.$gt;
+    return value === condition;
+  });
+
+const apply = (doc, update, inserting) => {
+  Object.assign(doc, update.$set);
+  if (inserting) Object.assign(doc, update.$setOnInsert);
+  Object.entries(update.$inc || {}).forEach(([field, by]) => {
+    doc[field] = (doc[field] || 0) + by;
+  });
+  Object.entries(update.$max || {}).forEach(([field, value]) => {
+    if (doc[field] == null || value > doc[field]) doc[field] = value;
+  });
+};
+
+const useStore = () => {
+  const docs = new Map();
+  const find = (filter) =>
+    [...docs.values()].find((doc) => matches(doc, filter));
+
+  jest
+    .spyOn(LoginThrottle, "updateOne")
+    .mockImplementation(async (filter, update) => {
+      const doc = find(filter);
+      if (doc) apply(doc, update, false);
+      return { matchedCount: doc ? 1 : 0 };
+    });
+  jest
+    .spyOn(LoginThrottle, "findOneAndUpdate")
+    .mockImplementation(async (filter, update, options) => {
+      let doc = find(filter);
+      if (!doc && options.upsert) {
+        doc = { key: filter.key, failures: 0 };
+        docs.set(filter.key, doc);
+        apply(doc, update, true);
+      } else if (doc) {
+        apply(doc, update, false);
+      }
+      return doc ? LoginThrottle.hydrate({ ...doc }) : null;
+    });
+  return docs;
+};
+
+const failTimes = async (times, key = "account:a@example.com") => {
+  const results = [];
+  for (let i = 0; i < times; i += 1) {
+    const attempt = await LoginThrottle.registerAttempt(key, "account");
+    results.push(await LoginThrottle.registerFailure(attempt.throttle));
+  }
+  return results;
+};
+
+describe("LoginThrottle", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("counts attempts with an atomic upsert", async () => {
+    useStore();
+
+    const attempt = await LoginThrottle.registerAttempt("ip:1.2.3.4", "ip");
+
+    expect(attempt.allowed).toBe(true);
+    expect(attempt.throttle.failures).toBe(1);
+    const [filter, update, options] =
+      LoginThrottle.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: "ip:1.2.3.4" });
+    expect(update.$inc).toEqual({ failures: 1 });
+    expect(options).toEqual({ upsert: true, new: true });
+  });
+
+  it("delays attempts after the free ones", async () => {
+    const docs = useStore();
+
+    await failTimes(3);
+    expect(docs.get("account:a@example.com").nextAttemptAt).toBeUndefined();
+
+    await failTimes(1);
+    expect(docs.get("account:a@example.com").nextAttemptAt > new Date()).toBe(
+      true
+    );
+  });
+
+  it("locks once, on the failure that reaches the threshold", async () => {
+    const docs = useStore();
+
+    const results = await failTimes(10);
+
+    expect(results.map((result) => result.justLocked)).toEqual([
+      ...Array(9).fill(false),
+      true,
+    ]);
+    expect(docs.get("account:a@example.com").lockedUntil > new Date()).toBe(
+      true
+    );
+    const attempt = await LoginThrottle.registerAttempt(
+      "account:a@example.com",
+      "account"
+    );
+    expect(attempt.allowed).toBe(false);
+  });
+
+  it("lets only lockAfter attempts of a parallel burst through", async () => {
+    useStore();
+
+    const attempts = await Promise.all(
+      Array.from({ length: 25 }, () =>
+        LoginThrottle.registerAttempt("account:a@example.com", "account")
+      )
+    );
+
+    expect(attempts.filter((attempt) => attempt.allowed)).toHaveLength(10);
+    expect(
+      attempts.find((attempt) => !attempt.allowed).retryAfter
+    ).toBeGreaterThan(0);
+
+    const failures = await Promise.all(
+      attempts
+        .filter((attempt) => attempt.allowed)
+        .map((attempt) => LoginThrottle.registerFailure(attempt.throttle))
+    );
+    expect(failures.filter((failure) => failure.justLocked)).toHaveLength(1);
+  });
+
+  it("retries as an update when a parallel first attempt inserted the counter", async () => {
+    useStore();
+    const upsert = LoginThrottle.findOneAndUpdate.getMockImplementation();
+    LoginThrottle.findOneAndUpdate.mockImplementationOnce(
+      async (filter, update) => {
+        await upsert(filter, update, { upsert: true, new: true });
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+    );
+
+    const attempt = await LoginThrottle.registerAttempt("ip:1.2.3.4", "ip");
+
+    expect(attempt.throttle.failures).toBe(2);
+  });
+
+  it("starts a fresh window once the last one has run out", async () => {
+    const docs = useStore();
+    await failTimes(5);
+    docs.get("account:a@example.com").windowStartedAt = new Date(
+      Date.now() - 2 * 60 * 60 * 1000
+    );
+
+    const attempt = await LoginThrottle.registerAttempt(
+      "account:a@example.com",
+      "account"
+    );
+
+    expect(attempt.throttle.failures).toBe(1);
+  });
+
+  it("gives back an attempt that succeeded", async () => {
+    const docs = useStore();
+    await LoginThrottle.registerAttempt("ip:1.2.3.4", "ip");
+
+    await LoginThrottle.forgive("ip:1.2.3.4");
+
+    expect(docs.get("ip:1.2.3.4").failures).toBe(0);
+  });
+});
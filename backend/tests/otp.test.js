@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const Otp = require("../models/Otp");
+const { hashToken } = require("../utils/tokens");
+
+const { OTP_MAX_ATTEMPTS } = Otp;
+
+const PHONE = "+919876543210";
+
+// A stand-in for the otps collection that applies filters and updates the
+// way MongoDB would, one operation at a time
+const fakeStore = (doc) => {
+  const matches = (filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === "_id") return condition.equals(doc._id);
+      if (condition && condition.$lt !== undefined) {
+        return doc[key] < condition.$lt;
+      }
+      if (condition && condition.$gt !== undefined) {
+        return doc[key] > condition.$gt;
+      }
+      return doc[key] === condition;
+    });
+
+  // Queries are chainable and thenable, like mongoose's
+  const query = (run) => {
+    const promise = Promise.resolve().then(run);
+    return { select: () => promise, then: (...args) => promise.then(...args) };
+  };
+
+  jest.spyOn(Otp, "findOneAndUpdate").mockImplementation((filter, update) =>
+    query(() => {
+      if (!matches(filter)) return null;
+      Object.entries(update.$inc || {}).forEach(([key, by]) => {
+        doc[key] += by;
+      });
+      Object.assign(doc, update.$set);
+      return { ...doc };
+    })
+  );
+  jest
+    .spyOn(Otp, "findById")
+    .mockImplementation(() => query(() => ({ ...doc })));
+  return doc;
+};
+
+const issueCode = (code) => {
+  const stored = fakeStore({
+    _id: new mongoose.Types.ObjectId(),
+    phone: PHONE,
+    codeHash: hashToken(`${PHONE}:${code}`),
+    expiresAt: new Date(Date.now() + 60000),
+    attempts: 0,
+    consumedAt: null,
+  });
+  return { stored, otp: Otp.hydrate({ ...stored }) };
+};
+
+describe("Otp.verify", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("accepts the right code until it is consumed", async () => {
+    const { otp, stored } = issueCode("123456");
+
+    await expect(otp.verify("123456")).resolves.toEqual({ valid: true });
+    expect(stored.consumedAt).toBeNull();
+    await expect(otp.verify("123456")).resolves.toEqual({ valid: true });
+
+    await expect(otp.consume()).resolves.toBe(true);
+    expect(stored.consumedAt).toBeInstanceOf(Date);
+    await expect(otp.verify("123456")).resolves.toEqual({
+      valid: false,
+      reason: "expired",
+    });
+  });
+
+  it("lets only one of two parallel requests consume a code", async () => {
+    const { otp } = issueCode("123456");
+    const other = Otp.hydrate(otp.toObject());
+
+    const results = await Promise.all([otp.consume(), other.consume()]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  it("counts each wrong guess", async () => {
+    const { otp, stored } = issueCode("123456");
+
+    await expect(otp.verify("000000")).resolves.toEqual({
+      valid: false,
+      reason: "mismatch",
+    });
+    expect(stored.attempts).toBe(1);
+    expect(otp.attemptsRemaining).toBe(OTP_MAX_ATTEMPTS - 1);
+  });
+
+  it("holds the attempt limit against parallel guesses", async () => {
+    const { otp, stored } = issueCode("123456");
+    const guesses = Array.from({ length: 20 }, (_, index) =>
+      String(index).padStart(6, "0")
+    );
+
+    const results = await Promise.all(
+      guesses.map((guess) => otp.verify(guess))
+    );
+
+    expect(stored.attempts).toBe(OTP_MAX_ATTEMPTS);
+    expect(
+      results.filter((result) => result.reason === "too_many_attempts")
+    ).toHaveLength(20 - OTP_MAX_ATTEMPTS + 1);
+    await expect(otp.verify("123456")).resolves.toEqual({
+      valid: false,
+      reason: "too_many_attempts",
+    });
+  });
+
+  it("rejects an expired code without counting it", async () => {
+    const { otp, stored } = issueCode("123456");
+    stored.expiresAt = new Date(Date.now() - 1000);
+
+    await expect(otp.verify("123456")).resolves.toEqual({
+      valid: false,
+      reason: "expired",
+    });
+    expect(stored.attempts).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+
+const run = (user) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  requireVerifiedEmail({ user }, res, next);
+  return { res, next };
+};
+
+describe("requireVerifiedEmail", () => {
+  it("lets a verified email through", () => {
+    const { next } = run({ hasEmail: true, isEmailVerified: true });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("stops an unverified email even with a verified phone", () => {
+    const { res, next } = run({
+      hasEmail: true,
+      isEmailVerified: false,
+      isPhoneVerified: true,
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("accepts a verified phone on an account without email", () => {
+    const { next } = run({ hasEmail: false, isPhoneVerified: true });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("stops a phone-only account whose phone is unverified", () => {
+    const { res } = run({ hasEmail: false, isPhoneVerified: false });
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
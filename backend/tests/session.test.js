@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { hashToken } = require("../utils/tokens");
+
+// A stand-in for the sessions collection that applies the rotation filter
+// the way MongoDB would
+const storeWith = (session) => {
+  const stored = {
+    refreshTokenHash: session.refreshTokenHash,
+    revokedAt: null,
+  };
+  jest
+    .spyOn(Session, "findOneAndUpdate")
+    .mockImplementation(async (filter, update) => {
+      if (
+        !filter._id.equals(session._id) ||
+        filter.refreshTokenHash !== stored.refreshTokenHash ||
+        filter.revokedAt !== stored.revokedAt
+      ) {
+        return null;
+      }
+      Object.assign(stored, update.$set);
+      return { ...stored };
+    });
+  return stored;
+};
+
+const loadSession = (fields) =>
+  Session.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60000),
+    revokedAt: null,
+    previousTokenHashes: [],
+    ...fields,
+  });
+
+describe("Session.rotate", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("swaps the token only while the session still holds the old one", async () => {
+    const session = loadSession({ refreshTokenHash: hashToken("old") });
+    const stored = storeWith(session);
+
+    const refreshToken = await session.rotate();
+
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(stored.refreshTokenHash).toBe(hashToken(refreshToken));
+    expect(session.refreshTokenHash).toBe(hashToken(refreshToken));
+    expect(session.previousTokenHashes).toEqual([hashToken("old")]);
+    expect(session.isModified("refreshTokenHash")).toBe(false);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      refreshTokenHash: hashToken("old"),
+      revokedAt: null,
+    });
+    expect(update.$push.previousTokenHashes).toEqual({
+      $each: [hashToken("old")],
+      $slice: -20,
+    });
+  });
+
+  it("lets only one of two concurrent refreshes with one token win", async () => {
+    const first = loadSession({ refreshTokenHash: hashToken("shared") });
+    const second = Session.hydrate(first.toObject());
+    storeWith(first);
+
+    const results = await Promise.all([first.rotate(), second.rotate()]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(results).toContain(null);
+  });
+
+  it("refuses to rotate a revoked session", async () => {
+    const session = loadSession({ refreshTokenHash: hashToken("old") });
+    const stored = storeWith(session);
+    stored.revokedAt = new Date();
+
+    await expect(session.rotate()).resolves.toBeNull();
+  });
+});
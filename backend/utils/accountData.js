@@ -0,0 +1,260 @@
+// utils/accountData.js - Personal Data Export & Account Erasure
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const Otp = require("../models/Otp");
+const LoginThrottle = require("../models/LoginThrottle");
+const SensorReading = require("../models/SensorReading");
+const Farm = require("../models/Farm");
+const { DiseaseDetection, ChatLog } = require("../models/Disease");
+const CropCycle = require("../models/CropCycle");
+const FarmActivity = require("../models/FarmActivity");
+const InventoryItem = require("../models/InventoryItem");
+const LedgerEntry = require("../models/LedgerEntry");
+const HarvestRecord = require("../models/HarvestRecord");
+const SoilTest = require("../models/SoilTest");
+const Equipment = require("../models/Equipment");
+const EquipmentLog = require("../models/EquipmentLog");
+const LabourWorker = require("../models/LabourWorker");
+const LabourAttendance = require("../models/LabourAttendance");
+const LabourPayment = require("../models/LabourPayment");
+const FarmInvitation = require("../models/FarmInvitation");
+const logger = require("./logger");
+
+const UPLOAD_DIR = "uploads/images";
+
+// Farm records a user can have entered, with the fields that point at them
+const FARM_RECORDS = [
+  ["cropCycles", CropCycle, ["createdBy"]],
+  ["farmActivities", FarmActivity, ["createdBy", "operator"]],
+  ["inventoryItems", InventoryItem, ["createdBy"]],
+  ["ledgerEntries", LedgerEntry, ["createdBy"]],
+  ["harvestRecords", HarvestRecord, ["createdBy"]],
+  ["soilTests", SoilTest, ["createdBy"]],
+  ["equipment", Equipment, ["createdBy"]],
+  ["equipmentLogs", EquipmentLog, ["createdBy", "operator"]],
+  ["labourWorkers", LabourWorker, ["createdBy"]],
+  ["labourAttendance", LabourAttendance, ["createdBy"]],
+  ["labourPayments", LabourPayment, ["createdBy"]],
+];
+
+const userFilter = (fields, userId) => ({
+  $or: fields.map((field) => ({ [field]: userId })),
+});
+
+// Invitations addressed to the user's email or phone number
+const addressedTo = (user) => [
+  ...(user.email ? [{ email: user.email }] : []),
+  ...(user.phone ? [{ phone: user.phone }] : []),
+];
+
+// Resolve a stored upload path, refusing anything outside the upload folder
+const resolveUpload = (filePath) => {
+  if (!filePath) return null;
+  const resolved = path.resolve(filePath);
+  if (!resolved.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) return null;
+  return fs.existsSync(resolved) ? resolved : null;
+};
+
+// Uploaded files that belong to a user
+const getUserFiles = (user, detections, activities = []) => {
+  const files = detections
+    .map((detection) => detection.originalImage?.path)
+    .concat(
+      detections.map((detection) => detection.processedImage?.path),
+      activities.flatMap((activity) =>
+        activity.photos.map((photo) => photo.path)
+      ),
+      user.avatar ? path.join(UPLOAD_DIR, path.basename(user.avatar)) : null
+    )
+    .map(resolveUpload)
+    .filter(Boolean);
+
+  return [...new Set(files)];
+};
+
+// Gather every record tied to a user
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [detections, chatLogs, sessions, apiKeys, sensorReadings, farms] =
+    await Promise.all([
+      DiseaseDetection.find({ farmer: userId }).populate("treatmentApplied"),
+      ChatLog.find({ farmer: userId }),
+      Session.find({ user: userId }),
+      ApiKey.find({ user: userId }),
+      SensorReading.find({ farmer: userId }),
+      Farm.findForUser(userId),
+    ]);
+
+  const [farmRecords, farmInvitations] = await Promise.all([
+    Promise.all(
+      FARM_RECORDS.map(([, Model, fields]) =>
+        Model.find(userFilter(fields, userId))
+      )
+    ),
+    FarmInvitation.find({
+      $or: [
+        { invitedBy: userId },
+        { acceptedBy: userId },
+        ...addressedTo(user),
+      ],
+    }),
+  ]);
+  const farmRecordsByName = Object.fromEntries(
+    FARM_RECORDS.map(([name], index) => [name, farmRecords[index]])
+  );
+
+  return {
+    user,
+    records: {
+      profile: user.getPublicProfile(),
+      detections,
+      chatLogs,
+      sessions: sessions.map((session) => session.getPublicSession()),
+      apiKeys: apiKeys.map((key) => key.getPublicKey()),
+      sensorReadings,
+      farms: farms.map((farm) => farm.getPublicFarm(userId)),
+      ...farmRecordsByName,
+      farmInvitations,
+    },
+    files: getUserFiles(user, detections, farmRecordsByName.farmActivities),
+  };
+};
+
+// Stream a zip archive of the user's data to a writable (e.g. res)
+const writeExportArchive = (data, output) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  archive.on("warning", (warning) =>
+    logger.warn("Data export archive warning:", warning)
+  );
+  archive.pipe(output);
+
+  archive.append(
+    JSON.stringify(
+      {
+        exportedAt: new Date(),
+        userId: data.user._id,
+        contents: [...Object.keys(data.records), "files"],
+      },
+      null,
+      2
+    ),
+    { name: "README.json" }
+  );
+
+  Object.entries(data.records).forEach(([name, records]) => {
+    archive.append(JSON.stringify(records, null, 2), {
+      name: `${name}.json`,
+    });
+  });
+
+  data.files.forEach((file) => {
+    archive.file(file, { name: `files/${path.basename(file)}` });
+  });
+
+  return archive.finalize();
+};
+
+const removeFile = async (file) => {
+  try {
+    await fs.promises.unlink(file);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+// Erase an account: personal records and files are deleted, detections are
+// anonymized so regional disease trends stay accurate. Farms the user was
+// the last member of go with everything recorded on them (see Farm's
+// deleteOne hook); shared farms keep their records, unlinked from the user.
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  const detections = await DiseaseDetection.find({ farmer: userId });
+  const files = getUserFiles(user, detections);
+  const farm = await Farm.findCurrentForUser(user);
+  const location = farm ? farm.location : user.farmDetails?.location;
+  const region = {
+    city: location?.city,
+    state: location?.state,
+  };
+
+  await DiseaseDetection.updateMany(
+    { farmer: userId },
+    {
+      $set: { anonymized: true, region },
+      $unset: {
+        farmer: "",
+        originalImage: "",
+        processedImage: "",
+        notes: "",
+        "location.latitude": "",
+        "location.longitude": "",
+        "location.address": "",
+      },
+    }
+  );
+
+  await Promise.all([
+    ChatLog.deleteMany({ farmer: userId }),
+    Session.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId }),
+    SensorReading.deleteMany({ farmer: userId }),
+    user.phone ? Otp.deleteMany({ phone: user.phone }) : null,
+    user.email
+      ? LoginThrottle.reset(LoginThrottle.accountKey(user.email))
+      : null,
+    addressedTo(user).length
+      ? FarmInvitation.deleteMany({ $or: addressedTo(user) })
+      : null,
+  ]);
+
+  // Shared farms stay with their other members
+  const released = await Farm.releaseMember(userId);
+
+  await Promise.all(
+    FARM_RECORDS.flatMap(([, Model, fields]) =>
+      fields.map((field) =>
+        Model.updateMany({ [field]: userId }, { $unset: { [field]: "" } })
+      )
+    )
+  );
+
+  await Promise.all(files.map(removeFile));
+  await User.deleteOne({ _id: userId });
+
+  logger.info(
+    `Account ${userId} erased (${detections.length} detection(s) anonymized, ${released.deleted} farm(s) deleted, ${files.length} file(s) removed)`
+  );
+  return true;
+};
+
+// Erase every account whose deletion grace period has ended
+const purgeDueAccounts = async () => {
+  const users = await User.findDueForDeletion().select("_id");
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      if (await purgeAccount(user._id)) purged += 1;
+    } catch (error) {
+      logger.error(`Failed to erase account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  collectUserData,
+  writeExportArchive,
+  purgeAccount,
+  purgeDueAccounts,
+};
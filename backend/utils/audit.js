@@ -0,0 +1,31 @@
+// utils/audit.js - Audit Trail Helper
+const AuditLog = require("../models/AuditLog");
+const logger = require("./logger");
+
+// Record an audit event for the current request. Never throws - a failed
+// audit write is logged rather than failing the action itself.
+const recordAudit = async (
+  req,
+  { action, target = {}, outcome = "success", metadata = {}, actor }
+) => {
+  try {
+    return await AuditLog.create({
+      actor: actor !== undefined ? actor : req.user?.userId || null,
+      actorRole: req.user?.role,
+      action,
+      target: {
+        type: target.type,
+        id: target.id ? String(target.id) : undefined,
+      },
+      outcome,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+      metadata,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,509 @@
+// utils/cropCalendar.js - Crop Growth Stages & Task Calendar
+const { convertArea } = require("./geo");
+const { buildFertilizerPlan } = require("./fertilizer");
+
+// Growth stages for each crop, starting so many days after sowing (or
+// transplanting) in a season of the template's duration. A stage's water
+// is the usual irrigation interval in days (null when the crop is not
+// normally watered then); critical stages must get water at their start,
+// even on rain-fed farms. Pests are what scouting should look for.
+const STAGE_TEMPLATES = {
+  wheat: {
+    duration: 120,
+    stages: [
+      { name: "Germination", from: 0, water: null, pests: ["termites"] },
+      {
+        name: "Crown root initiation",
+        from: 20,
+        water: null,
+        critical: true,
+        pests: ["termites", "weeds"],
+      },
+      {
+        name: "Tillering",
+        from: 30,
+        water: null,
+        critical: true,
+        pests: ["Phalaris minor", "aphids"],
+      },
+      {
+        name: "Jointing",
+        from: 45,
+        water: null,
+        critical: true,
+        pests: ["yellow rust", "aphids"],
+      },
+      {
+        name: "Flowering",
+        from: 70,
+        water: null,
+        critical: true,
+        pests: ["yellow rust", "brown rust"],
+      },
+      {
+        name: "Grain filling",
+        from: 85,
+        water: null,
+        critical: true,
+        pests: ["karnal bunt", "loose smut"],
+      },
+      { name: "Maturity", from: 110, water: null, pests: [] },
+    ],
+  },
+  rice: {
+    duration: 120,
+    stages: [
+      { name: "Establishment", from: 0, water: 3, pests: ["snails"] },
+      {
+        name: "Tillering",
+        from: 15,
+        water: 4,
+        pests: ["stem borer", "leaf folder"],
+      },
+      {
+        name: "Panicle initiation",
+        from: 45,
+        water: 4,
+        critical: true,
+        pests: ["brown planthopper", "sheath blight"],
+      },
+      {
+        name: "Flowering",
+        from: 70,
+        water: 3,
+        critical: true,
+        pests: ["blast", "gundhi bug"],
+      },
+      { name: "Grain filling", from: 85, water: 5, pests: ["gundhi bug"] },
+      { name: "Maturity", from: 105, water: null, pests: [] },
+    ],
+  },
+  maize: {
+    duration: 100,
+    stages: [
+      { name: "Emergence", from: 0, water: 7, pests: ["cutworm"] },
+      {
+        name: "Knee-high",
+        from: 20,
+        water: 8,
+        pests: ["fall armyworm", "stem borer"],
+      },
+      {
+        name: "Tasselling",
+        from: 50,
+        water: 6,
+        critical: true,
+        pests: ["fall armyworm"],
+      },
+      {
+        name: "Silking",
+        from: 58,
+        water: 6,
+        critical: true,
+        pests: ["fall armyworm", "turcicum leaf blight"],
+      },
+      { name: "Grain filling", from: 70, water: 8, pests: ["cob borer"] },
+      { name: "Maturity", from: 90, water: null, pests: [] },
+    ],
+  },
+  cotton: {
+    duration: 165,
+    stages: [
+      { name: "Emergence", from: 0, water: 10, pests: ["thrips", "jassids"] },
+      {
+        name: "Vegetative",
+        from: 20,
+        water: 12,
+        pests: ["jassids", "whitefly"],
+      },
+      {
+        name: "Square formation",
+        from: 45,
+        water: 10,
+        critical: true,
+        pests: ["whitefly", "pink bollworm"],
+      },
+      {
+        name: "Flowering",
+        from: 70,
+        water: 10,
+        critical: true,
+        pests: ["pink bollworm", "mealybug"],
+      },
+      {
+        name: "Boll development",
+        from: 100,
+        water: 12,
+        pests: ["pink bollworm", "American bollworm"],
+      },
+      { name: "Boll opening", from: 140, water: null, pests: [] },
+    ],
+  },
+  tomato: {
+    duration: 120,
+    stages: [
+      { name: "Establishment", from: 0, water: 3, pests: ["cutworm"] },
+      {
+        name: "Vegetative",
+        from: 15,
+        water: 4,
+        pests: ["whitefly", "leaf curl virus"],
+      },
+      {
+        name: "Flowering",
+        from: 35,
+        water: 4,
+        critical: true,
+        pests: ["early blight", "fruit borer"],
+      },
+      {
+        name: "Fruit development",
+        from: 50,
+        water: 4,
+        critical: true,
+        pests: ["fruit borer", "late blight"],
+      },
+      { name: "Harvesting", from: 75, water: 5, pests: ["fruit borer"] },
+    ],
+  },
+  potato: {
+    duration: 100,
+    stages: [
+      { name: "Sprouting", from: 0, water: 10, pests: ["cutworm"] },
+      { name: "Vegetative", from: 20, water: 8, pests: ["aphids"] },
+      {
+        name: "Tuber initiation",
+        from: 35,
+        water: 7,
+        critical: true,
+        pests: ["late blight"],
+      },
+      {
+        name: "Tuber bulking",
+        from: 50,
+        water: 7,
+        pests: ["late blight", "aphids"],
+      },
+      { name: "Maturity", from: 85, water: null, pests: [] },
+    ],
+  },
+  soybean: {
+    duration: 100,
+    stages: [
+      { name: "Emergence", from: 0, water: null, pests: ["stem fly"] },
+      { name: "Vegetative", from: 15, water: null, pests: ["girdle beetle"] },
+      {
+        name: "Flowering",
+        from: 40,
+        water: null,
+        critical: true,
+        pests: ["semilooper", "girdle beetle"],
+      },
+      {
+        name: "Pod development",
+        from: 55,
+        water: null,
+        critical: true,
+        pests: ["pod borer", "yellow mosaic"],
+      },
+      { name: "Seed filling", from: 70, water: null, pests: ["pod borer"] },
+      { name: "Maturity", from: 90, water: null, pests: [] },
+    ],
+  },
+};
+
+// Used for crops without a template; only meaningful with a harvest date,
+// which it is stretched to fit
+const GENERIC_TEMPLATE = {
+  duration: 100,
+  stages: [
+    { name: "Establishment", from: 0, water: 7, pests: ["seedling pests"] },
+    { name: "Vegetative", from: 15, water: 7, pests: ["leaf-feeding pests"] },
+    {
+      name: "Flowering",
+      from: 50,
+      water: 7,
+      critical: true,
+      pests: ["flower and fruit pests", "leaf diseases"],
+    },
+    { name: "Fruit or grain development", from: 65, water: 7, pests: [] },
+    { name: "Maturity", from: 85, water: null, pests: [] },
+  ],
+};
+
+const TASK_TYPES = ["scouting", "fertilizer", "irrigation", "harvest"];
+
+// Crops are scouted once a week until harvest
+const SCOUTING_INTERVAL_DAYS = 7;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const SUPPORTED_CROPS = Object.keys(STAGE_TEMPLATES);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+  );
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) =>
+  Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const dateKey = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+const findTemplate = (crop) =>
+  STAGE_TEMPLATES[String(crop).trim().toLowerCase()] || null;
+
+// Lay the crop's stages out on the calendar. A known harvest date stretches
+// or shrinks the template to the variety's actual duration.
+const buildStages = (template, plantingDate, harvestDate) => {
+  const scale = daysBetween(plantingDate, harvestDate) / template.duration;
+  const starts = template.stages.map((stage) =>
+    addDays(plantingDate, Math.round(stage.from * scale))
+  );
+  return template.stages.map((stage, index) => ({
+    name: stage.name,
+    startDate: starts[index],
+    endDate: index < starts.length - 1 ? starts[index + 1] : harvestDate,
+    water: stage.water,
+    critical: Boolean(stage.critical),
+    pests: stage.pests,
+  }));
+};
+
+const stageOn = (stages, date) =>
+  stages.find((stage) => date >= stage.startDate && date < stage.endDate) ||
+  null;
+
+const scoutingTasks = (stages, plantingDate, harvestDate) => {
+  const tasks = [];
+  for (
+    let date = addDays(plantingDate, SCOUTING_INTERVAL_DAYS);
+    date < harvestDate;
+    date = addDays(date, SCOUTING_INTERVAL_DAYS)
+  ) {
+    const stage = stageOn(stages, date);
+    tasks.push({
+      type: "scouting",
+      title: "Scout the crop",
+      description: stage?.pests.length
+        ? `Walk the field and check for ${stage.pests.join(", ")}.`
+        : "Walk the field and check for pests, disease and crop stress.",
+      stage: stage?.name || null,
+      dueDate: date,
+    });
+  }
+  return tasks;
+};
+
+// Critical stages get one irrigation at their start; otherwise the stage's
+// interval is kept, except on rain-fed farms where only critical stages
+// call for a protective irrigation
+const irrigationTasks = (stages, irrigationType) => {
+  const rainFed = irrigationType === "Rain-fed";
+  const method =
+    irrigationType && !["Rain-fed", "Other"].includes(irrigationType)
+      ? ` by ${irrigationType.toLowerCase()} irrigation`
+      : "";
+  const tasks = [];
+
+  stages.forEach((stage) => {
+    if (stage.critical) {
+      tasks.push({
+        type: "irrigation",
+        title: rainFed ? "Protective irrigation" : "Critical irrigation",
+        description: rainFed
+          ? `${stage.name} is a critical stage. If there has been no good rain, give a protective irrigation where you can.`
+          : `${stage.name} is a critical stage; do not let the crop go short of water. Irrigate${method} now.`,
+        stage: stage.name,
+        dueDate: stage.startDate,
+      });
+    }
+    if (!stage.water || rainFed) return;
+    for (
+      let date = stage.critical
+        ? addDays(stage.startDate, stage.water)
+        : stage.startDate;
+      date < stage.endDate;
+      date = addDays(date, stage.water)
+    ) {
+      tasks.push({
+        type: "irrigation",
+        title: "Irrigate",
+        description: `Irrigate${method} if the soil is dry; the crop needs water about every ${stage.water} days at ${stage.name.toLowerCase()}.`,
+        stage: stage.name,
+        dueDate: date,
+      });
+    }
+  });
+  return tasks;
+};
+
+const fertilizerTasks = (crop, stages, plantingDate, options) => {
+  const plan = buildFertilizerPlan({
+    crop,
+    ratings: options.soilTest?.ratings || null,
+    area: options.area || 1,
+    sowingDate: plantingDate,
+  });
+  if (!plan) return [];
+
+  return plan.applications
+    .filter((application) => application.products.length)
+    .map((application, index) => {
+      const dueDate = startOfDay(application.date);
+      const products = application.products
+        .map(({ product, total }) => `${total} kg ${product}`)
+        .join(", ");
+      const amendments =
+        index === 0 && plan.amendments.length
+          ? ` Also apply ${plan.amendments
+              .map(({ product, total }) => `${total} kg ${product}`)
+              .join(", ")}.`
+          : "";
+      return {
+        type: "fertilizer",
+        title: `Fertilizer: ${application.stage}`,
+        description: `Apply ${products}${
+          options.area ? "" : " per hectare"
+        }.${amendments}`,
+        stage: stageOn(stages, dueDate)?.name || null,
+        dueDate,
+      };
+    });
+};
+
+// Build a crop's calendar: its stages, the stage it is in on `today`, and
+// its scouting, fertilizer, irrigation and harvest tasks. Returns null when
+// the crop has no planting date, or no template and no harvest date to
+// stretch the generic one over.
+//   crop           - a farm's cropTypes entry (name, plantingDate,
+//                    expectedHarvestDate, area, _id)
+//   areaUnit       - unit the crop's area is in
+//   irrigationType - the farm's irrigation system
+//   soilTest       - latest SoilTest for the crop's field, for fertilizer
+//                    doses
+//   from, to       - only return tasks due in this range
+//   types          - only return these task types
+const buildCropCalendar = (
+  crop,
+  {
+    areaUnit = "acres",
+    irrigationType = null,
+    soilTest = null,
+    today = new Date(),
+    from = null,
+    to = null,
+    types = TASK_TYPES,
+  } = {}
+) => {
+  if (!crop?.name || !crop.plantingDate) return null;
+
+  const knownTemplate = findTemplate(crop.name);
+  if (!knownTemplate && !crop.expectedHarvestDate) return null;
+  const template = knownTemplate || GENERIC_TEMPLATE;
+
+  const plantingDate = startOfDay(crop.plantingDate);
+  const harvestDateKnown =
+    Boolean(crop.expectedHarvestDate) &&
+    startOfDay(crop.expectedHarvestDate) > plantingDate;
+  const harvestDate = harvestDateKnown
+    ? startOfDay(crop.expectedHarvestDate)
+    : addDays(plantingDate, template.duration);
+  const stages = buildStages(template, plantingDate, harvestDate);
+  const day = startOfDay(today);
+  const area = crop.area ? convertArea(crop.area, areaUnit, "hectares") : null;
+
+  const cropKey = String(crop._id || crop.name.toLowerCase());
+  const tasks = [
+    ...scoutingTasks(stages, plantingDate, harvestDate),
+    ...fertilizerTasks(crop.name, stages, plantingDate, { area, soilTest }),
+    ...irrigationTasks(stages, irrigationType),
+    {
+      type: "harvest",
+      title: "Harvest",
+      description: `Expected harvest of ${crop.name}. Line up labour, machinery and buyers beforehand.`,
+      stage: stages[stages.length - 1].name,
+      dueDate: harvestDate,
+    },
+  ]
+    .filter(
+      (task) =>
+        types.includes(task.type) &&
+        (!from || task.dueDate >= startOfDay(from)) &&
+        (!to || task.dueDate <= new Date(to))
+    )
+    .map((task) => ({
+      id: `${cropKey}-${task.type}-${dateKey(task.dueDate)}`,
+      ...task,
+    }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  const stage = stageOn(stages, day);
+  const phase =
+    day < plantingDate ? "not_sown" : day < harvestDate ? "growing" : "ready";
+
+  return {
+    cropId: crop._id || null,
+    crop: crop.name,
+    variety: crop.variety || null,
+    template: knownTemplate ? crop.name.trim().toLowerCase() : "generic",
+    plantingDate,
+    expectedHarvestDate: harvestDate,
+    harvestDateEstimated: !harvestDateKnown,
+    phase,
+    daysAfterPlanting: Math.max(daysBetween(plantingDate, day), 0),
+    daysToHarvest: Math.max(daysBetween(day, harvestDate), 0),
+    currentStage: stage
+      ? {
+          name: stage.name,
+          startDate: stage.startDate,
+          endDate: stage.endDate,
+          critical: stage.critical,
+        }
+      : null,
+    stages: stages.map(({ name, startDate, endDate, critical }) => ({
+      name,
+      startDate,
+      endDate,
+      critical,
+    })),
+    tasks,
+  };
+};
+
+// Calendar events for a set of crop calendars: one all-day event per task
+// and one spanning each growth stage
+const toCalendarEvents = (calendars) =>
+  calendars.flatMap((calendar) => {
+    const cropKey = String(calendar.cropId || calendar.crop.toLowerCase());
+    return [
+      ...calendar.stages.map((stage, index) => ({
+        uid: `${cropKey}-stage-${index}`,
+        start: stage.startDate,
+        end: stage.endDate,
+        summary: `${calendar.crop}: ${stage.name}`,
+        description: `${calendar.crop} growth stage${
+          stage.critical ? "; water stress now costs yield" : ""
+        }.`,
+        categories: ["Growth stage"],
+      })),
+      ...calendar.tasks.map((task) => ({
+        uid: task.id,
+        start: task.dueDate,
+        summary: `${calendar.crop}: ${task.title}`,
+        description: task.description,
+        categories: [task.type],
+      })),
+    ];
+  });
+
+module.exports = {
+  SUPPORTED_CROPS,
+  TASK_TYPES,
+  buildCropCalendar,
+  toCalendarEvents,
+};
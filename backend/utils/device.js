@@ -0,0 +1,37 @@
+// utils/device.js - Lightweight User-Agent Parsing
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /(?:OPR|Opera)\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["UC Browser", /UCBrowser\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+// Describe the device behind a User-Agent header for session listings
+const describeDevice = (userAgent = "") => {
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let type = "desktop";
+  if (/Mobi|Android|iPhone|iPod/.test(userAgent)) type = "mobile";
+  if (/iPad|Tablet/.test(userAgent)) type = "tablet";
+  if (!userAgent) type = "unknown";
+
+  return {
+    browser: browserMatch ? browserMatch[0] : "Unknown browser",
+    os: os ? os[0] : "Unknown OS",
+    type,
+  };
+};
+
+module.exports = { describeDevice };
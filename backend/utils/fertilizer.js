@@ -0,0 +1,252 @@
+// utils/fertilizer.js - Soil-Test-Based Fertilizer Calculator
+const { convertArea } = require("./geo");
+
+// Recommended N:P2O5:K2O doses (kg/ha) for a reference yield (q/ha), with
+// the share of nitrogen given at each stage. Phosphorus and potassium all
+// go in at sowing.
+const CROP_GUIDES = {
+  wheat: {
+    dose: { n: 120, p2o5: 60, k2o: 40 },
+    referenceYield: 45,
+    nitrogenSplits: [
+      { stage: "Basal (at sowing)", daysAfterSowing: 0, share: 0.5 },
+      { stage: "Crown root initiation", daysAfterSowing: 21, share: 0.25 },
+      { stage: "Late tillering", daysAfterSowing: 45, share: 0.25 },
+    ],
+  },
+  rice: {
+    dose: { n: 120, p2o5: 60, k2o: 40 },
+    referenceYield: 50,
+    nitrogenSplits: [
+      { stage: "Basal (at transplanting)", daysAfterSowing: 0, share: 0.5 },
+      { stage: "Active tillering", daysAfterSowing: 25, share: 0.25 },
+      { stage: "Panicle initiation", daysAfterSowing: 50, share: 0.25 },
+    ],
+  },
+  maize: {
+    dose: { n: 150, p2o5: 75, k2o: 40 },
+    referenceYield: 50,
+    nitrogenSplits: [
+      { stage: "Basal (at sowing)", daysAfterSowing: 0, share: 1 / 3 },
+      { stage: "Knee-high", daysAfterSowing: 30, share: 1 / 3 },
+      { stage: "Tasselling", daysAfterSowing: 55, share: 1 / 3 },
+    ],
+  },
+  cotton: {
+    dose: { n: 100, p2o5: 50, k2o: 50 },
+    referenceYield: 20,
+    nitrogenSplits: [
+      { stage: "Basal (at sowing)", daysAfterSowing: 0, share: 1 / 3 },
+      { stage: "Square formation", daysAfterSowing: 45, share: 1 / 3 },
+      { stage: "Flowering", daysAfterSowing: 75, share: 1 / 3 },
+    ],
+  },
+  tomato: {
+    dose: { n: 120, p2o5: 60, k2o: 60 },
+    referenceYield: 250,
+    nitrogenSplits: [
+      { stage: "Basal (at transplanting)", daysAfterSowing: 0, share: 0.5 },
+      { stage: "Vegetative growth", daysAfterSowing: 30, share: 0.25 },
+      { stage: "Flowering", daysAfterSowing: 60, share: 0.25 },
+    ],
+  },
+  potato: {
+    dose: { n: 150, p2o5: 80, k2o: 100 },
+    referenceYield: 250,
+    nitrogenSplits: [
+      { stage: "Basal (at planting)", daysAfterSowing: 0, share: 0.5 },
+      { stage: "Earthing up", daysAfterSowing: 30, share: 0.5 },
+    ],
+  },
+  soybean: {
+    dose: { n: 25, p2o5: 60, k2o: 40 },
+    referenceYield: 25,
+    nitrogenSplits: [
+      { stage: "Basal (at sowing)", daysAfterSowing: 0, share: 1 },
+    ],
+  },
+};
+
+// Soil test ratings adjust the dose up or down by a quarter
+const RATING_FACTORS = { low: 1.25, medium: 1, high: 0.75 };
+
+// Nutrient content of the straight and complex fertilizers used
+const PRODUCTS = {
+  urea: { name: "Urea (46% N)", n: 0.46 },
+  dap: { name: "DAP (18-46-0)", n: 0.18, p2o5: 0.46 },
+  mop: { name: "MOP (60% K2O)", k2o: 0.6 },
+};
+
+// Basal doses (kg/ha) that correct micronutrient deficiencies
+const AMENDMENTS = {
+  zinc: { product: "Zinc sulphate (21% Zn)", perHectare: 25 },
+  sulphur: { product: "Bentonite sulphur (90% S)", perHectare: 20 },
+  boron: { product: "Borax (10.5% B)", perHectare: 10 },
+  iron: { product: "Ferrous sulphate (19% Fe)", perHectare: 25 },
+  manganese: { product: "Manganese sulphate (30.5% Mn)", perHectare: 10 },
+  copper: { product: "Copper sulphate (24% Cu)", perHectare: 5 },
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const QUINTALS_PER_UNIT = { kg: 0.01, quintal: 1, tonne: 10 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const SUPPORTED_CROPS = Object.keys(CROP_GUIDES);
+
+const findGuide = (crop) => CROP_GUIDES[String(crop).trim().toLowerCase()];
+
+// Turn soil test ratings and a target yield into product quantities and
+// split-application timings. Returns null for crops without a guide.
+//   ratings     - SoilTest ratings virtual (or null without a test)
+//   targetYield - q/ha (defaults to the guide's reference yield)
+//   area        - hectares the plan is for
+//   sowingDate  - to date each application
+const buildFertilizerPlan = ({
+  crop,
+  ratings = null,
+  targetYield = null,
+  area = 1,
+  sowingDate = null,
+}) => {
+  const guide = findGuide(crop);
+  if (!guide) return null;
+
+  const notes = [];
+  const yieldFactor = targetYield
+    ? clamp(targetYield / guide.referenceYield, 0.5, 1.5)
+    : 1;
+  if (targetYield && yieldFactor !== targetYield / guide.referenceYield) {
+    notes.push(
+      `Target yield is far from the ${guide.referenceYield} q/ha the guide is based on; the dose was capped at ${yieldFactor * 100}%.`
+    );
+  }
+
+  // Organic carbon stands in for nitrogen when the lab did not report it
+  const nitrogenRating = ratings?.nitrogen || ratings?.organicCarbon;
+  const factor = (rating) => RATING_FACTORS[rating] || 1;
+  const nutrients = {
+    n: round1(guide.dose.n * yieldFactor * factor(nitrogenRating)),
+    p2o5: round1(guide.dose.p2o5 * yieldFactor * factor(ratings?.phosphorus)),
+    k2o: round1(guide.dose.k2o * yieldFactor * factor(ratings?.potassium)),
+  };
+  if (!ratings) {
+    notes.push(
+      "No soil test on record, so the general recommended dose is used. Add a soil test for a tailored plan."
+    );
+  }
+
+  // Phosphorus from DAP, the nitrogen it carries counted against the basal
+  // dose, the rest of the nitrogen from urea and potassium from MOP
+  const dap = nutrients.p2o5 / PRODUCTS.dap.p2o5;
+  const nitrogenFromDap = dap * PRODUCTS.dap.n;
+  const mop = nutrients.k2o / PRODUCTS.mop.k2o;
+
+  const quantity = (product, perHectare) => ({
+    product: PRODUCTS[product].name,
+    perHectare: round1(perHectare),
+    total: round1(perHectare * area),
+  });
+
+  const applications = guide.nitrogenSplits.map((split, index) => {
+    const nitrogen = nutrients.n * split.share;
+    const products = [];
+    if (index === 0) {
+      if (dap > 0) products.push(quantity("dap", dap));
+      const urea = Math.max(nitrogen - nitrogenFromDap, 0) / PRODUCTS.urea.n;
+      if (urea > 0) products.push(quantity("urea", urea));
+      if (mop > 0) products.push(quantity("mop", mop));
+    } else if (nitrogen > 0) {
+      products.push(quantity("urea", nitrogen / PRODUCTS.urea.n));
+    }
+    return {
+      stage: split.stage,
+      daysAfterSowing: split.daysAfterSowing,
+      date: sowingDate
+        ? new Date(
+            new Date(sowingDate).getTime() + split.daysAfterSowing * DAY_MS
+          )
+        : null,
+      products,
+    };
+  });
+
+  const amendments = Object.entries(ratings?.micronutrients || {})
+    .filter(([name, rating]) => rating === "deficient" && AMENDMENTS[name])
+    .map(([name]) => ({
+      nutrient: name,
+      product: AMENDMENTS[name].product,
+      perHectare: AMENDMENTS[name].perHectare,
+      total: round1(AMENDMENTS[name].perHectare * area),
+      stage: "Basal (at sowing)",
+    }));
+
+  if (ratings?.ph === "strongly acidic" || ratings?.ph === "acidic") {
+    notes.push(
+      "Soil is acidic; apply agricultural lime as advised by the lab before sowing."
+    );
+  }
+  if (ratings?.ph === "strongly alkaline") {
+    notes.push(
+      "Soil is strongly alkaline; apply gypsum as advised by the lab and prefer ammonium sulphate over urea."
+    );
+  }
+  if (ratings?.ec === "saline" || ratings?.ec === "highly saline") {
+    notes.push(
+      "Soil salinity is high; improve drainage and avoid heavy single doses of fertilizer."
+    );
+  }
+
+  return {
+    crop: String(crop),
+    area: Math.round(area * 1e4) / 1e4,
+    targetYield: targetYield || guide.referenceYield,
+    referenceYield: guide.referenceYield,
+    nutrients,
+    applications,
+    amendments,
+    notes,
+  };
+};
+
+// Build the plan for a crop cycle from its farm and soil test. The cycle's
+// target yield is a total for its area, so it is turned into q/ha here; a
+// targetYield option (q/ha) overrides it.
+const buildPlanForCycle = (cycle, farm, soilTest, { targetYield } = {}) => {
+  const fieldArea = cycle.field ? farm.fields.id(cycle.field)?.area : null;
+  const farmArea = cycle.area || fieldArea;
+  const area = farmArea
+    ? convertArea(farmArea, farm.farmSize?.unit || "acres", "hectares")
+    : 1;
+
+  let perHectare = targetYield || null;
+  if (!perHectare && cycle.targetYield?.quantity && farmArea) {
+    perHectare =
+      (cycle.targetYield.quantity *
+        QUINTALS_PER_UNIT[cycle.targetYield.unit || "quintal"]) /
+      area;
+  }
+
+  const plan = buildFertilizerPlan({
+    crop: cycle.crop,
+    ratings: soilTest?.ratings || null,
+    targetYield: perHectare ? round1(perHectare) : null,
+    area,
+    sowingDate: cycle.sowingDate,
+  });
+  if (plan && !farmArea) {
+    plan.notes.push(
+      "The crop cycle has no area, so quantities are for one hectare."
+    );
+  }
+  return plan;
+};
+
+module.exports = {
+  SUPPORTED_CROPS,
+  buildFertilizerPlan,
+  buildPlanForCycle,
+};
@@ -0,0 +1,92 @@
+// utils/geo.js - GeoJSON Validation & Area Helpers
+const EARTH_RADIUS_M = 6378137;
+
+const SQUARE_METRES_PER_UNIT = {
+  acres: 4046.8564224,
+  hectares: 10000,
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Area of a closed ring in square metres on a spherical earth (the same
+// approximation Leaflet.draw and Turf use)
+const ringArea = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total +=
+      toRadians(lon2 - lon1) *
+      (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+};
+
+// Outer ring minus any holes
+const polygonArea = (rings) =>
+  rings.reduce(
+    (area, ring, index) =>
+      index === 0 ? area + ringArea(ring) : area - ringArea(ring),
+    0
+  );
+
+// Area of a Polygon or MultiPolygon geometry in square metres
+const geometryArea = (geometry) =>
+  geometry.type === "MultiPolygon"
+    ? geometry.coordinates.reduce((area, rings) => area + polygonArea(rings), 0)
+    : polygonArea(geometry.coordinates);
+
+// Area in acres or hectares, rounded to 4 decimal places
+const areaIn = (geometry, unit = "acres") =>
+  Math.round((geometryArea(geometry) / SQUARE_METRES_PER_UNIT[unit]) * 1e4) /
+  1e4;
+
+// Convert an area between acres and hectares
+const convertArea = (value, from = "acres", to = "acres") =>
+  (value * SQUARE_METRES_PER_UNIT[from]) / SQUARE_METRES_PER_UNIT[to];
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  position.every((n) => typeof n === "number" && Number.isFinite(n)) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+const isClosedRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+const isPolygon = (rings) =>
+  Array.isArray(rings) && rings.length > 0 && rings.every(isClosedRing);
+
+// Check a field boundary; returns an error message, or null when valid
+const validateBoundary = (geometry) => {
+  if (!geometry || typeof geometry !== "object") {
+    return "Boundary must be a GeoJSON geometry";
+  }
+  if (geometry.type === "Polygon") {
+    return isPolygon(geometry.coordinates)
+      ? null
+      : "Polygon rings need at least 4 [longitude, latitude] positions and must end where they start";
+  }
+  if (geometry.type === "MultiPolygon") {
+    return Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygon)
+      ? null
+      : "Each MultiPolygon part needs closed rings of [longitude, latitude] positions";
+  }
+  return "Boundary must be a Polygon or MultiPolygon";
+};
+
+module.exports = {
+  geometryArea,
+  areaIn,
+  convertArea,
+  validateBoundary,
+};
@@ -0,0 +1,358 @@
+// utils/geocoder.js - Forward & Reverse Geocoding
+const path = require("path");
+const axios = require("axios");
+const logger = require("./logger");
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points in kilometres
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const PINCODE_PATTERN = /\b(\d{6})\b/;
+
+// Coordinates of 0,0 are what the map sends when it could not place a farm
+const hasCoordinates = (coordinates) =>
+  Number.isFinite(coordinates?.latitude) &&
+  Number.isFinite(coordinates?.longitude) &&
+  !(coordinates.latitude === 0 && coordinates.longitude === 0);
+
+const precisionOf = (place) =>
+  place.type === "village" ? "village" : "district";
+
+// Looks places up in the bundled gazetteer of Indian villages, district
+// headquarters and pincodes
+class GazetteerProvider {
+  constructor(options = {}) {
+    this.file =
+      options.file ||
+      process.env.GAZETTEER_PATH ||
+      path.join(__dirname, "..", "data", "gazetteer.json");
+    this.maxDistanceKm =
+      options.maxDistanceKm ||
+      Number(process.env.GEOCODER_REVERSE_MAX_KM) ||
+      50;
+    this.places = null;
+  }
+
+  load() {
+    if (!this.places) {
+      this.places = require(this.file).map((place) => ({
+        ...place,
+        keys: [place.name, ...(place.aliases || [])].map(normalize),
+      }));
+      // Old district names ("Ahmednagar") still narrow a search
+      this.districtNames = new Map();
+      this.places
+        .filter((place) => place.type === "district")
+        .forEach((place) =>
+          place.keys.forEach((key) =>
+            this.districtNames.set(key, normalize(place.district))
+          )
+        );
+    }
+    return this.places;
+  }
+
+  toResult(place, precision) {
+    return {
+      name: place.name,
+      district: place.district,
+      state: place.state,
+      zipCode: place.pincode,
+      coordinates: { latitude: place.latitude, longitude: place.longitude },
+      precision,
+      source: "gazetteer",
+    };
+  }
+
+  async search(query) {
+    const places = this.load();
+
+    // A pincode is the most precise thing a farmer types; a pincode not in
+    // the gazetteer falls back to another place in the same sorting district
+    const pincode = query.match(PINCODE_PATTERN)?.[1];
+    if (pincode) {
+      const exact = places.find((place) => place.pincode === pincode);
+      if (exact) return this.toResult(exact, "pincode");
+      const nearby = places.find(
+        (place) => place.pincode?.slice(0, 3) === pincode.slice(0, 3)
+      );
+      if (nearby) return this.toResult(nearby, "district");
+    }
+
+    // "Village, District, State": the first part names the place, the rest
+    // narrow it down
+    const parts = query
+      .replace(PINCODE_PATTERN, "")
+      .split(",")
+      .map(normalize)
+      .filter((part) => part && part !== "india");
+    if (!parts.length) return null;
+    const [name, ...context] = parts;
+
+    const inContext = (place) =>
+      context.every(
+        (part) =>
+          normalize(place.state) === part ||
+          normalize(place.district) === part ||
+          normalize(place.district) === this.districtNames.get(part) ||
+          place.keys.includes(part)
+      );
+    const candidates = places.filter(inContext);
+
+    const byName = candidates.find((place) => place.keys.includes(name));
+    if (byName) return this.toResult(byName, precisionOf(byName));
+
+    const byDistrict = candidates.find(
+      (place) => normalize(place.district) === name && place.type === "district"
+    );
+    if (byDistrict) return this.toResult(byDistrict, "district");
+
+    return null;
+  }
+
+  async reverse({ latitude, longitude }) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.load().forEach((place) => {
+      const distance = distanceKm({ latitude, longitude }, place);
+      if (distance < nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    });
+
+    if (!nearest || nearestDistance > this.maxDistanceKm) return null;
+    return {
+      ...this.toResult(nearest, precisionOf(nearest)),
+      distanceKm: Math.round(nearestDistance * 10) / 10,
+    };
+  }
+}
+
+// Queries a Nominatim server (OpenStreetMap's or a self-hosted one)
+class NominatimProvider {
+  constructor(options = {}) {
+    this.url =
+      options.url ||
+      process.env.GEOCODER_URL ||
+      "https://nominatim.openstreetmap.org";
+    this.userAgent =
+      options.userAgent ||
+      process.env.GEOCODER_USER_AGENT ||
+      "Vriddhi/1.0 (agricultural assistant)";
+  }
+
+  async request(endpoint, params) {
+    const response = await axios.get(`${this.url}/${endpoint}`, {
+      params: { format: "jsonv2", addressdetails: 1, ...params },
+      headers: { "User-Agent": this.userAgent },
+      timeout: 10000,
+    });
+    return response.data;
+  }
+
+  toResult(place) {
+    const address = place.address || {};
+    return {
+      name:
+        address.village ||
+        address.town ||
+        address.city ||
+        address.county ||
+        place.name,
+      district: address.state_district || address.county,
+      state: address.state,
+      zipCode: address.postcode,
+      coordinates: {
+        latitude: parseFloat(place.lat),
+        longitude: parseFloat(place.lon),
+      },
+      precision: address.village ? "village" : "district",
+      source: "nominatim",
+    };
+  }
+
+  async search(query) {
+    const results = await this.request("search", {
+      q: query,
+      countrycodes: "in",
+      limit: 1,
+    });
+    return results?.length ? this.toResult(results[0]) : null;
+  }
+
+  async reverse({ latitude, longitude }) {
+    const result = await this.request("reverse", {
+      lat: latitude,
+      lon: longitude,
+      zoom: 14,
+    });
+    return result && !result.error ? this.toResult(result) : null;
+  }
+}
+
+const providers = {
+  gazetteer: GazetteerProvider,
+  nominatim: NominatimProvider,
+};
+
+const createProvider = (name, options) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown geocoding provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+// Results (including misses) are kept for a day so repeated sign-ups from
+// one village don't hit the remote provider again
+const CACHE_TTL_MS = Number(process.env.GEOCODER_CACHE_TTL_MS) || 86400000;
+const CACHE_MAX_ENTRIES = 1000;
+
+const cache = new Map();
+
+const cached = async (key, lookup) => {
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  const value = await lookup();
+  cache.delete(key);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+const clearCache = () => cache.clear();
+
+let chain = null;
+
+// The gazetteer answers first; a remote provider, when configured with
+// GEOCODER_REMOTE_PROVIDER, covers places it doesn't know
+const getProviders = () => {
+  if (!chain) {
+    chain = [createProvider("gazetteer")];
+    if (process.env.GEOCODER_REMOTE_PROVIDER) {
+      chain.push(createProvider(process.env.GEOCODER_REMOTE_PROVIDER));
+    }
+  }
+  return chain;
+};
+
+// Swap the provider chain (e.g. a stub in tests)
+const setProviders = (newProviders) => {
+  chain = newProviders;
+  clearCache();
+};
+
+const firstResult = async (lookup) => {
+  for (const provider of getProviders()) {
+    try {
+      const result = await lookup(provider);
+      if (result) return result;
+    } catch (error) {
+      logger.warn(
+        `Geocoding with ${provider.constructor.name} failed: ${error.message}`
+      );
+    }
+  }
+  return null;
+};
+
+// Find a place from free text such as "Ralegan Siddhi, Maharashtra" or a
+// pincode; returns null when nothing matches
+const geocode = (query) => {
+  const key = normalize(query);
+  if (!key) return Promise.resolve(null);
+  return cached(`search:${key}`, () =>
+    firstResult((provider) => provider.search(String(query)))
+  );
+};
+
+// Find the nearest known place to a point
+const reverseGeocode = ({ latitude, longitude }) =>
+  cached(`reverse:${latitude.toFixed(3)},${longitude.toFixed(3)}`, () =>
+    firstResult((provider) => provider.reverse({ latitude, longitude }))
+  );
+
+// Missing names come from the place found; a district headquarters
+// pincode says nothing about a farm elsewhere in the district, so only a
+// village's or an exact pincode match is copied
+const fillPlaceNames = (location, place) => ({
+  ...location,
+  city: location.city || place.name,
+  state: location.state || place.state,
+  zipCode:
+    location.zipCode ||
+    (place.precision === "district" ? undefined : place.zipCode),
+});
+
+// Fill in a farm location: coordinates from the pincode or place names
+// when they are missing, and city/state/pincode from the coordinates when
+// only a map pin was given. Never throws; an unresolved location is
+// returned as it came.
+const resolveLocation = async (location) => {
+  if (!location || typeof location !== "object") return location;
+
+  try {
+    if (hasCoordinates(location.coordinates)) {
+      if (location.city && location.state) return location;
+      const place = await reverseGeocode(location.coordinates);
+      if (!place) return location;
+      return fillPlaceNames(location, place);
+    }
+
+    const query =
+      location.zipCode ||
+      [location.city, location.state].filter(Boolean).join(", ") ||
+      location.address;
+    let place = await geocode(query);
+    if (!place && location.zipCode && location.city) {
+      place = await geocode(
+        [location.city, location.state].filter(Boolean).join(", ")
+      );
+    }
+    if (!place) return location;
+
+    return {
+      ...fillPlaceNames(location, place),
+      coordinates: place.coordinates,
+    };
+  } catch (error) {
+    logger.warn(`Could not resolve location: ${error.message}`);
+    return location;
+  }
+};
+
+module.exports = {
+  geocode,
+  reverseGeocode,
+  resolveLocation,
+  hasCoordinates,
+  distanceKm,
+  createProvider,
+  setProviders,
+  clearCache,
+  GazetteerProvider,
+  NominatimProvider,
+};
@@ -0,0 +1,93 @@
+// utils/ical.js - iCalendar (RFC 5545) Feed Builder
+
+// Calendar apps poll subscribed feeds; ask for twice a day
+const REFRESH_INTERVAL = "PT12H";
+
+const UID_DOMAIN = "vriddhi.app";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}`;
+
+const formatDateTime = (date) =>
+  `${formatDate(date)}T${pad(date.getUTCHours())}${pad(
+    date.getUTCMinutes()
+  )}${pad(date.getUTCSeconds())}Z`;
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded onto continuation lines that
+// start with a space, without splitting a multi-byte character
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// Build a VCALENDAR of all-day events.
+//   name   - calendar name shown by calendar apps
+//   events - [{ uid, start, end?, summary, description?, categories? }];
+//            end is exclusive and defaults to the day after start
+const buildICalendar = ({ name, events, now = new Date() }) => {
+  const stamp = formatDateTime(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Vriddhi//Crop Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  events.forEach((event) => {
+    const start = new Date(event.start);
+    const end = event.end
+      ? new Date(event.end)
+      : new Date(start.getTime() + 1000 * 60 * 60 * 24);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(start)}`,
+      `DTEND;VALUE=DATE:${formatDate(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+    }
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  buildICalendar,
+};
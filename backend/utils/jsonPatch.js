@@ -0,0 +1,249 @@
+// utils/jsonPatch.js - JSON Merge Patch (RFC 7396) & JSON Patch (RFC 6902)
+
+// Patch errors carry the HTTP status the route should answer with: 400 for
+// a malformed patch, 409 for a failed "test", 422 for a path that can't be
+// applied to the document
+const patchError = (message, statusCode = 422) => {
+  const error = new Error(message);
+  error.name = "PatchError";
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+// Member names that would reach an object's prototype rather than the
+// document itself
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+const assertSafeKey = (key) => {
+  if (UNSAFE_KEYS.includes(key)) {
+    throw patchError(`Member name not allowed: ${key}`, 400);
+  }
+};
+
+// Check every member name in a value about to be written into the document
+const assertSafeValue = (value) => {
+  if (Array.isArray(value)) {
+    value.forEach(assertSafeValue);
+  } else if (isPlainObject(value)) {
+    Object.keys(value).forEach((key) => {
+      assertSafeKey(key);
+      assertSafeValue(value[key]);
+    });
+  }
+};
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => deepEqual(item, b[index]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+};
+
+// Apply a merge patch: objects merge key by key, null removes a key and
+// anything else (arrays included) replaces the target value
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    assertSafeValue(patch);
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    assertSafeKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(
+        hasOwn(result, key) ? result[key] : undefined,
+        value
+      );
+    }
+  });
+  return result;
+};
+
+// Split a JSON Pointer ("/cropTypes/0/name") into unescaped tokens
+const parsePointer = (pointer) => {
+  if (typeof pointer !== "string" || (pointer && !pointer.startsWith("/"))) {
+    throw patchError(`Invalid JSON Pointer: ${pointer}`, 400);
+  }
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) => {
+      const unescaped = token.replace(/~1/g, "/").replace(/~0/g, "~");
+      assertSafeKey(unescaped);
+      return unescaped;
+    });
+};
+
+const arrayIndex = (array, token, { allowEnd = false } = {}) => {
+  if (allowEnd && token === "-") return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw patchError(`Invalid array index: ${token}`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw patchError(`Array index out of bounds: ${token}`);
+  }
+  return index;
+};
+
+// Walk to the container holding the pointer's last token
+const resolveParent = (document, tokens, pointer) => {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    const next = Array.isArray(node)
+      ? node[arrayIndex(node, token)]
+      : isPlainObject(node) && hasOwn(node, token)
+        ? node[token]
+        : undefined;
+    if (next === undefined) {
+      throw patchError(`Path not found: ${pointer}`);
+    }
+    node = next;
+  }
+  if (!Array.isArray(node) && !isPlainObject(node)) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  return { parent: node, key: tokens[tokens.length - 1] };
+};
+
+const getValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return document;
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  const value = Array.isArray(parent)
+    ? parent[arrayIndex(parent, key)]
+    : hasOwn(parent, key)
+      ? parent[key]
+      : undefined;
+  if (value === undefined) {
+    throw patchError(`Path not found: ${pointer}`);
+  }
+  return value;
+};
+
+const addValue = (document, pointer, value) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return value;
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    throw patchError("The whole document cannot be removed");
+  }
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key), 1);
+  } else {
+    if (!hasOwn(parent, key)) throw patchError(`Path not found: ${pointer}`);
+    delete parent[key];
+  }
+  return document;
+};
+
+// Apply a list of JSON Patch operations to a copy of the document. The
+// patch is all-or-nothing: the first failing operation throws and the
+// original document is left untouched.
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError("A JSON Patch must be an array of operations", 400);
+  }
+
+  return operations.reduce((result, operation, index) => {
+    if (!isPlainObject(operation) || typeof operation.path !== "string") {
+      throw patchError(`Operation ${index} needs an op and a path`, 400);
+    }
+    const { op, path, from } = operation;
+    const needsValue = ["add", "replace", "test"].includes(op);
+    if (needsValue && !hasOwn(operation, "value")) {
+      throw patchError(`Operation ${index} (${op}) needs a value`, 400);
+    }
+    if (needsValue) assertSafeValue(operation.value);
+    if (["move", "copy"].includes(op) && typeof from !== "string") {
+      throw patchError(`Operation ${index} (${op}) needs a from path`, 400);
+    }
+
+    switch (op) {
+      case "add":
+        return addValue(result, path, clone(operation.value));
+      case "remove":
+        return removeValue(result, path);
+      case "replace":
+        getValue(result, path);
+        return addValue(
+          removeValue(result, path),
+          path,
+          clone(operation.value)
+        );
+      case "move": {
+        if (path.startsWith(`${from}/`)) {
+          throw patchError(`Cannot move ${from} into one of its children`);
+        }
+        const value = getValue(result, from);
+        return addValue(removeValue(result, from), path, value);
+      }
+      case "copy":
+        return addValue(result, path, clone(getValue(result, from)));
+      case "test":
+        if (!deepEqual(getValue(result, path), operation.value)) {
+          throw patchError(`Test failed at ${path}`, 409);
+        }
+        return result;
+      default:
+        throw patchError(`Unknown operation at ${index}: ${op}`, 400);
+    }
+  }, clone(document));
+};
+
+// Top-level members a patch touches, to check them against an allow-list
+const patchedKeys = (patch, format) =>
+  format === "json-patch"
+    ? [
+        ...new Set(
+          patch.flatMap((operation) =>
+            [operation?.path, operation?.from]
+              .filter((pointer) => typeof pointer === "string")
+              .map((pointer) => parsePointer(pointer)[0] ?? "")
+          )
+        ),
+      ]
+    : Object.keys(patch);
+
+module.exports = {
+  applyMergePatch,
+  applyJsonPatch,
+  patchedKeys,
+  deepEqual,
+  isPlainObject,
+};
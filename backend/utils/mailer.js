@@ -0,0 +1,110 @@
+// utils/mailer.js - Pluggable Mail Transport
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const logger = require("./logger");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Vriddhi <no-reply@vriddhi.app>";
+
+// Delivers mail through a real SMTP server
+class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      ...options,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// Writes each message to a local outbox folder instead of sending it,
+// for development and tests
+class OutboxTransport {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.MAIL_OUTBOX_DIR || "outbox";
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    const file = path.join(this.dir, `${id}.json`);
+
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ id, ...message, createdAt: new Date() }, null, 2)
+    );
+
+    return { id, file };
+  }
+}
+
+const transports = {
+  smtp: SmtpTransport,
+  outbox: OutboxTransport,
+};
+
+const createTransport = (
+  name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "outbox"),
+  options
+) => {
+  const Transport = transports[name];
+  if (!Transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return new Transport(options);
+};
+
+let transport = null;
+
+// Swap the active transport (e.g. an outbox in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape user-supplied values (names, farm names) before they go into the
+// html body of a message
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = createTransport();
+
+  const result = await transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+  logger.info(`Mail sent to ${to}: ${subject}`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  createTransport,
+  setTransport,
+  SmtpTransport,
+  OutboxTransport,
+};
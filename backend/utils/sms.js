@@ -0,0 +1,107 @@
+// utils/sms.js - Pluggable SMS Provider
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const logger = require("./logger");
+
+// Posts messages to an HTTP SMS gateway
+class HttpSmsProvider {
+  constructor(options = {}) {
+    this.url = options.url || process.env.SMS_GATEWAY_URL;
+    this.apiKey = options.apiKey || process.env.SMS_GATEWAY_API_KEY;
+    this.sender = options.sender || process.env.SMS_SENDER_ID || "VRIDHI";
+  }
+
+  async send({ to, body }) {
+    const response = await axios.post(
+      this.url,
+      { to, sender: this.sender, message: body },
+      {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: 10000,
+      }
+    );
+    return { id: response.data?.id || response.data?.messageId };
+  }
+}
+
+// Keeps messages in memory and in a local outbox folder instead of
+// sending them, for development and tests
+class StubSmsProvider {
+  constructor(options = {}) {
+    this.dir =
+      options.dir || path.join(process.env.MAIL_OUTBOX_DIR || "outbox", "sms");
+    this.sent = [];
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  async send({ to, body }) {
+    const id = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    const message = { id, to, body, createdAt: new Date() };
+
+    this.sent.push(message);
+    await fs.promises.writeFile(
+      path.join(this.dir, `${id}.json`),
+      JSON.stringify(message, null, 2)
+    );
+
+    return { id };
+  }
+}
+
+// Normalize Indian mobile numbers to +91XXXXXXXXXX so lookups are stable
+const normalizePhone = (phone) => {
+  if (!phone) return phone;
+
+  const digits = String(phone).replace(/[^\d+]/g, "");
+  if (digits.startsWith("+")) return digits;
+  if (digits.length === 10) return `+91${digits}`;
+  if (digits.length === 11 && digits.startsWith("0")) {
+    return `+91${digits.slice(1)}`;
+  }
+  if (digits.length === 12 && digits.startsWith("91")) return `+${digits}`;
+  return digits;
+};
+
+const providers = {
+  http: HttpSmsProvider,
+  stub: StubSmsProvider,
+};
+
+const createProvider = (
+  name = process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === "production" ? "http" : "stub"),
+  options
+) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+let provider = null;
+
+// Swap the active provider (e.g. a stub in tests)
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const sendSms = async ({ to, body }) => {
+  if (!provider) provider = createProvider();
+
+  const result = await provider.send({ to, body });
+  logger.info(`SMS sent to ${to}`);
+  return result;
+};
+
+module.exports = {
+  sendSms,
+  normalizePhone,
+  createProvider,
+  setProvider,
+  HttpSmsProvider,
+  StubSmsProvider,
+};
@@ -0,0 +1,74 @@
+// utils/tokens.js - Access & Refresh Token Helpers
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || "vriddhi-super-secret-key-change-in-production";
+const JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Short-lived access token tied to a server-side session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRE,
+  });
+};
+
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("Not an access token");
+  }
+  return decoded;
+};
+
+// Signed single-purpose token for links sent by email (verification etc.)
+const signActionToken = (payload, purpose, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+
+const verifyActionToken = (token, purpose) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError("Token purpose mismatch");
+  }
+  return decoded;
+};
+
+// Random value embedded in action tokens so each can be used only once
+const generateNonce = () => crypto.randomBytes(16).toString("hex");
+
+// Opaque refresh token - only its hash is ever stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+// Opaque password reset token - emailed or texted, stored hashed
+const generateResetToken = () => crypto.randomBytes(32).toString("hex");
+
+// API keys carry a recognisable prefix so they can be told apart from JWTs
+const API_KEY_PREFIX = "vrd_";
+const generateApiKey = () =>
+  `${API_KEY_PREFIX}${crypto.randomBytes(30).toString("base64url")}`;
+const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const getRefreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+module.exports = {
+  JWT_SECRET,
+  JWT_EXPIRE,
+  generateAccessToken,
+  verifyAccessToken,
+  signActionToken,
+  verifyActionToken,
+  generateNonce,
+  generateRefreshToken,
+  generateResetToken,
+  generateApiKey,
+  isApiKey,
+  hashToken,
+  getRefreshTokenExpiry,
+};
@@ -0,0 +1,32 @@
+// utils/units.js - Quantity Unit Conversion
+// Units of the same dimension, as multiples of their base unit (g or ml)
+const UNITS = {
+  g: { dimension: "mass", factor: 1 },
+  kg: { dimension: "mass", factor: 1000 },
+  ml: { dimension: "volume", factor: 1 },
+  l: { dimension: "volume", factor: 1000 },
+  unit: { dimension: "count", factor: 1 },
+};
+
+const QUANTITY_UNITS = Object.keys(UNITS);
+
+// Whether an amount in one unit can be expressed in the other
+const isConvertible = (from, to) =>
+  !!UNITS[from] && !!UNITS[to] && UNITS[from].dimension === UNITS[to].dimension;
+
+// Convert an amount between units, or null when they measure different
+// things (e.g. kg and l)
+const convertQuantity = (amount, from, to) => {
+  if (!isConvertible(from, to)) return null;
+  return (amount * UNITS[from].factor) / UNITS[to].factor;
+};
+
+// Round to 4 decimal places, enough for grams of a kilogram stock
+const roundQuantity = (amount) => Math.round(amount * 1e4) / 1e4;
+
+module.exports = {
+  QUANTITY_UNITS,
+  isConvertible,
+  convertQuantity,
+  roundQuantity,
+};
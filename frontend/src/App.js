@@ -330,6 +330,55 @@ const createCustomIcon = (color) =>
     popupAnchor: [0, -32],
   });
 
+// Access tokens only last 15 minutes. Authenticated calls go through
+// authFetch, which answers a 401 by trading the refresh token for a new pair
+// and retrying once; concurrent 401s share one refresh, since each refresh
+// token can only be spent once.
+const authSession = {
+  refreshing: null,
+  onTokens: () => {},
+  onExpired: () => {},
+};
+
+const refreshTokens = () => {
+  if (!authSession.refreshing) {
+    authSession.refreshing = (async () => {
+      const refreshToken = localStorage.getItem("vriddhi_refresh_token");
+      if (!refreshToken) throw new Error("Not signed in");
+
+      const result = await api.refreshSession(refreshToken);
+      if (!result.success) throw new Error(result.message);
+
+      localStorage.setItem("vriddhi_token", result.data.token);
+      localStorage.setItem("vriddhi_refresh_token", result.data.refreshToken);
+      authSession.onTokens(result.data.token);
+      return result.data.token;
+    })().finally(() => {
+      authSession.refreshing = null;
+    });
+  }
+  return authSession.refreshing;
+};
+
+const authFetch = async (url, token, options = {}) => {
+  const send = (accessToken) =>
+    fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${accessToken}` },
+    });
+
+  // The stored token is newer than one captured before a refresh
+  const response = await send(localStorage.getItem("vriddhi_token") || token);
+  if (response.status !== 401) return response;
+
+  try {
+    return await send(await refreshTokens());
+  } catch (error) {
+    authSession.onExpired();
+    return response;
+  }
+};
+
 // ...existing API helper functions...
 const api = {
   // Auth endpoints
@@ -351,61 +400,90 @@ const api = {
     return await response.json();
   },
 
+  refreshSession: async (refreshToken) => {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    return await response.json();
+  },
+
+  forgotPassword: async (email) => {
+    const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email }),
+    });
+    return await response.json();
+  },
+
+  resetPassword: async (token, newPassword) => {
+    const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, newPassword }),
+    });
+    return await response.json();
+  },
+
+  logout: async (token) => {
+    const response = await authFetch(`${API_BASE_URL}/auth/logout`, token, {
+      method: "POST",
+    });
+    return await response.json();
+  },
+
   // Chat endpoints
   sendMessage: async (message, sessionId, token) => {
-    const response = await fetch(`${API_BASE_URL}/chat/message`, {
+    const response = await authFetch(`${API_BASE_URL}/chat/message`, token, {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ message, sessionId }),
     });
     return await response.json();
   },
 
   getChatHistory: async (token, page = 1) => {
-    const response = await fetch(`${API_BASE_URL}/chat/history?page=${page}`, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    const response = await authFetch(
+      `${API_BASE_URL}/chat/history?page=${page}`,
+      token
+    );
     return await response.json();
   },
 
   // Disease endpoints
   predictDisease: async (formData, token) => {
-    const response = await fetch(`${API_BASE_URL}/diseases/predict`, {
-      method: "POST",
-      headers: { Authorization: `Bearer ${token}` },
-      body: formData,
-    });
+    const response = await authFetch(
+      `${API_BASE_URL}/diseases/predict`,
+      token,
+      {
+        method: "POST",
+        body: formData,
+      }
+    );
     return await response.json();
   },
 
   getDiseaseHistory: async (token, page = 1) => {
-    const response = await fetch(
+    const response = await authFetch(
       `${API_BASE_URL}/diseases/history?page=${page}`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      }
+      token
     );
     return await response.json();
   },
 
   getDiseaseTrends: async (token, timeframe = "30d") => {
-    const response = await fetch(
+    const response = await authFetch(
       `${API_BASE_URL}/diseases/trends?timeframe=${timeframe}`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      }
+      token
     );
     return await response.json();
   },
 
   // Weather endpoints
   getCurrentWeather: async (token) => {
-    const response = await fetch(`${API_BASE_URL}/weather/current`, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    const response = await authFetch(`${API_BASE_URL}/weather/current`, token);
     return await response.json();
   },
 
@@ -415,27 +493,38 @@ const api = {
     if (disease) params.append("disease", disease);
     if (crop) params.append("crop", crop);
 
-    const response = await fetch(
+    const response = await authFetch(
       `${API_BASE_URL}/treatments/recommendations?${params}`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      }
+      token
+    );
+    return await response.json();
+  },
+
+  // Farm endpoints
+  getCurrentFarm: async (token) => {
+    const response = await authFetch(
+      `${API_BASE_URL}/farmers/farms/current`,
+      token
+    );
+    return await response.json();
+  },
+
+  getFarmFields: async (token, farmId) => {
+    const response = await authFetch(
+      `${API_BASE_URL}/farmers/farms/${farmId}/fields`,
+      token
     );
     return await response.json();
   },
 
   // User endpoints
   getUserProfile: async (token) => {
-    const response = await fetch(`${API_BASE_URL}/farmers/profile`, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    const response = await authFetch(`${API_BASE_URL}/farmers/profile`, token);
     return await response.json();
   },
 
   getUserStats: async (token) => {
-    const response = await fetch(`${API_BASE_URL}/auth/stats`, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    const response = await authFetch(`${API_BASE_URL}/auth/stats`, token);
     return await response.json();
   },
 };
@@ -456,6 +545,24 @@ const LoginForm = ({ onLogin }) => {
   const [isRegistering, setIsRegistering] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  // Email a reset link to the address typed in the sign-in form
+  const handleForgotPassword = async () => {
+    setError("");
+    setNotice("");
+    if (!formData.email || !/\S+@\S+\.\S+/.test(formData.email)) {
+      setError("Enter your email address first");
+      return;
+    }
+    try {
+      const result = await api.forgotPassword(formData.email);
+      if (result.success) setNotice(result.message);
+      else setError(result.message || "Failed to request a reset link");
+    } catch (err) {
+      setError(`Network error: ${err.message || "Please try again."}`);
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -509,29 +616,6 @@ const LoginForm = ({ onLogin }) => {
     try {
       let result;
       if (isRegistering) {
-        // Geocode location for registration
-        let coordinates = { latitude: 0, longitude: 0 };
-        if (formData.location) {
-          try {
-            const geocodeResponse = await fetch(
-              `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(
-                formData.location + ", India"
-              )}&format=json&limit=1`
-            );
-            const geocodeData = await geocodeResponse.json();
-
-            if (geocodeData && geocodeData.length > 0) {
-              coordinates = {
-                longitude: parseFloat(geocodeData[0].lon),
-                latitude: parseFloat(geocodeData[0].lat),
-              };
-            }
-          } catch (geocodeError) {
-            console.error("Geocoding failed:", geocodeError);
-            // Continue with registration even if geocoding fails
-          }
-        }
-
         // Parse location into city and state
         const locationParts = formData.location
           ? formData.location.split(",").map((part) => part.trim())
@@ -550,7 +634,6 @@ const LoginForm = ({ onLogin }) => {
             location: {
               city: city,
               state: state,
-              coordinates: coordinates,
             },
             farmSize: {
               value: parseFloat(formData.farmSize) || 1,
@@ -582,6 +665,7 @@ const LoginForm = ({ onLogin }) => {
 
       if (result.success) {
         localStorage.setItem("vriddhi_token", result.data.token);
+        localStorage.setItem("vriddhi_refresh_token", result.data.refreshToken);
         localStorage.setItem("vriddhi_user", JSON.stringify(result.data.user));
         onLogin(result.data.token, result.data.user);
       } else {
@@ -611,6 +695,7 @@ const LoginForm = ({ onLogin }) => {
         </div>
 
         {error && <div className="error-message">{error}</div>}
+        {notice && <p>{notice}</p>}
 
         <form onSubmit={handleSubmit} className="login-form">
           {isRegistering && (
@@ -734,6 +819,15 @@ const LoginForm = ({ onLogin }) => {
         </form>
 
         <div className="login-footer">
+          {!isRegistering && (
+            <button
+              type="button"
+              onClick={handleForgotPassword}
+              className="toggle-auth"
+            >
+              Forgot password?
+            </button>
+          )}
           <button
             onClick={() => {
               setIsRegistering(!isRegistering);
@@ -762,6 +856,100 @@ const LoginForm = ({ onLogin }) => {
   );
 };
 
+// Reset Password Component - opened from the link in a reset email or SMS
+const ResetPasswordForm = () => {
+  const token = new URLSearchParams(window.location.search).get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(
+    token ? "" : "This reset link is incomplete. Please request a new one."
+  );
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password.length < 6 || !/^(?=.*[A-Za-z])(?=.*\d)/.test(password)) {
+      setError(
+        "Password must be at least 6 characters and include a letter and a number"
+      );
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await api.resetPassword(token, password);
+      if (result.success) {
+        setDone(true);
+      } else {
+        setError(result.message || "Failed to reset password");
+      }
+    } catch (err) {
+      setError(`Network error: ${err.message || "Please try again."}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>🌾 Vriddhi</h1>
+          <h2>Choose a New Password</h2>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {done ? (
+          <p>Your password has been reset. Please sign in again.</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <input
+              type="password"
+              placeholder="New password (min 6 chars, include letter & number)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={!token}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={!token}
+              required
+            />
+            <button
+              type="submit"
+              disabled={loading || !token}
+              className="login-btn"
+            >
+              {loading ? "Please wait..." : "Reset Password"}
+            </button>
+          </form>
+        )}
+
+        <div className="login-footer">
+          <button
+            onClick={() => window.location.assign("/")}
+            className="toggle-auth"
+          >
+            Back to Sign In
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Farm Map Component
 // Helper component to manage map view updates
 const MapComponent = ({ center, zoom, onViewStateChange }) => {
@@ -793,7 +981,7 @@ const MapComponent = ({ center, zoom, onViewStateChange }) => {
   return null;
 };
 
-const FarmMap = ({ user, diseaseData, weatherData }) => {
+const FarmMap = ({ user, token, diseaseData, weatherData }) => {
   // All hooks must be declared first, before any conditional logic
   const [viewState, setViewState] = useState({
     longitude: 77.209, // Default to Delhi
@@ -802,23 +990,19 @@ const FarmMap = ({ user, diseaseData, weatherData }) => {
   });
   const [selectedMarker, setSelectedMarker] = useState(null);
   const [mapStyle, setMapStyle] = useState("satellite");
+  const [fieldBoundaries, setFieldBoundaries] = useState(null);
   const mapRef = useRef();
   const geocodeLocation = async (locationString) => {
     if (!locationString) return null;
 
     try {
       const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(
-          locationString + ", India"
-        )}&format=json&limit=1`
+        `${API_BASE_URL}/geocode/search?q=${encodeURIComponent(locationString)}`
       );
       const data = await response.json();
 
-      if (data && data.length > 0) {
-        return {
-          longitude: parseFloat(data[0].lon),
-          latitude: parseFloat(data[0].lat),
-        };
+      if (data.success) {
+        return data.data.coordinates;
       }
     } catch (error) {
       console.error("Geocoding error:", error);
@@ -829,7 +1013,15 @@ const FarmMap = ({ user, diseaseData, weatherData }) => {
   // Update map location based on user's farm location
   useEffect(() => {
     const updateMapLocation = async () => {
-      if (user?.farmDetails?.location?.city) {
+      const stored = user?.farmDetails?.location?.coordinates;
+      if (stored?.latitude && stored?.longitude) {
+        setViewState((prev) => ({
+          ...prev,
+          longitude: stored.longitude,
+          latitude: stored.latitude,
+          zoom: 12,
+        }));
+      } else if (user?.farmDetails?.location?.city) {
         const locationString = user.farmDetails.location.state
           ? `${user.farmDetails.location.city}, ${user.farmDetails.location.state}, India`
           : `${user.farmDetails.location.city}, India`;
@@ -850,6 +1042,27 @@ const FarmMap = ({ user, diseaseData, weatherData }) => {
     updateMapLocation();
   }, [user]);
 
+  // Load the field boundaries of the farm currently selected
+  useEffect(() => {
+    if (!token) return;
+
+    const loadFieldBoundaries = async () => {
+      try {
+        const farm = await api.getCurrentFarm(token);
+        if (!farm.success) return;
+
+        const fields = await api.getFarmFields(token, farm.data._id);
+        if (fields.success) {
+          setFieldBoundaries(fields.data);
+        }
+      } catch (error) {
+        console.error("Failed to load field boundaries:", error);
+      }
+    };
+
+    loadFieldBoundaries();
+  }, [token]);
+
   // Get user location if available
   useEffect(() => {
     if (navigator.geolocation) {
@@ -1077,16 +1290,46 @@ const FarmMap = ({ user, diseaseData, weatherData }) => {
             />
           )}
 
-          {/* Farm Boundaries */}
-          <GeoJSON
-            data={farmBoundaries}
-            style={(feature) => ({
-              fillColor: getMarkerColor(feature.properties.health),
-              fillOpacity: 0.3,
-              color: "#ffffff",
-              weight: 2,
-            })}
-          />
+          {/* Farm Boundaries - drawn fields when the farm has any */}
+          {fieldBoundaries?.features?.length > 0 ? (
+            <GeoJSON
+              key={JSON.stringify(fieldBoundaries)}
+              data={fieldBoundaries}
+              style={() => ({
+                fillColor: "#10b981",
+                fillOpacity: 0.3,
+                color: "#ffffff",
+                weight: 2,
+              })}
+              onEachFeature={(feature, layer) => {
+                const { name, area, unit, crops } = feature.properties;
+                const cropNames = crops.map((crop) => crop.name).join(", ");
+                // Names are typed in by farm members; set them as text, not
+                // HTML
+                const popup = document.createElement("div");
+                const title = document.createElement("strong");
+                title.textContent = name;
+                popup.append(title);
+                [`${area} ${unit}`, cropNames].filter(Boolean).forEach(
+                  (line) => {
+                    popup.append(document.createElement("br"));
+                    popup.append(document.createTextNode(line));
+                  }
+                );
+                layer.bindPopup(popup);
+              }}
+            />
+          ) : (
+            <GeoJSON
+              data={farmBoundaries}
+              style={(feature) => ({
+                fillColor: getMarkerColor(feature.properties.health),
+                fillOpacity: 0.3,
+                color: "#ffffff",
+                weight: 2,
+              })}
+            />
+          )}
           {/* Farm Location Markers */}
           {farmLocations.map((farm) => (
             <Marker
@@ -1381,18 +1624,45 @@ const Dashboard = () => {
     }
   }, [isDarkMode]);
 
+  // Keep the token in state current as authFetch refreshes it, and sign
+  // out once the session can no longer be refreshed
+  useEffect(() => {
+    authSession.onTokens = setToken;
+    authSession.onExpired = () => {
+      localStorage.removeItem("vriddhi_token");
+      localStorage.removeItem("vriddhi_refresh_token");
+      localStorage.removeItem("vriddhi_user");
+      setToken(null);
+      setUser(null);
+    };
+    return () => {
+      authSession.onTokens = () => {};
+      authSession.onExpired = () => {};
+    };
+  }, []);
+
   // Initialize app
   useEffect(() => {
-    const savedToken = localStorage.getItem("vriddhi_token");
+    const savedRefreshToken = localStorage.getItem("vriddhi_refresh_token");
     const savedUser = localStorage.getItem("vriddhi_user");
 
-    if (savedToken && savedUser) {
-      setToken(savedToken);
-      setUser(JSON.parse(savedUser));
-      loadInitialData(savedToken);
-    } else {
+    if (!savedRefreshToken || !savedUser) {
       setLoading(false);
+      return;
     }
+
+    // Access tokens are short-lived, so start every visit with a fresh pair
+    refreshTokens()
+      .then((freshToken) => {
+        setUser(JSON.parse(savedUser));
+        loadInitialData(freshToken);
+      })
+      .catch(() => {
+        localStorage.removeItem("vriddhi_token");
+        localStorage.removeItem("vriddhi_refresh_token");
+        localStorage.removeItem("vriddhi_user");
+        setLoading(false);
+      });
   }, []);
 
   const loadInitialData = async (authToken) => {
@@ -1431,7 +1701,9 @@ const Dashboard = () => {
   };
 
   const handleLogout = () => {
+    if (token) api.logout(token).catch(() => {});
     localStorage.removeItem("vriddhi_token");
+    localStorage.removeItem("vriddhi_refresh_token");
     localStorage.removeItem("vriddhi_user");
     setToken(null);
     setUser(null);
@@ -2965,6 +3237,7 @@ const Dashboard = () => {
               {/* Mapbox Farm Map */}
               <FarmMap
                 user={user}
+                token={token}
                 diseaseData={diseaseHistory}
                 weatherData={weatherData}
               />
@@ -3079,6 +3352,9 @@ const Dashboard = () => {
 };
 
 function App() {
+  if (window.location.pathname === "/reset-password") {
+    return <ResetPasswordForm />;
+  }
   return <Dashboard />;
 }
 